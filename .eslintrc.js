@@ -99,6 +99,13 @@ module.exports = {
         'no-restricted-globals': 'off'
       }
     },
+    {
+      // CLI（Electron 外で実行）ではNode.js APIを許可
+      files: ['src/cli/**/*.js'],
+      rules: {
+        'no-restricted-globals': 'off'
+      }
+    },
     {
       // PreloadスクリプトではrequireとprocessAPIを許可
       files: ['src/preload/**/*.js'],
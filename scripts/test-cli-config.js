@@ -0,0 +1,115 @@
+// scripts/test-cli-config.js
+// GUI で保存した形の設定ファイルを CLI で実行し、GUI と同じ設定で動くことを確認する
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI_PATH = path.join(__dirname, '../src/cli/cli.js');
+
+// ui-controller.js の getCurrentConfig が書き出す形（以前の版はルールごとに false も保存していた）
+function createGuiConfig(targetFolder, overrides = {}) {
+    return {
+        app_info: { name: 'Multi Grep Replacer Configuration', version: '1.0.0' },
+        target_folder: targetFolder,
+        target_folders: [],
+        target_files: [],
+        replacements: [
+            {
+                id: 'rule_1',
+                from: 'foo\\d+',
+                to: 'bar',
+                enabled: true,
+                description: '',
+                use_regex: false,
+                regex_flags: '',
+                preserve_case: false,
+                whole_word: false,
+                word_boundary: '',
+            },
+        ],
+        target_settings: {
+            file_extensions: ['.txt'],
+            exclude_patterns: [],
+            include_patterns: [],
+            include_subdirectories: true,
+            max_depth: null,
+            respect_ignore_files: true,
+            max_file_size: 104857600,
+            encoding: 'auto',
+            encoding_overrides: {},
+            ...overrides.target_settings,
+        },
+        replacement_settings: {
+            case_sensitive: true,
+            use_regex: true,
+            regex_flags: '',
+            whole_word: false,
+            word_boundary: 'identifier',
+            apply_mode: 'sequential',
+            backup_enabled: false,
+            output_mode: 'write',
+        },
+        advanced_settings: {
+            max_concurrent_files: 2,
+            ...overrides.advanced_settings,
+        },
+    };
+}
+
+function runCli(workDir, config) {
+    const configPath = path.join(workDir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    const output = execFileSync(process.execPath, [CLI_PATH, configPath, '--diff', '--json'], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'], // ログ・エラーは標準エラー出力（表示しない）
+    });
+    return JSON.parse(output);
+}
+
+const tests = {
+    'ルールの false はグローバルの use_regex を打ち消さない': workDir => {
+        const report = runCli(workDir, createGuiConfig(path.join(workDir, 'src')));
+        assert.strictEqual(report.stats.replacements, 1);
+        assert.deepStrictEqual(report.files.map(file => file.path), ['a.txt']);
+    },
+    'max_file_size を超えるファイルはスキップされる': workDir => {
+        const config = createGuiConfig(path.join(workDir, 'src'), {
+            target_settings: { max_file_size: 8 },
+        });
+        assert.strictEqual(runCli(workDir, config).stats.replacements, 0);
+        config.target_settings.max_file_size = 1024;
+        assert.strictEqual(runCli(workDir, config).stats.replacements, 1);
+    },
+    'max_concurrent_files は1以上の整数のみ受け付ける': workDir => {
+        const config = createGuiConfig(path.join(workDir, 'src'), {
+            advanced_settings: { max_concurrent_files: 0 },
+        });
+        assert.throws(() => runCli(workDir, config), /max_concurrent_files/);
+    },
+};
+
+function main() {
+    console.log('🧪 CLI 設定ファイルテスト');
+    let failed = 0;
+
+    Object.entries(tests).forEach(([name, test]) => {
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mgr-cli-test-'));
+        try {
+            fs.mkdirSync(path.join(workDir, 'src'));
+            fs.writeFileSync(path.join(workDir, 'src', 'a.txt'), 'value = foo42\n');
+            test(workDir);
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${name}: ${error.message}`);
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    });
+
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
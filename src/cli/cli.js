@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+/**
+ * Multi Grep Replacer - CLI
+ * 保存した設定ファイル（JSON）を Electron のウィンドウを開かずに実行する
+ *
+ * 設定の読み込み・ファイル検索・置換は GUI と同じ ConfigManager / FileSearchEngine /
+ * ReplacementEngine を使う。標準出力は結果（一覧・diff・patch・JSON）専用とし、
+ * ログとエラーは標準エラー出力に出す。
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ConfigManager = require('../main/config-manager');
+const FileSearchEngine = require('../main/file-search-engine');
+const ReplacementEngine = require('../main/replacement-engine');
+const BackupManager = require('../main/backup-manager');
+const DebugLogger = require('../main/debug-logger');
+const { version } = require('../../package.json');
+
+// 終了コード
+const EXIT_OK = 0;
+const EXIT_MATCHES_FOUND = 1; // --check でマッチあり
+const EXIT_ERROR = 2; // 引数・設定の誤り、ファイル単位のエラー
+
+const USAGE = `Usage: multi-grep-replacer <config.json> [options]
+
+Runs a saved configuration without opening the app window.
+
+Options:
+  -t, --target <dir>  Target folder; repeat for several folders
+      --files-from <file>
+                      Also process the files listed in <file> (one path per line)
+                      -t and --files-from replace the targets in the config
+  -n, --dry-run       Count replacements without writing files
+  -d, --diff          Print the changes as a unified diff without writing files
+  -c, --check         Report every remaining match of each rule's "from" as a
+                      forbidden pattern and exit with code 1 if any is found
+                      (same as run_type "check" in the config; no files are written)
+      --json          Print the result as JSON
+  -v, --verbose       Print log messages to stderr
+  -h, --help          Show this help
+      --version       Show the version
+
+Exit codes: 0 = success or check passed, 1 = check failed, 2 = error`;
+
+// 値を取らないオプション
+const FLAGS = {
+  '-n': 'dryRun',
+  '--dry-run': 'dryRun',
+  '-d': 'diff',
+  '--diff': 'diff',
+  '-c': 'check',
+  '--check': 'check',
+  '--json': 'json',
+  '-v': 'verbose',
+  '--verbose': 'verbose',
+  '-h': 'help',
+  '--help': 'help',
+  '--version': 'version',
+};
+
+class CLI {
+  /**
+   * コマンドライン引数の解析
+   * @param {Array<string>} argv - process.argv.slice(2)
+   * @returns {Object} { configPath, targets, filesFrom, dryRun, diff, check, json, verbose, help, version }
+   */
+  static parseArgs(argv) {
+    const args = {
+      configPath: null,
+      targets: [],
+      filesFrom: null,
+      dryRun: false,
+      diff: false,
+      check: false,
+      json: false,
+      verbose: false,
+      help: false,
+      version: false,
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (FLAGS[arg]) {
+        args[FLAGS[arg]] = true;
+      } else if (arg === '-t' || arg === '--target') {
+        i++;
+        if (!argv[i]) {
+          throw new Error(`${arg} requires a folder`);
+        }
+        args.targets.push(argv[i]);
+      } else if (arg.startsWith('--target=')) {
+        args.targets.push(arg.slice('--target='.length));
+      } else if (arg === '--files-from') {
+        i++;
+        if (!argv[i]) {
+          throw new Error(`${arg} requires a file`);
+        }
+        args.filesFrom = argv[i];
+      } else if (arg.startsWith('--files-from=')) {
+        args.filesFrom = arg.slice('--files-from='.length);
+      } else if (arg.startsWith('-')) {
+        throw new Error(`Unknown option: ${arg}`);
+      } else if (args.configPath) {
+        throw new Error(`Unexpected argument: ${arg}`);
+      } else {
+        args.configPath = arg;
+      }
+    }
+
+    return args;
+  }
+
+  /**
+   * CLI のエントリポイント
+   * @returns {Promise<number>} 終了コード
+   */
+  async run(argv) {
+    try {
+      const args = CLI.parseArgs(argv);
+      if (args.help) {
+        this.print(USAGE);
+        return EXIT_OK;
+      }
+      if (args.version) {
+        this.print(version);
+        return EXIT_OK;
+      }
+      if (!args.configPath) {
+        throw new Error('No config file given (see --help)');
+      }
+
+      this.configureLogging(args.verbose);
+      const executionConfig = await this.loadExecutionConfig(args);
+      const searchResult = await new FileSearchEngine().searchTargetFiles(executionConfig);
+      const filePaths = searchResult.files.map(file => file.path || file);
+      // 表示用の相対パスと patch は全対象の共通の親フォルダを基準にする
+      executionConfig.targetFolder = searchResult.basePath;
+      executionConfig.roots = searchResult.roots.map(root => root.path);
+
+      let report;
+      if (executionConfig.options.runType === 'check') {
+        report = await this.runCheck(executionConfig, filePaths);
+      } else if (args.diff) {
+        report = await this.runDiff(executionConfig, filePaths);
+      } else {
+        report = await this.runReplacement(executionConfig, filePaths, args);
+      }
+      report.config = path.resolve(args.configPath);
+      report.roots = searchResult.roots;
+      report.skipped = [...(searchResult.stats?.skipped || []), ...report.skipped];
+      report.stats.skippedFiles = report.skipped.length;
+
+      this.output(report, args);
+
+      if (report.mode === 'check' && !report.passed) {
+        return report.stats.occurrences > 0 ? EXIT_MATCHES_FOUND : EXIT_ERROR;
+      }
+      return report.errors.length > 0 ? EXIT_ERROR : EXIT_OK;
+    } catch (error) {
+      this.printError(`Error: ${error.message}`);
+      return EXIT_ERROR;
+    }
+  }
+
+  /**
+   * ログは stderr に出し、--verbose 以外ではエラーのみ（LOG_LEVEL 環境変数を優先）
+   */
+  configureLogging(verbose) {
+    DebugLogger.consoleToStderr = true;
+    DebugLogger.performanceLogPath = null;
+    if (!process.env.LOG_LEVEL) {
+      DebugLogger.currentLevel = verbose
+        ? DebugLogger.LOG_LEVELS.INFO
+        : DebugLogger.LOG_LEVELS.ERROR;
+    }
+  }
+
+  /**
+   * 設定ファイルを読み込み、GUI と同じ実行用の設定に変換
+   * 設定内の相対パス（target_folder(s) / target_files）は設定ファイルの場所、
+   * --target は作業ディレクトリ、--files-from の各行は一覧ファイルの場所を基準にする
+   */
+  async loadExecutionConfig(args) {
+    const configPath = path.resolve(args.configPath);
+    const config = await ConfigManager.loadConfig(configPath);
+    const executionConfig = ConfigManager.toExecutionConfig(config);
+
+    if (args.targets.length > 0 || args.filesFrom) {
+      executionConfig.targetFolders = args.targets.map(target => path.resolve(target));
+      executionConfig.targetFiles = args.filesFrom ? await this.readFileList(args.filesFrom) : [];
+    } else {
+      const configDir = path.dirname(configPath);
+      executionConfig.targetFolders = executionConfig.targetFolders.map(folder =>
+        path.resolve(configDir, folder)
+      );
+      executionConfig.targetFiles = executionConfig.targetFiles.map(file =>
+        path.resolve(configDir, file)
+      );
+    }
+    [executionConfig.targetFolder = ''] = executionConfig.targetFolders;
+    if (executionConfig.targetFolders.length === 0 && executionConfig.targetFiles.length === 0) {
+      throw new Error(
+        'No target: pass --target or --files-from, or set target_folder in the config'
+      );
+    }
+
+    if (args.check) {
+      executionConfig.options.runType = 'check';
+    }
+    if (executionConfig.options.runType === 'check' && args.diff) {
+      throw new Error('--diff cannot be used with a check run');
+    }
+
+    if (executionConfig.rules.length === 0) {
+      throw new Error('The config has no enabled replacement rules');
+    }
+
+    // patch 出力は標準出力に書くため JSON 出力とは併用できない
+    const writesPatch =
+      executionConfig.options.outputMode === 'patch' &&
+      executionConfig.options.runType !== 'check' &&
+      !args.dryRun &&
+      !args.diff &&
+      !executionConfig.options.dryRun;
+    if (writesPatch && args.json) {
+      throw new Error('--json cannot be used with output_mode "patch"');
+    }
+
+    return executionConfig;
+  }
+
+  async readFileList(listPath) {
+    const resolved = path.resolve(listPath);
+    const content = await fs.readFile(resolved, 'utf8');
+    return FileSearchEngine.parseFileList(content, path.dirname(resolved));
+  }
+
+  /**
+   * 置換（--dry-run ではファイルを書き換えない）
+   */
+  async runReplacement(executionConfig, filePaths, args) {
+    const { targetFolder, roots, rules } = executionConfig;
+    const options = { ...executionConfig.options };
+    if (args.dryRun) {
+      options.dryRun = true;
+    }
+
+    const engine = new ReplacementEngine(options);
+    if (options.backupEnabled && !options.dryRun && options.outputMode !== 'patch') {
+      // GUI と同じ場所に保存し、アプリの履歴からロールバックできるようにする
+      engine.setBackupManager(new BackupManager(path.join(ConfigManager.USER_DATA_DIR, 'backups')));
+    }
+
+    const result = await engine.processFiles(filePaths, rules, { targetFolder, roots });
+    let mode = options.dryRun ? 'dry-run' : 'write';
+    if (result.patch) {
+      mode = 'patch';
+    }
+
+    const files = result.results
+      .filter(file => file.replacements > 0 || file.modified)
+      .map(file => ({
+        path: this.getDisplayPath(file.path, targetFolder),
+        replacements: file.replacements,
+        details: file.details,
+      }));
+
+    return {
+      success: result.stats.errors.length === 0,
+      mode,
+      targetFolder,
+      stats: {
+        totalFiles: filePaths.length,
+        changedFiles: files.length,
+        replacements: result.stats.totalReplacements,
+        lineBreakSkips: result.stats.lineBreakSkips,
+      },
+      files,
+      lineBreakSkips: result.results
+        .filter(file => file.lineBreakSkips)
+        .map(file => ({
+          path: this.getDisplayPath(file.path, targetFolder),
+          rules: file.lineBreakSkips,
+        })),
+      skipped: result.stats.skipped,
+      errors: result.stats.errors,
+      backup: result.backup,
+      patch: result.patch,
+    };
+  }
+
+  /**
+   * チェック実行（各ルールの from が残っている箇所を file:line で報告）
+   */
+  async runCheck(executionConfig, filePaths) {
+    const { targetFolder, rules } = executionConfig;
+    const engine = new ReplacementEngine(executionConfig.options);
+    const report = await engine.checkForbiddenPatterns(filePaths, rules);
+
+    return {
+      success: report.passed,
+      mode: 'check',
+      targetFolder,
+      ...report,
+      occurrences: report.occurrences.map(occurrence => ({
+        ...occurrence,
+        path: this.getDisplayPath(occurrence.path, targetFolder),
+        column: occurrence.column + 1,
+      })),
+    };
+  }
+
+  /**
+   * unified diff を生成（ファイルは書き換えない）
+   */
+  async runDiff(executionConfig, filePaths) {
+    const { targetFolder, rules } = executionConfig;
+    const engine = new ReplacementEngine(executionConfig.options);
+    const result = await engine.generateDiffs(filePaths, rules, { basePath: targetFolder });
+
+    return {
+      success: result.errors.length === 0,
+      mode: 'diff',
+      targetFolder,
+      stats: {
+        totalFiles: filePaths.length,
+        changedFiles: result.stats.changedFiles,
+        replacements: result.stats.replacements,
+        additions: result.stats.additions,
+        deletions: result.stats.deletions,
+      },
+      files: result.files.map(file => ({
+        path: file.displayPath,
+        replacements: file.replacements,
+        details: file.details,
+        diff: file.diff.text,
+      })),
+      skipped: result.skipped,
+      errors: result.errors,
+    };
+  }
+
+  /**
+   * 結果の出力（diff・patch は標準出力に本体、概要は標準エラー出力）
+   */
+  output(report, args) {
+    if (args.json) {
+      // patch の内容（Buffer）は JSON に含めない（patch 出力時は --json を受け付けない）
+      this.print(JSON.stringify({ ...report, patch: undefined }, null, 2));
+      return;
+    }
+
+    let printSummary = text => this.print(text);
+    if (report.mode === 'diff') {
+      report.files.forEach(file => process.stdout.write(file.diff));
+      printSummary = text => this.printError(text);
+    } else if (report.mode === 'patch') {
+      process.stdout.write(report.patch.content);
+      printSummary = text => this.printError(text);
+    } else if (report.mode === 'check') {
+      report.occurrences.forEach(occurrence => {
+        const location = `${occurrence.path}:${occurrence.line}:${occurrence.column}`;
+        const rule = occurrence.ruleId ? ` (${occurrence.ruleId})` : '';
+        this.print(`${location}: forbidden "${occurrence.pattern}"${rule}`);
+      });
+      if (report.truncated) {
+        this.print('(some occurrences are not listed; counts include all of them)');
+      }
+    } else {
+      report.files.forEach(file => {
+        this.print(`${file.path}: ${file.replacements} ${this.plural(file.replacements, 'match')}`);
+      });
+    }
+
+    if (args.verbose) {
+      report.roots.forEach(root => {
+        printSummary(
+          `root: ${root.path} (${root.fileCount} ${this.plural(root.fileCount, 'file')})`
+        );
+      });
+      report.skipped.forEach(file => {
+        printSummary(
+          `skipped: ${this.getDisplayPath(file.path, report.targetFolder)} (${file.reason})`
+        );
+      });
+    }
+    report.errors.forEach(file => {
+      this.printError(
+        `error: ${this.getDisplayPath(file.path, report.targetFolder)}: ${file.error}`
+      );
+    });
+    (report.lineBreakSkips || []).forEach(file => {
+      file.rules.forEach(rule => {
+        this.printError(
+          `warning: ${file.path}: ${rule.count} ${this.plural(rule.count, 'match')} of "${
+            rule.from
+          }" span a line break and were not replaced`
+        );
+      });
+    });
+
+    printSummary(this.formatSummary(report));
+  }
+
+  formatSummary(report) {
+    const { stats } = report;
+    const parts = [this.formatHeadline(report)];
+    if (stats.skippedFiles > 0) {
+      parts.push(`${stats.skippedFiles} skipped`);
+    }
+    if (stats.lineBreakSkips > 0) {
+      parts.push(
+        `${stats.lineBreakSkips} ${this.plural(
+          stats.lineBreakSkips,
+          'match'
+        )} across line breaks not replaced`
+      );
+    }
+    if (report.errors.length > 0) {
+      parts.push(`${report.errors.length} ${this.plural(report.errors.length, 'error')}`);
+    }
+    if (report.backup) {
+      parts.push(`backup ${report.backup.processId}`);
+    }
+    return parts.join(', ');
+  }
+
+  formatHeadline(report) {
+    const { stats } = report;
+    if (report.mode === 'check') {
+      const cancelled = report.cancelled ? ' (cancelled)' : '';
+      if (report.passed) {
+        return `Check passed: no forbidden patterns in ${stats.processedFiles} files`;
+      }
+      const occurrences = `${stats.occurrences} ${this.plural(stats.occurrences, 'occurrence')}`;
+      return `Check failed: ${occurrences} in ${stats.failedFiles} of ${stats.totalFiles} files${cancelled}`;
+    }
+
+    const counts = `${stats.replacements} ${this.plural(stats.replacements, 'match')} in ${
+      stats.changedFiles
+    } of ${stats.totalFiles} files`;
+    const headlines = {
+      write: `Replaced ${counts}`,
+      'dry-run': `Dry run: ${counts} would be replaced`,
+      diff: `Diff: ${counts} (+${stats.additions} -${stats.deletions})`,
+      patch: `Patch: ${counts}`,
+    };
+    return headlines[report.mode];
+  }
+
+  getDisplayPath(filePath, basePath) {
+    return basePath ? path.relative(basePath, filePath).split(path.sep).join('/') : filePath;
+  }
+
+  plural(count, word) {
+    return count === 1 ? word : `${word}${word.endsWith('h') ? 'es' : 's'}`;
+  }
+
+  print(text) {
+    process.stdout.write(`${text}\n`);
+  }
+
+  printError(text) {
+    process.stderr.write(`${text}\n`);
+  }
+}
+
+if (require.main === module) {
+  new CLI().run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = CLI;
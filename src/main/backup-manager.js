@@ -0,0 +1,334 @@
+/**
+ * backup-manager.js - 置換実行ごとのバックアップ・ロールバック管理
+ *
+ * 書き込み前のファイルを processId ごとのディレクトリに退避し、
+ * manifest.json に元パス・書き込み後のハッシュを記録する。
+ * manifest は実行開始時から退避・書き込みのたびに更新し、実行中に異常終了しても復元・削除できるようにする。
+ * ロールバック時は現在の内容と書き込み後ハッシュを比較し、
+ * 実行後に再編集されたファイルを黙って上書きしない。
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const DebugLogger = require('./debug-logger');
+const FileOperations = require('./file-operations');
+
+// 定数定義
+const MANIFEST_FILE = 'manifest.json';
+const FILES_DIR = 'files';
+const MAX_BACKUP_RUNS = 20; // 保持する実行数（古いものから削除）
+const BACKUP_INDEX_PAD = 5;
+
+class BackupManager {
+  /**
+   * @param {string} backupRoot - バックアップ保存先（通常は userData/backups）
+   */
+  constructor(backupRoot, options = {}) {
+    this.backupRoot = backupRoot;
+    this.maxRuns = options.maxRuns || MAX_BACKUP_RUNS;
+    this.runs = new Map(); // 実行中の processId → manifest
+    this.manifestWrites = new Map(); // processId → 書き込み中の manifest 保存（並列処理中の書き込みを直列化）
+  }
+
+  /**
+   * 実行開始時にバックアップ領域を作成
+   */
+  async startRun(processId, metadata = {}) {
+    const runDir = this._getRunDir(processId);
+    await fs.mkdir(path.join(runDir, FILES_DIR), { recursive: true });
+
+    const manifest = {
+      processId,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      status: 'running',
+      ...metadata,
+      files: [],
+    };
+    this.runs.set(processId, manifest);
+    await this._writeManifest(manifest);
+
+    await this._pruneOldRuns();
+    await DebugLogger.debug('Backup run started', { processId, runDir });
+    return manifest;
+  }
+
+  /**
+   * 書き込み前のファイルを退避
+   * @returns {Object} manifest のファイルエントリ
+   */
+  async backupFile(processId, filePath) {
+    const manifest = this.runs.get(processId);
+    if (!manifest) {
+      throw new Error(`Backup run not started: ${processId}`);
+    }
+
+    const existing = manifest.files.find(entry => entry.path === filePath);
+    if (existing) {
+      return existing;
+    }
+
+    const index = String(manifest.files.length + 1).padStart(BACKUP_INDEX_PAD, '0');
+    const entry = {
+      path: filePath,
+      backup: path.join(FILES_DIR, `${index}${path.extname(filePath)}.bak`),
+      originalHash: null,
+      writtenHash: null,
+    };
+    manifest.files.push(entry);
+
+    const backupPath = path.join(this._getRunDir(processId), entry.backup);
+    await fs.copyFile(filePath, backupPath);
+    entry.originalHash = this._hash(await fs.readFile(backupPath));
+    await this._writeManifest(manifest);
+
+    return entry;
+  }
+
+  /**
+   * 書き込み後の内容を記録（ロールバック時の再編集検出用）
+   */
+  async recordWrite(processId, filePath, writtenData) {
+    const manifest = this.runs.get(processId);
+    const entry = manifest?.files.find(file => file.path === filePath);
+    if (entry) {
+      entry.writtenHash = this._hash(writtenData);
+      await this._writeManifest(manifest);
+    }
+  }
+
+  /**
+   * 実行完了時に manifest を保存
+   * バックアップ対象がなければ領域ごと削除する
+   */
+  async finalizeRun(processId, summary = {}) {
+    const manifest = this.runs.get(processId);
+    if (!manifest) {
+      return null;
+    }
+    this.runs.delete(processId);
+
+    // 書き込みに至らなかったファイルはロールバック対象外
+    manifest.files = manifest.files.filter(entry => entry.writtenHash);
+    if (manifest.files.length === 0) {
+      await fs.rm(this._getRunDir(processId), { recursive: true, force: true });
+      return null;
+    }
+
+    manifest.completedAt = new Date().toISOString();
+    manifest.status = 'completed';
+    Object.assign(manifest, summary);
+    await this._writeManifest(manifest);
+
+    await DebugLogger.info('Backup run saved', {
+      processId,
+      fileCount: manifest.files.length,
+    });
+    return manifest;
+  }
+
+  /**
+   * 保存済みバックアップ一覧（新しい順）
+   */
+  async listRuns() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.backupRoot, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const runs = [];
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const manifest = await this.getRun(entry.name).catch(() => null);
+      if (manifest) {
+        runs.push({
+          processId: manifest.processId,
+          createdAt: manifest.createdAt,
+          completedAt: manifest.completedAt,
+          status: manifest.status,
+          targetFolder: manifest.targetFolder,
+          fileCount: manifest.files.length,
+        });
+      }
+    }
+
+    return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * manifest 取得
+   */
+  async getRun(processId) {
+    const content = await fs.readFile(path.join(this._getRunDir(processId), MANIFEST_FILE), 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * 実行前の状態にロールバック
+   * 一部のファイルを復元できなかった場合は status: 'partial' とし、残りのファイルを再試行できる
+   * @param {string} processId - 対象の実行ID
+   * @param {Object} options - onConflict: 'abort'（既定）| 'skip' | 'overwrite'
+   * @returns {Object} { success, status, restored, conflicts, errors }
+   */
+  async restoreRun(processId, options = {}) {
+    const onConflict = options.onConflict || 'abort';
+    if (this.runs.has(processId)) {
+      throw new Error(`Run is still in progress: ${processId}`);
+    }
+    const manifest = await this.getRun(processId);
+
+    if (manifest.status === 'rolled-back') {
+      throw new Error(`Run already rolled back: ${processId}`);
+    }
+
+    // 復元済み（前回の部分的なロールバック）と、異常終了で書き込まれなかったファイルは対象外
+    const pending = [];
+    for (const entry of manifest.files.filter(file => !file.restored)) {
+      if (!entry.writtenHash && (await this._isUnchanged(entry))) {
+        entry.restored = true;
+      } else {
+        pending.push(entry);
+      }
+    }
+
+    // 実行後に変更・削除されたファイルを検出
+    const conflicts = [];
+    for (const entry of pending) {
+      const conflict = await this._detectConflict(entry);
+      if (conflict) {
+        conflicts.push({ path: entry.path, reason: conflict });
+      }
+    }
+
+    if (conflicts.length > 0 && onConflict === 'abort') {
+      await DebugLogger.warn('Rollback aborted due to conflicts', {
+        processId,
+        conflictCount: conflicts.length,
+      });
+      return { success: false, status: manifest.status, restored: [], conflicts, errors: [] };
+    }
+
+    const conflictPaths = new Set(conflicts.map(conflict => conflict.path));
+    const restored = [];
+    const errors = [];
+
+    for (const entry of pending) {
+      if (conflictPaths.has(entry.path) && onConflict === 'skip') {
+        continue;
+      }
+
+      try {
+        // 復元も一時ファイル経由で行い、リンクはリンク先へ書き戻す
+        const data = await fs.readFile(path.join(this._getRunDir(processId), entry.backup));
+        await FileOperations.writeFileAtomic(entry.path, data);
+        entry.restored = true;
+        restored.push(entry.path);
+      } catch (error) {
+        errors.push({ path: entry.path, error: error.message });
+      }
+    }
+
+    manifest.status = manifest.files.every(entry => entry.restored) ? 'rolled-back' : 'partial';
+    manifest.rolledBackAt = new Date().toISOString();
+    manifest.rollback = {
+      restored: restored.length,
+      skipped: onConflict === 'skip' ? conflicts.map(conflict => conflict.path) : [],
+      errors,
+    };
+    await this._writeManifest(manifest);
+
+    await DebugLogger.info('Rollback completed', {
+      processId,
+      status: manifest.status,
+      restored: restored.length,
+      skipped: manifest.rollback.skipped.length,
+      errors: errors.length,
+    });
+
+    return { success: errors.length === 0, status: manifest.status, restored, conflicts, errors };
+  }
+
+  /**
+   * 退避時から内容が変わっていないか（書き込み前に異常終了したファイルの判定）
+   */
+  async _isUnchanged(entry) {
+    try {
+      const current = await fs.readFile(entry.path);
+      return this._hash(current) === entry.originalHash;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 実行後の再編集を検出
+   * @returns {string|null} 'modified' | 'deleted' | null
+   */
+  async _detectConflict(entry) {
+    try {
+      const current = await fs.readFile(entry.path);
+      return this._hash(current) === entry.writtenHash ? null : 'modified';
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 'deleted';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 古いバックアップを削除（maxRuns 件を超えた分）
+   */
+  async _pruneOldRuns() {
+    const runs = await this.listRuns();
+    const expired = runs.slice(this.maxRuns);
+
+    for (const run of expired) {
+      await fs.rm(this._getRunDir(run.processId), { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * manifest を保存（一時ファイル経由で置き換え、書き込み途中で終了しても壊れないようにする）
+   */
+  async _writeManifest(manifest) {
+    const { processId } = manifest;
+    const manifestPath = path.join(this._getRunDir(processId), MANIFEST_FILE);
+    const previous = this.manifestWrites.get(processId) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      const tempPath = `${manifestPath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2), 'utf8');
+      await fs.rename(tempPath, manifestPath);
+    });
+    const settled = write.catch(() => null); // 失敗しても次の保存は続ける
+    this.manifestWrites.set(processId, settled);
+
+    try {
+      await write;
+    } finally {
+      if (this.manifestWrites.get(processId) === settled) {
+        this.manifestWrites.delete(processId);
+      }
+    }
+  }
+
+  _getRunDir(processId) {
+    // processId をそのままディレクトリ名に使うためパス区切りを拒否
+    if (!/^[\w.-]+$/.test(processId)) {
+      throw new Error(`Invalid process id: ${processId}`);
+    }
+    return path.join(this.backupRoot, processId);
+  }
+
+  _hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,76 @@
+/**
+ * binary-detector.js - ファイル内容によるバイナリ判定
+ *
+ * 拡張子に頼らず、先頭バイトのマジックナンバーと NUL バイトで判定する。
+ * UTF-16 のテキストは NUL を含むため、エンコーディング判定結果を受け取って除外する。
+ * 'ID3'・'RIFF' など ASCII のみのマジックナンバーはテキストの先頭にも現れるため、
+ * NUL・制御文字を含む場合にのみバイナリとする。
+ */
+
+// 定数定義（マジックナンバーは16進文字列、offset は先頭からの位置）
+const MAGIC_NUMBERS = [
+  { type: 'PNG image', hex: '89504e470d0a1a0a' },
+  { type: 'JPEG image', hex: 'ffd8ff' },
+  { type: 'GIF image', ascii: 'GIF8' },
+  { type: 'WebP/WAV/AVI (RIFF)', ascii: 'RIFF' },
+  { type: 'ICO image', hex: '00000100' },
+  { type: 'PDF document', ascii: '%PDF-' },
+  { type: 'ZIP archive', hex: '504b0304' },
+  { type: 'GZIP archive', hex: '1f8b' },
+  { type: '7z archive', hex: '377abcaf271c' },
+  { type: 'RAR archive', ascii: 'Rar!' },
+  { type: 'ELF executable', hex: '7f454c46' },
+  { type: 'Mach-O executable', hex: 'cffaedfe' },
+  { type: 'Java class', hex: 'cafebabe' },
+  { type: 'WebAssembly', hex: '0061736d' },
+  { type: 'WOFF font', ascii: 'wOFF' },
+  { type: 'WOFF2 font', ascii: 'wOF2' },
+  { type: 'OGG media', ascii: 'OggS' },
+  { type: 'MP3 audio', ascii: 'ID3' },
+  { type: 'MP4/MOV media', ascii: 'ftyp', offset: 4 },
+  { type: 'SQLite database', ascii: 'SQLite format 3' },
+].map(({ type, hex, ascii, offset = 0 }) => ({
+  type,
+  offset,
+  bytes: hex ? Buffer.from(hex, 'hex') : Buffer.from(ascii, 'ascii'),
+  textual: !!ascii,
+}));
+const UTF16_ENCODINGS = ['utf16le', 'utf16be'];
+// テキストに現れる制御文字（TAB・LF・VT・FF・CR・ESC）
+const TEXT_CONTROL_BYTES = new Set(Buffer.from('\t\n\v\f\r\x1b', 'ascii'));
+const FIRST_PRINTABLE_BYTE = 0x20;
+
+class BinaryDetector {
+  /**
+   * @param {Buffer} buffer - ファイル内容（先頭のみでも可）
+   * @param {Object} encodingInfo - EncodingDetector の判定結果（任意）
+   * @returns {Object|null} バイナリの場合 { reason: 'binary', detail }
+   */
+  static detect(buffer, encodingInfo = null) {
+    const magic = MAGIC_NUMBERS.find(({ bytes, offset }) =>
+      buffer.subarray(offset, offset + bytes.length).equals(bytes)
+    );
+    if (magic && (!magic.textual || BinaryDetector.hasControlBytes(buffer))) {
+      return { reason: 'binary', detail: magic.type };
+    }
+
+    if (UTF16_ENCODINGS.includes(encodingInfo?.encoding)) {
+      return null;
+    }
+
+    if (buffer.includes(0)) {
+      return { reason: 'binary', detail: 'NUL bytes' };
+    }
+
+    return null;
+  }
+
+  /**
+   * NUL・テキストに現れない制御文字を含むか
+   */
+  static hasControlBytes(buffer) {
+    return buffer.some(byte => byte < FIRST_PRINTABLE_BYTE && !TEXT_CONTROL_BYTES.has(byte));
+  }
+}
+
+module.exports = BinaryDetector;
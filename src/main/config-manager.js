@@ -1,7 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { app } = require('electron');
+const { app, getUserDataPath } = require('./electron-compat');
 const DebugLogger = require('./debug-logger');
+const EncodingDetector = require('./encoding-detector');
 
 /**
  * Multi Grep Replacer - Configuration Manager
@@ -13,7 +14,7 @@ class ConfigManager {
 
   // デフォルト設定ファイルパス（パッケージ版対応）
   static get DEFAULT_CONFIG_PATH() {
-    if (app.isPackaged) {
+    if (app?.isPackaged) {
       // パッケージ版: extraResourcesを使用
       return path.join(process.resourcesPath, 'config/default.json');
     } else {
@@ -22,11 +23,14 @@ class ConfigManager {
     }
   }
 
+  // userData ディレクトリ（CLI では Electron と同じ既定の場所）
+  static USER_DATA_DIR = getUserDataPath();
+
   // ユーザー設定ディレクトリ
-  static USER_CONFIG_DIR = path.join(app.getPath('userData'), 'configs');
+  static USER_CONFIG_DIR = path.join(ConfigManager.USER_DATA_DIR, 'configs');
 
   // 最近使用した設定ファイルの履歴
-  static RECENT_CONFIGS_PATH = path.join(app.getPath('userData'), 'recent-configs.json');
+  static RECENT_CONFIGS_PATH = path.join(ConfigManager.USER_DATA_DIR, 'recent-configs.json');
 
   // 定数値設定
   static MINIMUM_WIDTH_PX = 400;
@@ -38,6 +42,24 @@ class ConfigManager {
   static MIN_WINDOW_HEIGHT = ConfigManager.MINIMUM_HEIGHT_PX; // px
   static MAX_RECENT_CONFIGS = ConfigManager.RECENT_CONFIG_LIMIT; // 履歴保持数
 
+  // whole word モードの単語境界セット
+  static WORD_BOUNDARY_SETS = ['identifier', 'css', 'cjk'];
+
+  // シンボリックリンクの書き込みポリシー
+  static SYMLINK_POLICIES = ['follow', 'skip'];
+
+  // 改行コードの統一
+  static LINE_ENDING_MODES = ['preserve', 'lf', 'crlf'];
+
+  // 置換結果の出力先（write: ファイルを書き換え / patch: パッチファイルとして保存）
+  static OUTPUT_MODES = ['write', 'patch'];
+
+  // 実行の種類（replace: 置換 / check: from を禁止パターンとして残存箇所を報告）
+  static RUN_TYPES = ['replace', 'check'];
+
+  // 検索時にたどるシンボリックリンク（none / files: ファイルのみ / all: ファイルとディレクトリ）
+  static FOLLOW_SYMLINKS = ['none', 'files', 'all'];
+
   // DebugLogger統合ヘルパー
   static async logOperation(operation, data, result) {
     const level = result.success ? 'info' : 'error';
@@ -195,16 +217,43 @@ class ConfigManager {
     if (!Array.isArray(config.replacements)) {
       errors.push('replacements は配列である必要があります');
     } else {
+      const settings = config.replacement_settings || {};
       config.replacements.forEach((rule, index) => {
         if (!rule.from || typeof rule.from !== 'string') {
           errors.push(`置換ルール[${index}]: 'from' フィールドが必要です`);
+        } else if (rule.use_regex ?? settings.use_regex) {
+          // 正規表現モードではパターンとフラグのコンパイル可否を検証
+          const flags = rule.regex_flags || settings.regex_flags || '';
+          try {
+            if (/[^imsu]/.test(flags)) {
+              throw new Error(`未対応のフラグ "${flags}"`);
+            }
+            RegExp(rule.from, `g${flags}`);
+          } catch (error) {
+            errors.push(`置換ルール[${index}]: 正規表現が不正です (${error.message})`);
+          }
         }
-        if (!rule.to || typeof rule.to !== 'string') {
+        // check 実行では from のみ使うため to は不要
+        if (settings.run_type !== 'check' && (!rule.to || typeof rule.to !== 'string')) {
           errors.push(`置換ルール[${index}]: 'to' フィールドが必要です`);
         }
+        if (rule.word_boundary && !this.WORD_BOUNDARY_SETS.includes(rule.word_boundary)) {
+          errors.push(`置換ルール[${index}]: word_boundary が不正です (${rule.word_boundary})`);
+        }
       });
     }
 
+    // 追加の対象フォルダ・個別指定ファイル（任意）
+    ['target_folders', 'target_files'].forEach(key => {
+      const paths = config[key];
+      if (
+        paths !== undefined &&
+        (!Array.isArray(paths) || paths.some(item => typeof item !== 'string'))
+      ) {
+        errors.push(`${key} は文字列の配列である必要があります`);
+      }
+    });
+
     // target_settings検証
     if (!config.target_settings || typeof config.target_settings !== 'object') {
       errors.push('target_settings セクションが必要です');
@@ -215,6 +264,82 @@ class ConfigManager {
       if (typeof config.target_settings.max_file_size !== 'number') {
         errors.push('max_file_size は数値である必要があります');
       }
+      ['exclude_patterns', 'include_patterns'].forEach(key => {
+        const patterns = config.target_settings[key];
+        if (
+          patterns !== undefined &&
+          (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string'))
+        ) {
+          errors.push(`${key} は文字列の配列である必要があります`);
+        }
+      });
+      [
+        'include_subdirectories',
+        'include_hidden_files',
+        'include_hidden_directories',
+        'respect_ignore_files',
+      ].forEach(key => {
+        const value = config.target_settings[key];
+        if (value !== undefined && typeof value !== 'boolean') {
+          errors.push(`${key} は真偽値である必要があります`);
+        }
+      });
+      const maxDepth = config.target_settings.max_depth;
+      if (
+        maxDepth !== undefined &&
+        maxDepth !== null &&
+        !(Number.isInteger(maxDepth) && maxDepth >= 0)
+      ) {
+        errors.push('max_depth は0以上の整数または null である必要があります');
+      }
+      const followSymlinks = config.target_settings.follow_symlinks;
+      if (followSymlinks && !this.FOLLOW_SYMLINKS.includes(followSymlinks)) {
+        errors.push(`follow_symlinks が不正です (${followSymlinks})`);
+      }
+
+      // エンコーディング指定（auto 以外は対応エンコーディングのみ）
+      const { encoding, encoding_overrides: overrides = {} } = config.target_settings;
+      const encodingEntries = [
+        ['encoding', encoding],
+        ...Object.entries(overrides).map(([ext, name]) => [`encoding_overrides[${ext}]`, name]),
+      ];
+      encodingEntries.forEach(([key, name]) => {
+        if (!name || name === EncodingDetector.AUTO) {
+          return;
+        }
+        try {
+          EncodingDetector.normalizeEncoding(name);
+        } catch (error) {
+          errors.push(`${key}: 未対応のエンコーディングです (${name})`);
+        }
+      });
+    }
+
+    // replacement_settings検証
+    const symlinkPolicy = config.replacement_settings?.symlink_policy;
+    if (symlinkPolicy && !this.SYMLINK_POLICIES.includes(symlinkPolicy)) {
+      errors.push(`symlink_policy が不正です (${symlinkPolicy})`);
+    }
+    const lineEndings = config.replacement_settings?.normalize_line_endings;
+    if (lineEndings && !this.LINE_ENDING_MODES.includes(lineEndings)) {
+      errors.push(`normalize_line_endings が不正です (${lineEndings})`);
+    }
+    const outputMode = config.replacement_settings?.output_mode;
+    if (outputMode && !this.OUTPUT_MODES.includes(outputMode)) {
+      errors.push(`output_mode が不正です (${outputMode})`);
+    }
+    const runType = config.replacement_settings?.run_type;
+    if (runType && !this.RUN_TYPES.includes(runType)) {
+      errors.push(`run_type が不正です (${runType})`);
+    }
+
+    // advanced_settings検証
+    const maxConcurrentFiles = config.advanced_settings?.max_concurrent_files;
+    if (
+      maxConcurrentFiles !== undefined &&
+      !(Number.isInteger(maxConcurrentFiles) && maxConcurrentFiles >= 1)
+    ) {
+      errors.push('max_concurrent_files は1以上の整数である必要があります');
     }
 
     // ui_settings検証
@@ -236,6 +361,89 @@ class ConfigManager {
     };
   }
 
+  /**
+   * 保存形式（snake_case）の設定を置換実行用の設定に変換
+   * renderer の gatherExecutionConfig と同じ形にし、CLI からも同じ実行経路を使う
+   * @param {Object} config - 設定ファイルの内容
+   * @returns {Object} { targetFolder, targetFolders, targetFiles, extensions, rules, options }
+   */
+  static toExecutionConfig(config) {
+    const targetSettings = config.target_settings || {};
+    const settings = config.replacement_settings || {};
+    const advanced = config.advanced_settings || {};
+
+    // ルール個別の指定は未指定（undefined）のままにしてグローバル設定へフォールバックさせる
+    // GUI のチェックボックスに対応する項目は false を「未指定」とみなす（グローバル設定を打ち消さない）
+    const ruleKeys = {
+      use_regex: 'useRegex',
+      regex_flags: 'regexFlags',
+      case_sensitive: 'caseSensitive',
+      preserve_case: 'preserveCase',
+      whole_word: 'wholeWord',
+      word_boundary: 'wordBoundary',
+    };
+    const ruleFlagKeys = ['use_regex', 'preserve_case', 'whole_word'];
+    const rules = (config.replacements || [])
+      .filter(rule => rule.enabled !== false)
+      .map((rule, index) => {
+        const executionRule = {
+          id: rule.id || `rule-${index + 1}`,
+          from: rule.from,
+          to: rule.to || '',
+          enabled: true,
+        };
+        Object.entries(ruleKeys).forEach(([key, optionKey]) => {
+          const unset = ruleFlagKeys.includes(key) ? rule[key] !== true : rule[key] === undefined;
+          if (!unset && rule[key] !== '') {
+            executionRule[optionKey] = rule[key];
+          }
+        });
+        return executionRule;
+      });
+
+    // target_folder と target_folders を合わせて対象フォルダとする（先頭が主フォルダ）
+    const targetFolders = [
+      ...new Set([config.target_folder, ...(config.target_folders || [])].filter(Boolean)),
+    ];
+
+    return {
+      targetFolder: targetFolders[0] || '',
+      targetFolders,
+      targetFiles: config.target_files || [],
+      extensions: (targetSettings.file_extensions || []).join(','),
+      rules,
+      options: {
+        caseSensitive: settings.case_sensitive !== false,
+        wholeWord: !!settings.whole_word,
+        wordBoundary: settings.word_boundary || 'identifier',
+        applyMode: settings.apply_mode || 'sequential',
+        overlapStrategy: settings.overlap_strategy || 'longest',
+        backupEnabled: !!settings.backup_enabled,
+        preservePermissions: settings.preserve_file_permissions !== false,
+        preserveTimestamps: !!settings.preserve_timestamps,
+        symlinkPolicy: settings.symlink_policy || 'follow',
+        normalizeLineEndings: settings.normalize_line_endings || 'preserve',
+        outputMode: settings.output_mode || 'write',
+        runType: settings.run_type || 'replace',
+        dryRun: !!settings.dry_run,
+        encoding: targetSettings.encoding || 'auto',
+        encodingOverrides: targetSettings.encoding_overrides || {},
+        maxFileSize: targetSettings.max_file_size,
+        excludePatterns: targetSettings.exclude_patterns,
+        includePatterns: targetSettings.include_patterns || [],
+        respectIgnoreFiles: targetSettings.respect_ignore_files !== false,
+        includeSubdirectories: targetSettings.include_subdirectories !== false,
+        maxDepth: targetSettings.max_depth ?? null,
+        includeHiddenFiles: targetSettings.include_hidden_files !== false,
+        includeHiddenDirectories: targetSettings.include_hidden_directories !== false,
+        followSymlinks: targetSettings.follow_symlinks || 'none',
+        maxConcurrency: advanced.max_concurrent_files,
+        useRegex: !!settings.use_regex,
+        regexFlags: settings.regex_flags || '',
+      },
+    };
+  }
+
   /**
    * デフォルト設定取得
    * @returns {Promise<Object>} デフォルト設定
@@ -245,7 +453,7 @@ class ConfigManager {
       const configPath = this.DEFAULT_CONFIG_PATH;
       console.log('🔧 Loading default configuration');
       console.log(`📁 Config path: ${configPath}`);
-      console.log(`📦 Is packaged: ${app.isPackaged}`);
+      console.log(`📦 Is packaged: ${!!app?.isPackaged}`);
       console.log(`🗂️ Process resources path: ${process.resourcesPath || 'N/A'}`);
 
       // ファイル存在確認
@@ -316,15 +524,26 @@ class ConfigManager {
       target_settings: {
         file_extensions: ['.html', '.css', '.js', '.php', '.md', '.json'],
         exclude_patterns: ['node_modules/**', '.git/**', 'dist/**'],
+        include_patterns: [],
         include_subdirectories: true,
+        max_depth: null,
+        include_hidden_files: true,
+        include_hidden_directories: true,
+        follow_symlinks: 'none',
+        respect_ignore_files: true,
         max_file_size: 104857600, // 100MB
-        encoding: 'utf-8',
+        encoding: 'auto',
+        encoding_overrides: {},
       },
       replacement_settings: {
         case_sensitive: true,
         use_regex: false,
         backup_enabled: false,
         preserve_file_permissions: true,
+        preserve_timestamps: false,
+        symlink_policy: 'follow',
+        normalize_line_endings: 'preserve',
+        output_mode: 'write',
         dry_run: false,
       },
       ui_settings: {
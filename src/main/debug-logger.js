@@ -5,7 +5,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { app } = require('electron');
+const { app } = require('./electron-compat');
 
 class DebugLogger {
   // ログレベル定義
@@ -53,6 +53,9 @@ class DebugLogger {
   static errorLogPath = path.join(DebugLogger.logDir, 'error.log');
   static performanceLogPath = path.join(DebugLogger.logDir, 'performance.log');
 
+  // コンソール出力先（CLI では標準出力を結果用に空けるため stderr に出す）
+  static consoleToStderr = false;
+
   // ログローテーション設定定数
   static LOG_SIZE_MB_LIMIT = 10; // MB
   static LOG_FILE_COUNT_LIMIT = 5;
@@ -355,7 +358,8 @@ class DebugLogger {
         ? `\n  Context: ${JSON.stringify(logEntry.context, null, 2)}`
         : '';
 
-    console.log(
+    const write = this.consoleToStderr ? console.error : console.log;
+    write(
       `${color}[${logEntry.timestamp}] ${logEntry.level} ${logEntry.caller.file}:${logEntry.caller.line}${reset}\n` +
         `  ${logEntry.message}${contextStr}`
     );
@@ -404,6 +408,9 @@ class DebugLogger {
    */
   static async writeToPerformanceLog(performanceData) {
     try {
+      if (!this.performanceLogPath) {
+        return;
+      }
       const logLine = `${JSON.stringify(performanceData)}\n`;
       await fs.appendFile(this.performanceLogPath, logLine);
 
@@ -0,0 +1,291 @@
+/**
+ * diff-generator.js - 行単位の差分生成（Myers 法）と unified diff 形式への変換
+ *
+ * 行は改行コードを含めて比較するため、改行コードのみの変更も差分として現れる。
+ * 表示用の text には改行コードを含めない。
+ */
+
+// 定数定義
+const DEFAULT_CONTEXT_LINES = 3;
+const LINE_PATTERN = /[^\r\n]*(?:\r\n|\r|\n)|[^\r\n]+$/g;
+const LINE_BREAK_SUFFIX = /(?:\r\n|\r|\n)$/;
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+// 差分探索の上限（超えた範囲は最小でない差分にして、大きなファイルでも時間を抑える）
+const MAX_DIFF_STEPS = 20000000;
+
+class DiffGenerator {
+  static DEFAULT_CONTEXT_LINES = DEFAULT_CONTEXT_LINES;
+
+  /**
+   * 2つのテキストの unified diff を生成
+   * @param {string} oldText - 変更前
+   * @param {string} newText - 変更後
+   * @param {Object} options - oldPath, newPath, contextLines
+   * @returns {Object} { hunks, additions, deletions, text }（差分がなければ hunks は空）
+   */
+  static createUnifiedDiff(oldText, newText, options = {}) {
+    const contextLines = Math.max(0, options.contextLines ?? DEFAULT_CONTEXT_LINES);
+    const oldLines = this.splitLines(oldText);
+    const newLines = this.splitLines(newText);
+    const operations = this.diffLines(oldLines, newLines);
+    const hunks = this._buildHunks(operations, oldLines, newLines, contextLines);
+
+    let additions = 0;
+    let deletions = 0;
+    hunks.forEach(hunk => {
+      hunk.lines.forEach(line => {
+        additions += line.type === 'insert' ? 1 : 0;
+        deletions += line.type === 'delete' ? 1 : 0;
+      });
+    });
+
+    return {
+      hunks,
+      additions,
+      deletions,
+      text: hunks.length > 0 ? this.formatUnifiedDiff(hunks, options) : '',
+    };
+  }
+
+  /**
+   * unified diff 形式の文字列に変換
+   */
+  static formatUnifiedDiff(hunks, options = {}) {
+    const output = [`--- ${options.oldPath || 'a'}`, `+++ ${options.newPath || 'b'}`];
+    const prefixes = { context: ' ', delete: '-', insert: '+' };
+
+    hunks.forEach(hunk => {
+      output.push(
+        `@@ -${this._formatRange(hunk.oldStart, hunk.oldLines)} +${this._formatRange(
+          hunk.newStart,
+          hunk.newLines
+        )} @@`
+      );
+      hunk.lines.forEach(line => {
+        // CRLF・CR の行は CR を残し、行の内容を変えない（CRLF は git diff と同様にパッチとして適用できる）
+        const carriageReturn = line.lineEnding.startsWith('\r') ? '\r' : '';
+        output.push(`${prefixes[line.type]}${line.text}${carriageReturn}`);
+        if (line.noNewline) {
+          output.push(NO_NEWLINE_MARKER);
+        }
+      });
+    });
+
+    return `${output.join('\n')}\n`;
+  }
+
+  /**
+   * 改行コードを保持したまま行に分割
+   */
+  static splitLines(text) {
+    return text.match(LINE_PATTERN) || [];
+  }
+
+  /**
+   * Myers の O(ND) 差分アルゴリズム（線形空間版）で編集操作列を求める
+   * 中央のスネークで範囲を分割して再帰するため、メモリは行数に比例する
+   * 探索量が MAX_DIFF_STEPS を超えた範囲は、残りを削除＋追加のまとまりとして扱う（差分は正しいが最小ではない）
+   * @returns {Array<Object>} { type: 'equal'|'delete'|'insert', oldIndex, newIndex }
+   */
+  static diffLines(oldLines, newLines) {
+    const operations = [];
+    const budget = { remaining: MAX_DIFF_STEPS };
+    this._diffRange(oldLines, 0, oldLines.length, newLines, 0, newLines.length, operations, budget);
+    return operations;
+  }
+
+  static _diffRange(oldLines, oldStart, oldEnd, newLines, newStart, newEnd, operations, budget) {
+    // 共通の先頭・末尾は比較せずに一致とする
+    while (oldStart < oldEnd && newStart < newEnd && oldLines[oldStart] === newLines[newStart]) {
+      operations.push({ type: 'equal', oldIndex: oldStart++, newIndex: newStart++ });
+    }
+    let suffix = 0;
+    while (
+      oldStart < oldEnd - suffix &&
+      newStart < newEnd - suffix &&
+      oldLines[oldEnd - suffix - 1] === newLines[newEnd - suffix - 1]
+    ) {
+      suffix++;
+    }
+
+    const snake =
+      oldStart < oldEnd - suffix && newStart < newEnd - suffix
+        ? this._findMiddleSnake(
+            oldLines,
+            oldStart,
+            oldEnd - suffix,
+            newLines,
+            newStart,
+            newEnd - suffix,
+            budget
+          )
+        : null;
+
+    if (snake) {
+      this._diffRange(oldLines, oldStart, snake.x, newLines, newStart, snake.y, operations, budget);
+      for (let i = 0; i < snake.u - snake.x; i++) {
+        operations.push({ type: 'equal', oldIndex: snake.x + i, newIndex: snake.y + i });
+      }
+      this._diffRange(
+        oldLines,
+        snake.u,
+        oldEnd - suffix,
+        newLines,
+        snake.v,
+        newEnd - suffix,
+        operations,
+        budget
+      );
+    } else {
+      // 片方が空、または探索量の上限に達した範囲
+      for (let x = oldStart; x < oldEnd - suffix; x++) {
+        operations.push({ type: 'delete', oldIndex: x, newIndex: newStart });
+      }
+      for (let y = newStart; y < newEnd - suffix; y++) {
+        operations.push({ type: 'insert', oldIndex: oldEnd - suffix, newIndex: y });
+      }
+    }
+
+    for (let i = suffix; i > 0; i--) {
+      operations.push({ type: 'equal', oldIndex: oldEnd - i, newIndex: newEnd - i });
+    }
+  }
+
+  /**
+   * 前方・後方から同時に探索し、最短編集経路の中央にあるスネーク（一致の連続）を求める
+   * 先頭・末尾が一致しない空でない範囲で呼ぶ（編集距離は 2 以上になり、分割後の範囲は必ず小さくなる）
+   * @returns {Object|null} { x, y, u, v }（old[x..u) と new[y..v) が一致）、探索量の上限に達した場合は null
+   */
+  static _findMiddleSnake(oldLines, oldStart, oldEnd, newLines, newStart, newEnd, budget) {
+    const n = oldEnd - oldStart;
+    const m = newEnd - newStart;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD + 1;
+    const forward = new Int32Array(2 * maxD + 3);
+    const backward = new Int32Array(2 * maxD + 3);
+
+    for (let d = 0; d <= maxD; d++) {
+      budget.remaining -= d + 1;
+      if (budget.remaining < 0) {
+        return null;
+      }
+
+      for (let k = -d; k <= d; k += 2) {
+        let x =
+          k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+            ? forward[offset + k + 1]
+            : forward[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && oldLines[oldStart + x] === newLines[newStart + y]) {
+          x++;
+          y++;
+        }
+        forward[offset + k] = x;
+
+        const reverseK = delta - k;
+        if (odd && reverseK >= -(d - 1) && reverseK <= d - 1) {
+          if (x + backward[offset + reverseK] >= n) {
+            return {
+              x: oldStart + startX,
+              y: newStart + startY,
+              u: oldStart + x,
+              v: newStart + y,
+            };
+          }
+        }
+      }
+
+      // 後方は末尾からの距離で表す（x' = n - x, y' = m - y）
+      for (let k = -d; k <= d; k += 2) {
+        let x =
+          k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+            ? backward[offset + k + 1]
+            : backward[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && oldLines[oldEnd - x - 1] === newLines[newEnd - y - 1]) {
+          x++;
+          y++;
+        }
+        backward[offset + k] = x;
+
+        const forwardK = delta - k;
+        if (!odd && forwardK >= -d && forwardK <= d) {
+          if (x + forward[offset + forwardK] >= n) {
+            return { x: oldEnd - x, y: newEnd - y, u: oldEnd - startX, v: newEnd - startY };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 変更箇所の前後 contextLines 行をまとめてハンクにする
+   */
+  static _buildHunks(operations, oldLines, newLines, contextLines) {
+    const changeIndexes = operations
+      .map((operation, index) => (operation.type === 'equal' ? -1 : index))
+      .filter(index => index >= 0);
+    if (changeIndexes.length === 0) {
+      return [];
+    }
+
+    // 間の一致行が contextLines * 2 以下の変更は同じハンクにまとめる
+    const ranges = [];
+    changeIndexes.forEach(index => {
+      const last = ranges[ranges.length - 1];
+      if (last && index - last.end - 1 <= contextLines * 2) {
+        last.end = index;
+      } else {
+        ranges.push({ start: index, end: index });
+      }
+    });
+
+    return ranges.map(range => {
+      const start = Math.max(0, range.start - contextLines);
+      const end = Math.min(operations.length - 1, range.end + contextLines);
+      const slice = operations.slice(start, end + 1);
+
+      const lines = slice.map(operation => {
+        const isInsert = operation.type === 'insert';
+        const source = isInsert ? newLines : oldLines;
+        const index = isInsert ? operation.newIndex : operation.oldIndex;
+        const raw = source[index];
+        const lineEnding = raw.match(LINE_BREAK_SUFFIX)?.[0] || '';
+        return {
+          type: operation.type === 'equal' ? 'context' : operation.type,
+          text: raw.slice(0, raw.length - lineEnding.length),
+          lineEnding,
+          oldNumber: isInsert ? null : operation.oldIndex + 1,
+          newNumber: operation.type === 'delete' ? null : operation.newIndex + 1,
+          noNewline: index === source.length - 1 && lineEnding === '',
+        };
+      });
+
+      const oldCount = slice.filter(operation => operation.type !== 'insert').length;
+      const newCount = slice.filter(operation => operation.type !== 'delete').length;
+
+      // 行数 0 のハンクは直前の行番号を開始位置とする（diff の慣例）
+      return {
+        oldStart: oldCount > 0 ? slice[0].oldIndex + 1 : slice[0].oldIndex,
+        oldLines: oldCount,
+        newStart: newCount > 0 ? slice[0].newIndex + 1 : slice[0].newIndex,
+        newLines: newCount,
+        lines,
+      };
+    });
+  }
+
+  static _formatRange(start, count) {
+    return count === 1 ? `${start}` : `${start},${count}`;
+  }
+}
+
+module.exports = DiffGenerator;
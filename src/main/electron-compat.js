@@ -0,0 +1,48 @@
+/**
+ * electron-compat.js - Electron 外（CLI）からも main プロセスのモジュールを使うための互換層
+ *
+ * Node から require('electron') すると実行ファイルのパス（文字列）が返り、
+ * electron 未インストール時は例外になる。どちらの場合も app・dialog は null とする。
+ */
+
+const os = require('os');
+const path = require('path');
+
+// 定数定義
+const APP_NAME = require('../../package.json').name;
+
+const electron = (() => {
+  try {
+    const loaded = require('electron');
+    return typeof loaded === 'object' && loaded !== null ? loaded : {};
+  } catch (error) {
+    return {};
+  }
+})();
+
+/**
+ * userData ディレクトリ（Electron 外では Electron と同じ既定の場所）
+ * GUI と CLI でバックアップ・最近使用した設定を共有する
+ */
+function getUserDataPath() {
+  if (electron.app) {
+    return electron.app.getPath('userData');
+  }
+
+  const home = os.homedir();
+  switch (process.platform) {
+    case 'darwin':
+      return path.join(home, 'Library', 'Application Support', APP_NAME);
+    case 'win32':
+      return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), APP_NAME);
+    default:
+      return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), APP_NAME);
+  }
+}
+
+module.exports = {
+  app: electron.app || null,
+  dialog: electron.dialog || null,
+  isElectron: !!electron.app,
+  getUserDataPath,
+};
@@ -0,0 +1,260 @@
+/**
+ * encoding-detector.js - 文字エンコーディングの判定と変換
+ *
+ * BOM・UTF-16・UTF-8・Shift_JIS・EUC-JP を判定し、
+ * 読み込んだファイルを元のエンコーディング（BOM を含む）で書き戻せるようにする。
+ * 改行コードは文字列として保持されるため、デコード・エンコードで変化しない。
+ */
+
+const path = require('path');
+const iconv = require('iconv-lite');
+
+// 定数定義
+const BOMS = {
+  utf8: Buffer.from('efbbbf', 'hex'),
+  utf16le: Buffer.from('fffe', 'hex'),
+  utf16be: Buffer.from('feff', 'hex'),
+};
+// 日本語エンコーディング判定用のバイト範囲
+const BYTE_RANGES = {
+  ascii: { min: 0x00, max: 0x7f },
+  halfWidthKana: { min: 0xa1, max: 0xdf }, // EUC-JP では 0x8E の後続バイト
+  eucDoubleByte: { min: 0xa1, max: 0xfe },
+  eucKanaLead: { min: 0x8e, max: 0x8e },
+  eucSupplementLead: { min: 0x8f, max: 0x8f },
+  sjisLead: { min: 0x81, max: 0x9f },
+  sjisLeadExtended: { min: 0xe0, max: 0xfc },
+  sjisTrail: { min: 0x40, max: 0x7e },
+  sjisTrailExtended: { min: 0x80, max: 0xfc },
+};
+const ENCODING_LABELS = {
+  utf8: 'UTF-8',
+  utf16le: 'UTF-16LE',
+  utf16be: 'UTF-16BE',
+  shift_jis: 'Shift_JIS',
+  'euc-jp': 'EUC-JP',
+};
+const ENCODING_ALIASES = {
+  'utf-8': 'utf8',
+  'utf-16le': 'utf16le',
+  'utf-16be': 'utf16be',
+  sjis: 'shift_jis',
+  'shift-jis': 'shift_jis',
+  cp932: 'shift_jis',
+  'windows-31j': 'shift_jis',
+  eucjp: 'euc-jp',
+  euc_jp: 'euc-jp',
+};
+const AUTO_ENCODING = 'auto';
+const UTF16_SAMPLE_BYTES = 4096;
+const UTF16_NUL_RATIO = 0.3; // ASCII 主体の UTF-16 は片側のバイトが NUL になる
+const UTF16_OPPOSITE_NUL_RATIO = 0.05;
+const UTF16_MIN_CHARS = 16; // 短すぎるデータは NUL の偏りで判断しない
+
+class EncodingDetector {
+  static AUTO = AUTO_ENCODING;
+
+  /**
+   * バイト列からエンコーディングを判定
+   * @param {Buffer} buffer - ファイル内容（先頭のみでも可）
+   * @param {Object} options - partial: 途中で切れたサンプルの場合 true
+   * @returns {Object} { encoding, bom, label }
+   */
+  static detect(buffer, options = {}) {
+    for (const [encoding, bom] of Object.entries(BOMS)) {
+      if (buffer.subarray(0, bom.length).equals(bom)) {
+        return this._createInfo(encoding, true);
+      }
+    }
+
+    const utf16 = this._detectUtf16(buffer);
+    if (utf16) {
+      return this._createInfo(utf16, false);
+    }
+
+    if (this._isValidUtf8(buffer, options.partial)) {
+      return this._createInfo('utf8', false);
+    }
+
+    // EUC-JP の2バイト文字は Shift_JIS の半角カナ列としても解釈できてしまうため先に判定
+    const eucErrors = this._countEucJpErrors(buffer);
+    if (eucErrors === 0) {
+      return this._createInfo('euc-jp', false);
+    }
+    const sjisErrors = this._countShiftJisErrors(buffer);
+    return this._createInfo(sjisErrors <= eucErrors ? 'shift_jis' : 'euc-jp', false);
+  }
+
+  /**
+   * 設定（既定値・拡張子別指定）を考慮してエンコーディングを決定
+   * @param {Buffer} buffer - ファイル内容
+   * @param {string} filePath - 拡張子別指定の参照用
+   * @param {Object} options - encoding: 'auto' | エンコーディング名, encodingOverrides: { '.php': 'shift_jis' }
+   */
+  static resolve(buffer, filePath, options = {}) {
+    const overrides = options.encodingOverrides || {};
+    const ext = path.extname(filePath).toLowerCase();
+    const configured = overrides[ext] || overrides[ext.slice(1)] || options.encoding;
+
+    if (!configured || configured === AUTO_ENCODING) {
+      return this.detect(buffer, options);
+    }
+
+    // 明示指定時も BOM は検出して保持する
+    const encoding = this.normalizeEncoding(configured);
+    const bom = BOMS[encoding];
+    return this._createInfo(encoding, !!bom && buffer.subarray(0, bom.length).equals(bom));
+  }
+
+  /**
+   * エンコーディング名を内部名に正規化
+   * @throws {Error} 未対応のエンコーディング
+   */
+  static normalizeEncoding(name) {
+    const lower = String(name).trim().toLowerCase();
+    const encoding = ENCODING_ALIASES[lower] || lower;
+    if (!ENCODING_LABELS[encoding] && !iconv.encodingExists(encoding)) {
+      throw new Error(`Unsupported encoding: ${name}`);
+    }
+    return encoding;
+  }
+
+  /**
+   * バイト列を文字列に変換（BOM は除去）
+   */
+  static decode(buffer, info) {
+    const body = info.bom ? buffer.subarray(BOMS[info.encoding].length) : buffer;
+    return iconv.decode(body, info.encoding, { stripBOM: false });
+  }
+
+  /**
+   * 文字列を元のエンコーディングのバイト列に変換（BOM を復元）
+   */
+  static encode(text, info) {
+    const body = iconv.encode(text, info.encoding, { addBOM: false });
+    return info.bom ? Buffer.concat([BOMS[info.encoding], body]) : body;
+  }
+
+  /**
+   * デコード結果から元のバイト列を復元できるか
+   * （判定ミスや変換表にない文字で書き戻し時に内容が壊れるのを防ぐ）
+   */
+  static isRoundTripSafe(buffer, text, info) {
+    return this.encode(text, info).equals(buffer);
+  }
+
+  static _createInfo(encoding, bom) {
+    const label = ENCODING_LABELS[encoding] || encoding;
+    return { encoding, bom, label: bom ? `${label} (BOM)` : label };
+  }
+
+  /**
+   * BOM なし UTF-16 の判定（偶数・奇数位置の NUL の偏り）
+   */
+  static _detectUtf16(buffer) {
+    const sample = buffer.subarray(0, UTF16_SAMPLE_BYTES);
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs < UTF16_MIN_CHARS) {
+      return null;
+    }
+
+    let evenNul = 0;
+    let oddNul = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+      if (sample[i] === 0) {
+        evenNul++;
+      }
+      if (sample[i + 1] === 0) {
+        oddNul++;
+      }
+    }
+
+    if (oddNul / pairs > UTF16_NUL_RATIO && evenNul / pairs < UTF16_OPPOSITE_NUL_RATIO) {
+      return 'utf16le';
+    }
+    if (evenNul / pairs > UTF16_NUL_RATIO && oddNul / pairs < UTF16_OPPOSITE_NUL_RATIO) {
+      return 'utf16be';
+    }
+    return null;
+  }
+
+  static _isValidUtf8(buffer, partial = false) {
+    try {
+      // サンプル末尾で途切れたマルチバイト文字は stream 指定でエラーにしない
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: !!partial });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * EUC-JP として不正なバイト列の数
+   */
+  static _countEucJpErrors(buffer) {
+    let errors = 0;
+    let i = 0;
+    while (i < buffer.length) {
+      const byte = buffer[i];
+      if (this._inRange(byte, BYTE_RANGES.ascii)) {
+        i++;
+      } else if (this._inRange(byte, BYTE_RANGES.eucKanaLead)) {
+        // 半角カナ
+        errors += this._inRange(buffer[i + 1], BYTE_RANGES.halfWidthKana) ? 0 : 1;
+        i += 2;
+      } else if (this._inRange(byte, BYTE_RANGES.eucSupplementLead)) {
+        // 補助漢字（3バイト）
+        const valid =
+          this._inRange(buffer[i + 1], BYTE_RANGES.eucDoubleByte) &&
+          this._inRange(buffer[i + 2], BYTE_RANGES.eucDoubleByte);
+        errors += valid ? 0 : 1;
+        i += 3;
+      } else if (this._inRange(byte, BYTE_RANGES.eucDoubleByte)) {
+        errors += this._inRange(buffer[i + 1], BYTE_RANGES.eucDoubleByte) ? 0 : 1;
+        i += 2;
+      } else {
+        errors++;
+        i++;
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Shift_JIS（CP932）として不正なバイト列の数
+   */
+  static _countShiftJisErrors(buffer) {
+    let errors = 0;
+    let i = 0;
+    while (i < buffer.length) {
+      const byte = buffer[i];
+      if (
+        this._inRange(byte, BYTE_RANGES.ascii) ||
+        this._inRange(byte, BYTE_RANGES.halfWidthKana)
+      ) {
+        // ASCII・半角カナ
+        i++;
+      } else if (
+        this._inRange(byte, BYTE_RANGES.sjisLead) ||
+        this._inRange(byte, BYTE_RANGES.sjisLeadExtended)
+      ) {
+        const trail = buffer[i + 1];
+        const valid =
+          this._inRange(trail, BYTE_RANGES.sjisTrail) ||
+          this._inRange(trail, BYTE_RANGES.sjisTrailExtended);
+        errors += valid ? 0 : 1;
+        i += 2;
+      } else {
+        errors++;
+        i++;
+      }
+    }
+    return errors;
+  }
+
+  static _inRange(byte, range) {
+    return byte !== undefined && byte >= range.min && byte <= range.max;
+  }
+}
+
+module.exports = EncodingDetector;
@@ -1,7 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { dialog } = require('electron');
+const { dialog } = require('./electron-compat');
 const DebugLogger = require('./debug-logger');
+const GlobMatcher = require('./glob-matcher');
 
 /**
  * Multi Grep Replacer - File Operations
@@ -29,6 +30,10 @@ class FileOperations {
   static RANDOM_ID_END_INDEX = 8; // ランダムID終了位置
   static RANDOM_ID_RADIX = 36; // ランダムID基数
 
+  // パーミッションビット（setuid/setgid/sticky を含む）
+  // eslint-disable-next-line no-magic-numbers
+  static PERMISSION_BITS = 0o7777;
+
   // DebugLogger統合ヘルパー
   static async logOperation(operation, data, result) {
     const level = result.success ? 'info' : 'error';
@@ -137,6 +142,56 @@ class FileOperations {
     }
   }
 
+  /**
+   * ファイル一覧（1行に1パス）選択ダイアログ
+   * @param {BrowserWindow} browserWindow - 親ウィンドウ
+   * @returns {Promise<string|null>} 選択されたファイルパス
+   */
+  static async selectFileList(browserWindow) {
+    const operationId = 'file-select-file-list';
+    DebugLogger.startPerformance(operationId);
+
+    try {
+      await DebugLogger.debug('Opening file list dialog');
+
+      const result = await dialog.showOpenDialog(browserWindow, {
+        title: 'Load File List',
+        buttonLabel: 'Load',
+        filters: [
+          { name: 'Text Files', extensions: ['txt', 'lst'] },
+          { name: 'All Files', extensions: ['*'] },
+        ],
+        properties: ['openFile'],
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        await DebugLogger.endPerformance(operationId, {
+          canceled: true,
+          selectedPath: null,
+        });
+        await DebugLogger.debug('File list dialog canceled by user');
+        return null;
+      }
+
+      const [selectedPath] = result.filePaths;
+      await DebugLogger.endPerformance(operationId, {
+        selectedPath,
+        success: true,
+      });
+      await DebugLogger.info('File list selected successfully', { selectedPath });
+
+      return selectedPath;
+    } catch (error) {
+      await DebugLogger.endPerformance(operationId, { success: false });
+      await DebugLogger.logError(error, {
+        operation: 'selectFileList',
+        component: 'FileOperations',
+      });
+
+      throw new Error(`ファイル選択エラー: ${error.message}`);
+    }
+  }
+
   /**
    * 設定ファイル保存ダイアログ
    * @param {BrowserWindow} browserWindow - 親ウィンドウ
@@ -188,6 +243,111 @@ class FileOperations {
     }
   }
 
+  /**
+   * パッチファイル保存ダイアログ
+   * @param {BrowserWindow} browserWindow - 親ウィンドウ
+   * @param {string} defaultName - 既定のファイル名
+   * @returns {Promise<string|null>} 選択されたファイルパス
+   */
+  static async selectSavePatchFile(browserWindow, defaultName = 'multi-grep-replacer.patch') {
+    const operationId = 'file-select-save-patch';
+    DebugLogger.startPerformance(operationId);
+
+    try {
+      await DebugLogger.debug('Opening save patch dialog');
+
+      const result = await dialog.showSaveDialog(browserWindow, {
+        title: 'Save Patch',
+        defaultPath: defaultName,
+        buttonLabel: 'Save',
+        filters: [
+          { name: 'Patch Files', extensions: ['patch', 'diff'] },
+          { name: 'All Files', extensions: ['*'] },
+        ],
+        properties: ['createDirectory', 'showOverwriteConfirmation'],
+      });
+
+      if (result.canceled) {
+        await DebugLogger.endPerformance(operationId, {
+          canceled: true,
+          selectedPath: null,
+        });
+        await DebugLogger.debug('Save patch dialog canceled by user');
+        return null;
+      }
+
+      const selectedPath = result.filePath;
+      await DebugLogger.endPerformance(operationId, {
+        selectedPath,
+        success: true,
+      });
+      await DebugLogger.info('Patch path selected successfully', { selectedPath });
+
+      return selectedPath;
+    } catch (error) {
+      await DebugLogger.logError(error, {
+        operation: 'selectSavePatchFile',
+        component: 'FileOperations',
+      });
+      await DebugLogger.endPerformance(operationId, { success: false });
+
+      throw new Error(`パッチ保存ダイアログエラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * レポート保存ダイアログ
+   * @param {BrowserWindow} browserWindow - 親ウィンドウ
+   * @param {string} defaultName - 既定のファイル名
+   * @param {Object} filter - { name, extension }（レポート形式）
+   * @returns {Promise<string|null>} 選択されたファイルパス
+   */
+  static async selectSaveReportFile(browserWindow, defaultName, filter) {
+    const operationId = 'file-select-save-report';
+    DebugLogger.startPerformance(operationId);
+
+    try {
+      await DebugLogger.debug('Opening save report dialog', { defaultName });
+
+      const result = await dialog.showSaveDialog(browserWindow, {
+        title: 'Export Report',
+        defaultPath: defaultName,
+        buttonLabel: 'Export',
+        filters: [
+          { name: filter.name, extensions: [filter.extension] },
+          { name: 'All Files', extensions: ['*'] },
+        ],
+        properties: ['createDirectory', 'showOverwriteConfirmation'],
+      });
+
+      if (result.canceled) {
+        await DebugLogger.endPerformance(operationId, {
+          canceled: true,
+          selectedPath: null,
+        });
+        await DebugLogger.debug('Save report dialog canceled by user');
+        return null;
+      }
+
+      const selectedPath = result.filePath;
+      await DebugLogger.endPerformance(operationId, {
+        selectedPath,
+        success: true,
+      });
+      await DebugLogger.info('Report path selected successfully', { selectedPath });
+
+      return selectedPath;
+    } catch (error) {
+      await DebugLogger.logError(error, {
+        operation: 'selectSaveReportFile',
+        component: 'FileOperations',
+      });
+      await DebugLogger.endPerformance(operationId, { success: false });
+
+      throw new Error(`レポート保存ダイアログエラー: ${error.message}`);
+    }
+  }
+
   /**
    * ディレクトリ内のファイルを再帰的に検索
    * @param {string} directory - 検索対象ディレクトリ
@@ -210,8 +370,14 @@ class FileOperations {
       // デフォルト除外パターンとマージ
       const allExcludePatterns = [...this.DEFAULT_EXCLUDE_PATTERNS, ...excludePatterns];
 
-      // 再帰的にファイルを検索
-      await this.scanDirectory(directory, files, extensions, allExcludePatterns);
+      // 再帰的にファイルを検索（除外パターンは検索フォルダからの相対パスで判定）
+      await this.scanDirectory(
+        directory,
+        files,
+        extensions,
+        GlobMatcher.compile(allExcludePatterns),
+        directory
+      );
 
       await DebugLogger.endPerformance(operationId, {
         success: true,
@@ -244,22 +410,22 @@ class FileOperations {
    * ディレクトリを再帰的にスキャン（内部メソッド）
    * @private
    */
-  static async scanDirectory(directory, fileList, extensions, excludePatterns) {
+  static async scanDirectory(directory, fileList, extensions, excludeMatchers, rootDirectory) {
     try {
       const entries = await fs.readdir(directory, { withFileTypes: true });
 
       for (const entry of entries) {
         const fullPath = path.join(directory, entry.name);
-        const relativePath = path.relative(process.cwd(), fullPath);
+        const relativePath = path.relative(rootDirectory, fullPath);
 
         // 除外パターンチェック
-        if (this.shouldExclude(relativePath, excludePatterns)) {
+        if (this.shouldExclude(relativePath, excludeMatchers, entry.isDirectory())) {
           continue;
         }
 
         if (entry.isDirectory()) {
           // サブディレクトリを再帰的に検索
-          await this.scanDirectory(fullPath, fileList, extensions, excludePatterns);
+          await this.scanDirectory(fullPath, fileList, extensions, excludeMatchers, rootDirectory);
         } else if (entry.isFile()) {
           // 拡張子チェック
           if (this.matchesExtension(entry.name, extensions)) {
@@ -285,24 +451,9 @@ class FileOperations {
    * 除外パターンチェック
    * @private
    */
-  static shouldExclude(filePath, excludePatterns) {
+  static shouldExclude(filePath, excludeMatchers, isDirectory = false) {
     const normalizedPath = filePath.replace(/\\/g, '/');
-
-    for (const pattern of excludePatterns) {
-      // 簡易的なパターンマッチング
-      const regexPattern = pattern
-        .replace(/\./g, '\\.')
-        .replace(/\*/g, '.*')
-        .replace(/\?/g, '.')
-        .replace(/\//g, '\\/');
-
-      const regex = new RegExp(regexPattern);
-      if (regex.test(normalizedPath)) {
-        return true;
-      }
-    }
-
-    return false;
+    return GlobMatcher.matches(excludeMatchers, normalizedPath, isDirectory);
   }
 
   /**
@@ -399,8 +550,8 @@ class FileOperations {
 
       await DebugLogger.debug('Directory ensured', { directory: dir });
 
-      // ファイル書き込み
-      await fs.writeFile(filePath, content, 'utf8');
+      // ファイル書き込み（一時ファイル経由のアトミック書き込み）
+      await this.writeFileAtomic(filePath, content, { encoding: 'utf8' });
 
       await DebugLogger.endPerformance(operationId, {
         success: true,
@@ -425,6 +576,89 @@ class FileOperations {
     }
   }
 
+  /**
+   * アトミックなファイル書き込み
+   * 同じディレクトリの一時ファイルに書き込んで fsync した後 rename で置き換えるため、
+   * 書き込み途中でクラッシュしても元ファイルが中途半端な状態にならない。
+   * シンボリックリンクはリンク自体を通常ファイルで置き換えない（follow: リンク先を更新 / skip: 書き込まない）。
+   * @param {string} filePath - 書き込み先
+   * @param {string|Buffer} data - 書き込む内容
+   * @param {Object} options - encoding, preservePermissions, preserveTimestamps, symlinkPolicy
+   * @returns {Promise<Object>} { path: 実際に書き込んだパス, symlink, skipped }
+   */
+  static async writeFileAtomic(filePath, data, options = {}) {
+    const {
+      encoding = 'utf8',
+      preservePermissions = true,
+      preserveTimestamps = false,
+      symlinkPolicy = 'follow',
+    } = options;
+
+    let targetPath = filePath;
+    let originalStats = null;
+    let isSymlink = false;
+
+    try {
+      const linkStats = await fs.lstat(filePath);
+      isSymlink = linkStats.isSymbolicLink();
+      if (isSymlink) {
+        if (symlinkPolicy === 'skip') {
+          return { path: filePath, symlink: true, skipped: true };
+        }
+        targetPath = await fs.realpath(filePath);
+      }
+      originalStats = isSymlink ? await fs.stat(targetPath) : linkStats;
+    } catch (error) {
+      // 新規ファイルは保持すべき属性がない
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const tempPath = path.join(
+      path.dirname(targetPath),
+      `.${path.basename(targetPath)}.${process.pid}.${Math.random()
+        .toString(this.RANDOM_ID_RADIX)
+        .substring(this.RANDOM_ID_START_INDEX, this.RANDOM_ID_END_INDEX)}.tmp`
+    );
+
+    let handle = null;
+    try {
+      // 権限を保持しない場合は新規ファイルと同じ既定の mode（umask 適用）で作成
+      const mode = originalStats && preservePermissions ? originalStats.mode : undefined;
+      handle = await fs.open(tempPath, 'wx', mode);
+      await handle.writeFile(data, typeof data === 'string' ? encoding : undefined);
+      await handle.sync();
+      await handle.close();
+      handle = null;
+
+      if (originalStats && preservePermissions) {
+        // open 時の mode は umask の影響を受けるため明示的に設定
+        await fs.chmod(tempPath, originalStats.mode & this.PERMISSION_BITS);
+        try {
+          await fs.chown(tempPath, originalStats.uid, originalStats.gid);
+        } catch (error) {
+          // 所有者の変更は権限がなければ失敗するため可能な範囲で保持
+          await DebugLogger.debug('Ownership not preserved', { filePath, code: error.code });
+        }
+      }
+      if (originalStats && preserveTimestamps) {
+        await fs.utimes(tempPath, originalStats.atime, originalStats.mtime);
+      }
+
+      await fs.rename(tempPath, targetPath);
+    } catch (error) {
+      if (handle) {
+        await handle.close().catch(closeError => closeError);
+      }
+      // 一時ファイルを残さない（作成前の失敗では存在しない）
+      await fs.unlink(tempPath).catch(unlinkError => unlinkError);
+      throw error;
+    }
+
+    return { path: targetPath, symlink: isSymlink, skipped: false };
+  }
+
   /**
    * ファイルアクセス権限チェック
    * @param {string} filePath - ファイルパス
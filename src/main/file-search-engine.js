@@ -2,6 +2,10 @@ const { EventEmitter } = require('events');
 const fs = require('fs').promises;
 const path = require('path');
 const DebugLogger = require('./debug-logger');
+const EncodingDetector = require('./encoding-detector');
+const BinaryDetector = require('./binary-detector');
+const IgnoreRules = require('./ignore-rules');
+const GlobMatcher = require('./glob-matcher');
 
 // Constants
 const DEFAULT_EXCLUDE_PATTERNS = [
@@ -27,29 +31,47 @@ const DEFAULT_EXCLUDE_PATTERNS = [
   '.svelte-kit',
 ];
 
+// The repository metadata directory is never a search target, whatever the exclude patterns say
+const ALWAYS_EXCLUDED_PATTERNS = ['.git/'];
+
 const MAX_CONCURRENT_OPERATIONS = 10;
 const MAX_FILE_SIZE_MB = 100;
 const MAX_FILE_SIZE_BYTES = MAX_FILE_SIZE_MB * 1024 * 1024;
 const PROGRESS_UPDATE_INTERVAL_MS = 100;
+const SNIFF_SAMPLE_KB = 64; // Head of file used for encoding / binary detection
+const SNIFF_SAMPLE_BYTES = SNIFF_SAMPLE_KB * 1024;
 
 class FileSearchEngine extends EventEmitter {
   constructor(options = {}) {
     super();
     this.excludePatterns = options.excludePatterns || DEFAULT_EXCLUDE_PATTERNS;
     this.maxFileSize = options.maxFileSize || MAX_FILE_SIZE_BYTES;
+    this.fileSizeLimit = this.maxFileSize; // Per search: options.maxFileSize, else the default above
     this.maxConcurrency = options.maxConcurrency || MAX_CONCURRENT_OPERATIONS;
     this.searchAbortController = null;
     this.lastProgressUpdate = 0;
     this.cache = new Map();
+    this.encodingOptions = {};
+    this.searchRoot = null;
+    this.excludeMatchers = [];
+    this.includeMatchers = [];
+    this.traversal = {
+      maxDepth: Infinity,
+      includeHiddenFiles: true,
+      includeHiddenDirectories: true,
+      followSymlinks: 'none', // none | files | all (files and directories)
+    };
     this.stats = {
       totalFiles: 0,
       totalDirectories: 0,
       skippedFiles: 0,
+      ignoredEntries: 0, // Entries excluded by .gitignore / .ignore / .mgrignore
+      skipped: [], // { path, reason, detail }
       errors: [],
     };
   }
 
-  async searchFiles(directory, extensions = [], _options = {}) {
+  async searchFiles(directory, extensions = [], options = {}) {
     const searchId = `search-${Date.now()}`;
 
     try {
@@ -58,8 +80,13 @@ class FileSearchEngine extends EventEmitter {
         searchId,
         directory,
         extensions,
-        excludePatterns: this.excludePatterns.slice(0, 5), // Log first 5 patterns
-        maxFileSize: `${MAX_FILE_SIZE_MB}MB`,
+        excludePatterns: (options.excludePatterns || this.excludePatterns).slice(0, 5), // Log first 5 patterns
+        includePatterns: options.includePatterns || [],
+        respectIgnoreFiles: !!options.respectIgnoreFiles,
+        includeSubdirectories: options.includeSubdirectories !== false,
+        maxDepth: options.maxDepth,
+        followSymlinks: options.followSymlinks || 'none',
+        maxFileSize: FileSearchEngine.formatSize(options.maxFileSize || this.maxFileSize),
         timestamp: new Date().toISOString(),
       });
 
@@ -70,9 +97,35 @@ class FileSearchEngine extends EventEmitter {
         totalFiles: 0,
         totalDirectories: 0,
         skippedFiles: 0,
+        ignoredEntries: 0,
+        skipped: [],
         errors: [],
       };
 
+      // Encoding detection settings (default + per-extension overrides) and size limit
+      this.encodingOptions = {
+        encoding: options.encoding,
+        encodingOverrides: options.encodingOverrides,
+      };
+      this.fileSizeLimit = options.maxFileSize || this.maxFileSize;
+
+      // Include / exclude globs are matched against the path relative to the search root
+      this.searchRoot = path.resolve(directory);
+      this.excludeMatchers = GlobMatcher.compile([
+        ...ALWAYS_EXCLUDED_PATTERNS,
+        ...(options.excludePatterns || this.excludePatterns),
+      ]);
+      this.includeMatchers = GlobMatcher.compile(options.includePatterns);
+
+      // Traversal: depth limit (0 = search root only), hidden entries and symlinks
+      this.traversal = {
+        maxDepth:
+          options.includeSubdirectories === false ? 0 : this._normalizeMaxDepth(options.maxDepth),
+        includeHiddenFiles: options.includeHiddenFiles !== false,
+        includeHiddenDirectories: options.includeHiddenDirectories !== false,
+        followSymlinks: options.followSymlinks || 'none',
+      };
+
       // Create abort controller for cancellation
       this.searchAbortController = new AbortController();
 
@@ -82,9 +135,29 @@ class FileSearchEngine extends EventEmitter {
       // Normalize extensions
       const normalizedExtensions = this._normalizeExtensions(extensions);
 
+      // Ignore files above the search root (up to the git repository root) also apply
+      const ignoreRules = options.respectIgnoreFiles
+        ? await IgnoreRules.loadAncestors(directory)
+        : null;
+
+      // Real paths of the directories being walked, for symlink loop detection
+      const ancestors =
+        this.traversal.followSymlinks === 'all' ? [await fs.realpath(directory)] : [];
+
       // Perform search
-      const results = [];
-      await this._searchRecursive(directory, normalizedExtensions, results, searchId);
+      let results = [];
+      await this._searchRecursive(
+        directory,
+        normalizedExtensions,
+        results,
+        searchId,
+        0,
+        ignoreRules,
+        ancestors
+      );
+      if (this.traversal.followSymlinks !== 'none') {
+        results = await this._removeDuplicateFiles(results);
+      }
 
       // Log completion
       const performanceResult = await DebugLogger.endPerformance(searchId);
@@ -115,6 +188,179 @@ class FileSearchEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Search the files targeted by an execution config
+   * ({ targetFolder, targetFolders, targetFiles, extensions, options }).
+   * Shared by the IPC handlers and the CLI so both resolve the same file set.
+   * options.excludePatterns / includePatterns come from target_settings; without
+   * excludePatterns the engine's default exclusions apply.
+   *
+   * Overlapping roots are searched once, explicitly listed files bypass the extension and
+   * include filters, and a file found more than once is listed once. Each file carries the
+   * root it was found under (null for listed files outside every root). basePath is the
+   * common parent of all targets, used for relative display paths and patches.
+   */
+  async searchTargetFiles(config) {
+    const roots = FileSearchEngine.normalizeRoots(FileSearchEngine.getTargetFolders(config));
+    const extensions = config.extensions ? config.extensions.split(',').map(ext => ext.trim()) : [];
+    const targetFiles = (config.targetFiles || []).map(filePath => path.resolve(filePath));
+
+    const files = [];
+    const seen = new Set();
+    const stats = {
+      totalFiles: 0,
+      totalDirectories: 0,
+      skippedFiles: 0,
+      ignoredEntries: 0,
+      skipped: [],
+      errors: [],
+    };
+    const collect = (result, getRoot) => {
+      result.files.forEach(file => {
+        const key = path.resolve(file.path);
+        if (!seen.has(key)) {
+          seen.add(key);
+          files.push({ ...file, root: getRoot(file) });
+        }
+      });
+      Object.keys(stats).forEach(key => {
+        stats[key] = Array.isArray(stats[key])
+          ? [...stats[key], ...(result.stats[key] || [])]
+          : stats[key] + (result.stats[key] || 0);
+      });
+    };
+
+    for (const root of roots) {
+      collect(await this.searchFiles(root, extensions, config.options), () => root);
+    }
+    if (targetFiles.length > 0) {
+      collect(await this.inspectFiles(targetFiles, config.options), file =>
+        FileSearchEngine.findRoot(file.path, roots)
+      );
+    }
+    this.stats = stats;
+
+    return {
+      files,
+      stats,
+      roots: roots.map(root => ({
+        path: root,
+        fileCount: files.filter(file => file.root === root).length,
+      })),
+      basePath: FileSearchEngine.getBasePath([...roots, ...targetFiles.map(path.dirname)]),
+    };
+  }
+
+  /**
+   * Sniff explicitly listed files (encoding, binary, size, permissions) without applying
+   * the extension, include / exclude or ignore-file filters.
+   */
+  async inspectFiles(filePaths, options = {}) {
+    this.stats = {
+      totalFiles: 0,
+      totalDirectories: 0,
+      skippedFiles: 0,
+      ignoredEntries: 0,
+      skipped: [],
+      errors: [],
+    };
+    this.encodingOptions = {
+      encoding: options.encoding,
+      encodingOverrides: options.encodingOverrides,
+    };
+    this.fileSizeLimit = options.maxFileSize || this.maxFileSize;
+
+    const results = [];
+    for (const filePath of filePaths) {
+      await this._processFile(filePath, path.basename(filePath), [], results);
+    }
+
+    await DebugLogger.info('Listed files inspected', {
+      listed: filePaths.length,
+      filesFound: results.length,
+      skipped: this.stats.skippedFiles,
+      errors: this.stats.errors.length,
+    });
+
+    return { files: results, stats: this.stats };
+  }
+
+  /**
+   * Roots of an execution config: targetFolders, or the single targetFolder.
+   */
+  static getTargetFolders(config) {
+    const folders = config.targetFolders?.length ? config.targetFolders : [config.targetFolder];
+    return folders.filter(Boolean);
+  }
+
+  /**
+   * Resolve roots and drop duplicates and roots nested inside another root.
+   */
+  static normalizeRoots(folders) {
+    const resolved = [...new Set(folders.map(folder => path.resolve(folder)))];
+    return resolved.filter(
+      root => !resolved.some(other => other !== root && FileSearchEngine.isInside(root, other))
+    );
+  }
+
+  /**
+   * The root containing a file (the deepest one), or null.
+   */
+  static findRoot(filePath, roots) {
+    return (
+      roots
+        .filter(root => FileSearchEngine.isInside(filePath, root))
+        .sort((a, b) => b.length - a.length)[0] || null
+    );
+  }
+
+  static isInside(filePath, directory) {
+    const relative = path.relative(directory, filePath);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Deepest directory containing every given directory ('' when there are none).
+   */
+  static getBasePath(directories) {
+    if (directories.length === 0) {
+      return '';
+    }
+    return directories
+      .map(directory => path.resolve(directory))
+      .reduce((base, directory) => {
+        let current = base;
+        while (current !== directory && !FileSearchEngine.isInside(directory, current)) {
+          const parent = path.dirname(current);
+          if (parent === current) {
+            break;
+          }
+          current = parent;
+        }
+        return current;
+      });
+  }
+
+  /**
+   * Size for skip details and logs (MB, or KB below 1MB).
+   */
+  static formatSize(bytes) {
+    const megabytes = bytes / 1024 / 1024;
+    return megabytes >= 1 ? `${Math.round(megabytes)}MB` : `${Math.ceil(bytes / 1024)}KB`;
+  }
+
+  /**
+   * Parse a file list (one path per line; blank lines and # comments are ignored).
+   * Relative paths are resolved against baseDir, e.g. the list file's directory.
+   */
+  static parseFileList(content, baseDir) {
+    return content
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => path.resolve(baseDir, line));
+  }
+
   async _validateDirectory(directory) {
     try {
       const stats = await fs.stat(directory);
@@ -147,7 +393,19 @@ class FileSearchEngine extends EventEmitter {
     });
   }
 
-  async _searchRecursive(directory, extensions, results, searchId, depth = 0) {
+  /**
+   * ignoreRules is null when ignore files are not respected; otherwise it holds the rules
+   * inherited from parent directories, and this directory's ignore files are appended.
+   */
+  async _searchRecursive(
+    directory,
+    extensions,
+    results,
+    searchId,
+    depth = 0,
+    ignoreRules = null,
+    ancestors = []
+  ) {
     // Check if search was cancelled
     if (this.searchAbortController?.signal.aborted) {
       throw new Error('Search cancelled');
@@ -157,6 +415,16 @@ class FileSearchEngine extends EventEmitter {
       const entries = await fs.readdir(directory, { withFileTypes: true });
       this.stats.totalDirectories++;
 
+      const rules = ignoreRules
+        ? [
+            ...ignoreRules,
+            ...(await IgnoreRules.load(
+              directory,
+              entries.map(entry => entry.name)
+            )),
+          ]
+        : null;
+
       // Process entries in batches for better performance
       const batchSize = 10;
       for (let i = 0; i < entries.length; i += batchSize) {
@@ -165,19 +433,51 @@ class FileSearchEngine extends EventEmitter {
         await Promise.all(
           batch.map(async entry => {
             const fullPath = path.join(directory, entry.name);
+            const relativePath = this._getRelativePath(fullPath);
 
             try {
-              if (entry.isDirectory()) {
-                // Check if directory should be excluded
-                if (!this._shouldExclude(entry.name, fullPath)) {
-                  await this._searchRecursive(fullPath, extensions, results, searchId, depth + 1);
-                } else {
-                  await DebugLogger.trace('Directory excluded', {
-                    path: fullPath,
-                    reason: 'matches exclude pattern',
-                  });
+              // Symlinks resolve to their target's type; null when not searched
+              const type = await this._getEntryType(entry, fullPath);
+              const isDirectory = type === 'directory';
+
+              if (!type) {
+                await DebugLogger.trace('Entry excluded', {
+                  path: fullPath,
+                  reason: 'not a regular file or followed symlink',
+                });
+              } else if (this._shouldExclude(relativePath, isDirectory)) {
+                await DebugLogger.trace('Entry excluded', {
+                  path: fullPath,
+                  reason: 'matches exclude pattern',
+                });
+              } else if (rules && IgnoreRules.isIgnored(rules, fullPath, isDirectory)) {
+                this.stats.ignoredEntries++;
+                await DebugLogger.trace('Entry excluded', {
+                  path: fullPath,
+                  reason: 'matches ignore file',
+                });
+              } else if (!this._isTraversable(entry.name, isDirectory, depth)) {
+                await DebugLogger.trace('Entry excluded', {
+                  path: fullPath,
+                  reason: 'hidden or beyond max depth',
+                });
+              } else if (isDirectory) {
+                const realPath =
+                  this.traversal.followSymlinks === 'all' ? await fs.realpath(fullPath) : null;
+                if (realPath && ancestors.includes(realPath)) {
+                  await DebugLogger.debug('Symlink loop skipped', { path: fullPath, realPath });
+                  return;
                 }
-              } else if (entry.isFile()) {
+                await this._searchRecursive(
+                  fullPath,
+                  extensions,
+                  results,
+                  searchId,
+                  depth + 1,
+                  rules,
+                  realPath ? [...ancestors, realPath] : ancestors
+                );
+              } else if (this._matchesInclude(relativePath)) {
                 // Process file
                 await this._processFile(fullPath, entry.name, extensions, results);
               }
@@ -233,12 +533,14 @@ class FileSearchEngine extends EventEmitter {
       // Check file size
       const stats = await fs.stat(fullPath);
 
-      if (stats.size > this.maxFileSize) {
-        this.stats.skippedFiles++;
+      if (stats.size > this.fileSizeLimit) {
+        const size = FileSearchEngine.formatSize(stats.size);
+        const limit = FileSearchEngine.formatSize(this.fileSizeLimit);
+        this._recordSkip(fullPath, 'too-large', `${size} > ${limit}`);
         await DebugLogger.debug('File skipped due to size', {
           path: fullPath,
-          size: `${Math.round(stats.size / 1024 / 1024)}MB`,
-          limit: `${MAX_FILE_SIZE_MB}MB`,
+          size,
+          limit,
         });
         return;
       }
@@ -247,7 +549,7 @@ class FileSearchEngine extends EventEmitter {
       try {
         await fs.access(fullPath, fs.constants.R_OK | fs.constants.W_OK);
       } catch (error) {
-        this.stats.skippedFiles++;
+        this._recordSkip(fullPath, 'permission-denied', error.code);
         await DebugLogger.debug('File skipped due to permissions', {
           path: fullPath,
           error: error.code,
@@ -255,12 +557,30 @@ class FileSearchEngine extends EventEmitter {
         return;
       }
 
+      // Sniff the head of the file for encoding and binary content
+      const { sample, partial } = await this._readSample(fullPath, stats.size);
+      const encodingInfo = EncodingDetector.resolve(sample, fullPath, {
+        ...this.encodingOptions,
+        partial,
+      });
+
+      const binary = BinaryDetector.detect(sample, encodingInfo);
+      if (binary) {
+        this._recordSkip(fullPath, binary.reason, binary.detail);
+        await DebugLogger.debug('File skipped as binary', {
+          path: fullPath,
+          detail: binary.detail,
+        });
+        return;
+      }
+
       // Add to results
       results.push({
         path: fullPath,
         name: filename,
         size: stats.size,
         modified: stats.mtime,
+        encoding: encodingInfo.label,
       });
 
       this.stats.totalFiles++;
@@ -272,17 +592,93 @@ class FileSearchEngine extends EventEmitter {
     }
   }
 
-  _shouldExclude(name, _fullPath) {
-    // Check against exclude patterns
-    return this.excludePatterns.some(pattern => {
-      // Simple pattern matching (could be enhanced with glob patterns)
-      if (pattern.includes('*')) {
-        // Basic wildcard support
-        const regex = new RegExp(`^${pattern.replace(/\*/g, '.*')}$`);
-        return regex.test(name);
+  async _readSample(fullPath, size) {
+    const handle = await fs.open(fullPath, 'r');
+    try {
+      const length = Math.min(size, SNIFF_SAMPLE_BYTES);
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+      return { sample: buffer.subarray(0, bytesRead), partial: size > bytesRead };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  _recordSkip(fullPath, reason, detail) {
+    this.stats.skippedFiles++;
+    this.stats.skipped.push({ path: fullPath, reason, detail });
+  }
+
+  _normalizeMaxDepth(maxDepth) {
+    return Number.isInteger(maxDepth) && maxDepth >= 0 ? maxDepth : Infinity;
+  }
+
+  async _getEntryType(entry, fullPath) {
+    if (entry.isDirectory()) {
+      return 'directory';
+    }
+    if (entry.isFile()) {
+      return 'file';
+    }
+    if (!entry.isSymbolicLink() || this.traversal.followSymlinks === 'none') {
+      return null;
+    }
+
+    try {
+      const stats = await fs.stat(fullPath);
+      if (stats.isFile()) {
+        return 'file';
+      }
+      return stats.isDirectory() && this.traversal.followSymlinks === 'all' ? 'directory' : null;
+    } catch (error) {
+      // Broken link
+      return null;
+    }
+  }
+
+  _isTraversable(name, isDirectory, depth) {
+    const hidden = name.startsWith('.');
+    if (isDirectory) {
+      return (
+        depth < this.traversal.maxDepth && (!hidden || this.traversal.includeHiddenDirectories)
+      );
+    }
+    return !hidden || this.traversal.includeHiddenFiles;
+  }
+
+  /**
+   * A file reachable through several paths (symlinks) is listed once, so it is not replaced
+   * twice. Its real path is preferred over a path through a link.
+   */
+  async _removeDuplicateFiles(files) {
+    const realPaths = await Promise.all(files.map(file => fs.realpath(file.path)));
+    const chosen = new Map();
+
+    files.forEach((file, index) => {
+      const realPath = realPaths[index];
+      const current = chosen.get(realPath);
+      if (!current || (current.path !== realPath && path.resolve(file.path) === realPath)) {
+        chosen.set(realPath, file);
       }
-      return name === pattern || name.startsWith(`${pattern}.`);
     });
+
+    const unique = new Set(chosen.values());
+    return files.filter(file => unique.has(file));
+  }
+
+  _getRelativePath(fullPath) {
+    return path.relative(this.searchRoot, fullPath).split(path.sep).join('/');
+  }
+
+  _shouldExclude(relativePath, isDirectory) {
+    // Excluded directories are pruned, so nothing below them is visited
+    return GlobMatcher.matches(this.excludeMatchers, relativePath, isDirectory);
+  }
+
+  _matchesInclude(relativePath) {
+    // Without include patterns every file is a candidate (extensions still apply)
+    return (
+      this.includeMatchers.length === 0 || GlobMatcher.matches(this.includeMatchers, relativePath)
+    );
   }
 
   _matchesExtension(filename, extensions) {
@@ -0,0 +1,167 @@
+/**
+ * glob-matcher.js - 検索フォルダからの相対パスに対するグロブ判定
+ *
+ * 対象ファイル（include）・除外（exclude）パターンに使用する。
+ * / を含まないパターンは任意の階層の名前に一致し（*.min.js, node_modules）、
+ * / を含むパターンは検索フォルダからの相対パスに一致する（src/**, docs/*.{md,txt}）。
+ * 末尾が / のパターンはディレクトリのみに一致する。
+ */
+
+// 定数定義
+const REGEX_SPECIAL_CHARS = /[.*+?^${}()|[\]\\]/g;
+
+class GlobMatcher {
+  /**
+   * パターン一覧を判定用に変換（空のパターンは無視）
+   * @param {Array<string>} patterns - グロブパターン
+   * @returns {Array<Object>} { pattern, dirOnly, regex }
+   */
+  static compile(patterns = []) {
+    return patterns
+      .map(pattern => (typeof pattern === 'string' ? pattern.trim() : ''))
+      .filter(Boolean)
+      .map(pattern => this.compilePattern(pattern));
+  }
+
+  static compilePattern(pattern) {
+    let glob = pattern.replace(/^\.\//, '');
+    const dirOnly = glob.endsWith('/');
+    if (dirOnly) {
+      glob = glob.slice(0, -1);
+    }
+    const anchored = glob.includes('/');
+    glob = glob.replace(/^\//, '');
+
+    return {
+      pattern,
+      dirOnly,
+      regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${this.globToRegex(glob)}$`),
+    };
+  }
+
+  /**
+   * いずれかのパターンに一致するか
+   * ディレクトリは「dir/**」にも一致するものとして判定し、配下をまとめて除外できるようにする
+   * @param {Array<Object>} matchers - compile() の結果
+   * @param {string} relativePath - / 区切りの相対パス
+   * @param {boolean} isDirectory - ディレクトリか
+   * @returns {boolean}
+   */
+  static matches(matchers, relativePath, isDirectory = false) {
+    return matchers.some(
+      ({ dirOnly, regex }) =>
+        (!dirOnly || isDirectory) &&
+        (regex.test(relativePath) || (isDirectory && regex.test(`${relativePath}/`)))
+    );
+  }
+
+  /**
+   * グロブを正規表現のソースに変換
+   * **（区切りに挟まれたもののみ複数階層）、*、?、[...]（[!...] は否定）、{a,b} に対応
+   * @param {string} glob - グロブ
+   * @param {Object} options - { braces: false で { } を文字として扱う（gitignore 用） }
+   * @returns {string}
+   */
+  static globToRegex(glob, { braces = true } = {}) {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '\\' && i + 1 < glob.length) {
+        i++;
+        source += this.escapeRegex(glob[i]);
+      } else if (char === '*' && glob[i + 1] === '*' && this._isSegment(glob, i, braceDepth)) {
+        i++;
+        if (glob[i + 1] === '/') {
+          // **/ は0個以上のディレクトリ
+          source += '(?:.*/)?';
+          i++;
+        } else {
+          // 末尾の ** は配下のすべて
+          source += '.*';
+        }
+      } else if (char === '*') {
+        // 単独の * と、区切りに挟まれていない ** は / 以外の任意の文字列
+        source += '[^/]*';
+        while (glob[i + 1] === '*') {
+          i++;
+        }
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const close = this._findClassEnd(glob, i);
+        if (close === -1) {
+          source += '\\[';
+        } else {
+          const body = glob.slice(i + 1, close);
+          source += `[${/^[!^]/.test(body) ? `^${body.slice(1)}` : body}]`;
+          i = close;
+        }
+      } else if (braces && char === '{' && this._findBraceEnd(glob, i) !== -1) {
+        braceDepth++;
+        source += '(?:';
+      } else if (braceDepth > 0 && char === ',') {
+        source += '|';
+      } else if (braceDepth > 0 && char === '}') {
+        braceDepth--;
+        source += ')';
+      } else {
+        source += this.escapeRegex(char);
+      }
+    }
+
+    return source;
+  }
+
+  static escapeRegex(text) {
+    return text.replace(REGEX_SPECIAL_CHARS, '\\$&');
+  }
+
+  /**
+   * ** がパスの区切り（先頭・末尾・/、ブレース内では , { } も）に挟まれているか
+   */
+  static _isSegment(glob, index, braceDepth) {
+    const before = index === 0 ? '/' : glob[index - 1];
+    const after = index + 2 === glob.length ? '/' : glob[index + 2];
+    const separators = braceDepth > 0 ? '/,{}' : '/';
+    return separators.includes(before) && separators.includes(after);
+  }
+
+  /**
+   * 文字クラスの閉じ括弧の位置（先頭の ] は文字として扱う）
+   */
+  static _findClassEnd(glob, start) {
+    let index = start + 1;
+    if (glob[index] === '!' || glob[index] === '^') {
+      index++;
+    }
+    if (glob[index] === ']') {
+      index++;
+    }
+    return glob.indexOf(']', index);
+  }
+
+  /**
+   * 対応する } の位置（なければ -1 で、{ は文字として扱う）
+   */
+  static _findBraceEnd(glob, start) {
+    let depth = 0;
+    for (let i = start; i < glob.length; i++) {
+      if (glob[i] === '\\') {
+        i++;
+      } else if (glob[i] === '{') {
+        depth++;
+      } else if (glob[i] === '}') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+}
+
+module.exports = GlobMatcher;
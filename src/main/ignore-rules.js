@@ -0,0 +1,176 @@
+/**
+ * ignore-rules.js - .gitignore 形式の除外ルール
+ *
+ * .gitignore / .ignore / .mgrignore をディレクトリごとに読み込み、gitignore と同じ規則で判定する。
+ * 否定（!）、先頭・途中の / による位置の固定、**、末尾 / のディレクトリ限定に対応する。
+ * 後に書かれたルールほど優先され、深い階層のファイルのルールは浅い階層より優先される。
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const GlobMatcher = require('./glob-matcher');
+
+// 定数定義（同じディレクトリでは後のファイルほど優先：git → 汎用 → 本アプリ専用）
+const IGNORE_FILES = ['.gitignore', '.ignore', '.mgrignore'];
+const GIT_EXCLUDE_FILE = path.join('.git', 'info', 'exclude');
+
+class IgnoreRules {
+  static IGNORE_FILES = IGNORE_FILES;
+
+  /**
+   * ignore ファイルの内容をルールに変換
+   * @param {string} content - ファイル内容
+   * @param {string} baseDir - ignore ファイルのあるディレクトリ（パターンの基準）
+   * @returns {Array<Object>} { pattern, negate, dirOnly, regex, baseDir }
+   */
+  static parse(content, baseDir) {
+    return content
+      .split(/\r?\n/)
+      .map(line => this.parseLine(line, baseDir))
+      .filter(Boolean);
+  }
+
+  static parseLine(line, baseDir) {
+    // 末尾の空白は \ でエスケープされていなければ無視
+    let end = line.length;
+    while (end > 0 && line[end - 1] === ' ' && line[end - 2] !== '\\') {
+      end--;
+    }
+    let pattern = line.slice(0, end);
+    if (!pattern || pattern.startsWith('#')) {
+      return null;
+    }
+
+    const negate = pattern.startsWith('!');
+    if (negate) {
+      pattern = pattern.slice(1);
+    }
+    const dirOnly = pattern.endsWith('/') && !pattern.endsWith('\\/');
+    if (dirOnly) {
+      pattern = pattern.slice(0, -1);
+    }
+
+    // 先頭・途中に / があれば ignore ファイルの場所からの相対パス、なければ任意の階層の名前に一致
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) {
+      pattern = pattern.slice(1);
+    }
+    if (!pattern) {
+      return null;
+    }
+
+    return {
+      pattern: line.trim(),
+      negate,
+      dirOnly,
+      regex: new RegExp(
+        `^${anchored ? '' : '(?:.*/)?'}${GlobMatcher.globToRegex(pattern, { braces: false })}$`
+      ),
+      baseDir,
+    };
+  }
+
+  /**
+   * 除外判定（最後に一致したルールで決まり、否定ルールなら除外しない）
+   * 除外したディレクトリの配下は探索しないため、gitignore と同様に配下の再包含はできない
+   * @param {Array<Object>} rules - 浅い階層から順に連結したルール
+   * @param {string} fullPath - 判定するパス
+   * @param {boolean} isDirectory - ディレクトリか
+   * @returns {boolean}
+   */
+  static isIgnored(rules, fullPath, isDirectory) {
+    const relativePaths = new Map();
+
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const rule = rules[i];
+      if (rule.dirOnly && !isDirectory) {
+        continue;
+      }
+
+      if (!relativePaths.has(rule.baseDir)) {
+        relativePaths.set(
+          rule.baseDir,
+          path.relative(rule.baseDir, fullPath).split(path.sep).join('/')
+        );
+      }
+      if (rule.regex.test(relativePaths.get(rule.baseDir))) {
+        return !rule.negate;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * ディレクトリ内の ignore ファイルを読み込む
+   * @param {string} directory - ディレクトリ
+   * @param {Array<string>} entryNames - ディレクトリ内の名前（読み込みを存在するファイルに限る）
+   * @returns {Promise<Array<Object>>} ルール（ignore ファイルがなければ空）
+   */
+  static async load(directory, entryNames = IGNORE_FILES) {
+    const rules = [];
+
+    for (const name of IGNORE_FILES.filter(file => entryNames.includes(file))) {
+      const content = await this._readIfExists(path.join(directory, name));
+      if (content !== null) {
+        rules.push(...this.parse(content, directory));
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * 検索フォルダより上の階層のルール（git リポジトリのルートから親フォルダまで）
+   * リポジトリ内のサブフォルダを対象にしても、リポジトリ全体と同じ除外になるようにする
+   * .git/info/exclude は最も優先度が低い
+   * @param {string} directory - 検索フォルダ
+   * @returns {Promise<Array<Object>>} ルール（リポジトリ外なら空）
+   */
+  static async loadAncestors(directory) {
+    const ancestors = [];
+    let current = path.resolve(directory);
+
+    while (!(await this._exists(path.join(current, '.git')))) {
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return [];
+      }
+      current = parent;
+      ancestors.unshift(current);
+    }
+
+    const rules = [];
+    const exclude = await this._readIfExists(path.join(current, GIT_EXCLUDE_FILE));
+    if (exclude !== null) {
+      rules.push(...this.parse(exclude, current));
+    }
+    for (const ancestor of ancestors) {
+      rules.push(...(await this.load(ancestor)));
+    }
+
+    return rules;
+  }
+
+  static async _exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static async _readIfExists(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR' || error.code === 'EISDIR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = IgnoreRules;
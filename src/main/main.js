@@ -6,6 +6,10 @@ const ConfigManager = require('./config-manager');
 const FileOperations = require('./file-operations');
 const FileSearchEngine = require('./file-search-engine');
 const ReplacementEngine = require('./replacement-engine');
+const RuleAnalyzer = require('./rule-analyzer');
+const BackupManager = require('./backup-manager');
+const ReportGenerator = require('./report-generator');
+const RunHistory = require('./run-history');
 const DebugLogger = require('./debug-logger');
 const PerformanceOptimizer = require('./performance-optimizer');
 const MemoryManager = require('./memory-manager');
@@ -13,6 +17,11 @@ const MemoryManager = require('./memory-manager');
 // Vibe Logger初期化（グローバル） - 動的import後に初期化
 global.vibeLogger = null;
 
+// 差分プレビューのページング
+const DEFAULT_DIFF_PAGE_SIZE = 20;
+const MAX_DIFF_SESSIONS = 5; // 古いセッションから破棄
+const MAX_REVIEW_SESSIONS = 5;
+
 /**
  * Multi Grep Replacer - Main Process
  * Electronアプリケーションのエントリーポイント
@@ -25,6 +34,16 @@ class MultiGrepReplacerApp {
     this.initializationTracker = 'app-initialization';
     this.fileSearchEngine = new FileSearchEngine();
     this.replacementEngine = new ReplacementEngine();
+    // 実行ごとの設定はこの既定値に重ねる（前の実行の dryRun 等を共有エンジンに残さない）
+    this.engineOptions = { ...this.replacementEngine.options };
+    this.backupManager = new BackupManager(path.join(app.getPath('userData'), 'backups'));
+    this.replacementEngine.setBackupManager(this.backupManager);
+    this.runHistory = new RunHistory(path.join(app.getPath('userData'), 'history'));
+    this.diffSessions = new Map(); // sessionId → 差分プレビュー結果
+    this.reviewSessions = new Map(); // reviewId → { review, config, basePath, roots }
+    this.lastRun = null; // 直近の置換実行の記録（レポート出力用、ReportGenerator.createRun の結果）
+    this.grepEngine = null; // 検索のみ実行中のエンジン（キャンセル用）
+    this.replacementPending = false; // 置換実行の対象ファイル検索中（置換エンジンはまだ使用していない）
     this.performanceOptimizer = null; // 初期化後に設定
     this.memoryManager = null; // 初期化後に設定
 
@@ -736,6 +755,57 @@ class MultiGrepReplacerApp {
       }
     });
 
+    // 置換設定の対象（複数フォルダ + 個別指定ファイル）を検索
+    ipcMain.handle('search-targets', async (event, config) => {
+      const operationId = 'ipc-search-targets';
+      DebugLogger.startPerformance(operationId);
+
+      try {
+        const result = await this.searchTargetFiles(config);
+
+        await DebugLogger.endPerformance(operationId, {
+          success: true,
+          roots: result.roots.length,
+          filesFound: result.files.length,
+        });
+        return { success: true, result };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'search-targets',
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // ファイル一覧の読み込み（相対パスは一覧ファイルの場所から解決）
+    ipcMain.handle('load-file-list', async () => {
+      const operationId = 'ipc-load-file-list';
+      DebugLogger.startPerformance(operationId);
+
+      try {
+        const filePath = await FileOperations.selectFileList(this.mainWindow);
+        if (!filePath) {
+          await DebugLogger.endPerformance(operationId, { success: true, canceled: true });
+          return { success: true, canceled: true };
+        }
+
+        const content = await FileOperations.readFileContent(filePath);
+        const paths = FileSearchEngine.parseFileList(content, path.dirname(filePath));
+
+        await DebugLogger.endPerformance(operationId, { success: true, count: paths.length });
+        return { success: true, canceled: false, filePath, paths };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'load-file-list',
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
     // ファイル検索キャンセル
     ipcMain.handle('cancel-search', async () => {
       const operationId = 'ipc-cancel-search';
@@ -787,6 +857,9 @@ class MultiGrepReplacerApp {
           options,
         });
 
+        // 実行中の処理の進捗通知先を変えないよう、リスナー設定前に確認
+        this.assertReplacementIdle();
+
         // 進捗通知の設定
         this.replacementEngine.removeAllListeners('progress');
         this.replacementEngine.removeAllListeners('start');
@@ -809,10 +882,8 @@ class MultiGrepReplacerApp {
           event.sender.send('replacement-error', errorData);
         });
 
-        // 置換エンジンのオプション設定
-        this.replacementEngine.options = { ...this.replacementEngine.options, ...options };
-
-        const result = await this.replacementEngine.processFiles(files, rules);
+        // オプションはこの実行のみに適用
+        const result = await this.replacementEngine.processFiles(files, rules, { options });
 
         await DebugLogger.endPerformance(operationId, {
           success: true,
@@ -890,6 +961,232 @@ class MultiGrepReplacerApp {
       }
     });
 
+    // ルール競合・連鎖解析
+    ipcMain.handle('analyze-rules', async (event, rules, options = {}) => {
+      const operationId = 'ipc-analyze-rules';
+      DebugLogger.startPerformance(operationId);
+
+      try {
+        const analyzer = new RuleAnalyzer({ ...this.engineOptions, ...options });
+        const analysis = analyzer.analyze(rules);
+
+        await DebugLogger.endPerformance(operationId, {
+          success: true,
+          issueCount: analysis.issues.length,
+        });
+        return { success: true, analysis };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'analyze-rules',
+          ruleCount: rules.length,
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // バックアップ一覧取得
+    ipcMain.handle('list-backups', async () => {
+      const operationId = 'ipc-list-backups';
+      DebugLogger.startPerformance(operationId);
+
+      try {
+        const runs = await this.backupManager.listRuns();
+        await DebugLogger.endPerformance(operationId, { success: true, count: runs.length });
+        return { success: true, runs };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'list-backups',
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 置換実行のロールバック
+    ipcMain.handle('rollback-run', async (event, processId, options = {}) => {
+      const operationId = 'ipc-rollback-run';
+      DebugLogger.startPerformance(operationId);
+
+      try {
+        if (this.isReplacementBusy()) {
+          throw new Error('Cannot roll back while replacement is in progress');
+        }
+
+        await DebugLogger.info('Rolling back replacement run', { processId, options });
+        const result = await this.backupManager.restoreRun(processId, options);
+        if (result.restored.length > 0) {
+          await this.saveHistory(() => this.runHistory.recordRollback(processId, result));
+        }
+
+        await DebugLogger.endPerformance(operationId, {
+          success: result.success,
+          restored: result.restored.length,
+          conflicts: result.conflicts.length,
+        });
+        return result;
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'rollback-run',
+          processId,
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 実行履歴の一覧（絞り込み条件付き）
+    ipcMain.handle('list-history', async (event, filter = {}) => {
+      const operationId = 'ipc-list-history';
+      DebugLogger.startPerformance(operationId);
+
+      try {
+        const entries = await this.runHistory.list(filter);
+        await DebugLogger.endPerformance(operationId, { success: true, count: entries.length });
+        return { success: true, entries };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'list-history',
+          filter,
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 実行履歴の詳細
+    ipcMain.handle('get-history-entry', async (event, id) => {
+      const operationId = 'ipc-get-history-entry';
+      DebugLogger.startPerformance(operationId);
+
+      try {
+        const entry = await this.runHistory.get(id);
+        await DebugLogger.endPerformance(operationId, { success: true });
+        return { success: true, entry };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'get-history-entry',
+          id,
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 実行履歴の設定で再実行（進捗・応答は executeReplacement と同じ）
+    ipcMain.handle('rerun-history', async (event, id) => {
+      const operationId = 'ipc-rerun-history';
+      await DebugLogger.startPerformance(operationId);
+
+      try {
+        const entry = await this.runHistory.get(id);
+        const config = RunHistory.toExecutionConfig(entry);
+        await DebugLogger.info('Re-running replacement from history', { id });
+
+        const result = await this.runReplacement(event.sender, config, {
+          source: 'rerun',
+          rerunOf: id,
+        });
+        result.config = config;
+
+        await DebugLogger.endPerformance(operationId, { success: true });
+        return result;
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'rerun-history',
+          id,
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 2つの実行を比較（targetId を省略すると base と同じ設定のドライランを実行して比較）
+    ipcMain.handle('compare-history', async (event, baseId, targetId = null) => {
+      const operationId = 'ipc-compare-history';
+      await DebugLogger.startPerformance(operationId);
+
+      try {
+        const base = await this.runHistory.get(baseId);
+        let target;
+        if (targetId) {
+          target = await this.runHistory.get(targetId);
+        } else {
+          await DebugLogger.info('Running dry run for comparison', { baseId });
+          target = await this.runComparisonDryRun(RunHistory.toExecutionConfig(base), baseId);
+        }
+
+        const comparison = RunHistory.compare(base, target);
+        await DebugLogger.info('Runs compared', {
+          baseId,
+          targetId: target.id,
+          addedFiles: comparison.addedFiles.length,
+          removedFiles: comparison.removedFiles.length,
+          changedFiles: comparison.changedFiles.length,
+        });
+        await DebugLogger.endPerformance(operationId, { success: true });
+        return { success: true, comparison };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'compare-history',
+          baseId,
+          targetId,
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 直近の置換実行のレポート出力（保存先はダイアログで選択）
+    ipcMain.handle('export-report', async (event, processId, format) => {
+      const operationId = 'ipc-export-report';
+      await DebugLogger.startPerformance(operationId);
+
+      try {
+        if (!this.lastRun || this.lastRun.processId !== processId) {
+          throw new Error('No report data for this run');
+        }
+        const filter = ReportGenerator.FORMATS[format];
+        if (!filter) {
+          throw new Error(`Unsupported report format: ${format}`);
+        }
+
+        const reportPath = await FileOperations.selectSaveReportFile(
+          this.mainWindow,
+          ReportGenerator.getDefaultFileName(this.lastRun, format),
+          filter
+        );
+        if (!reportPath) {
+          await DebugLogger.endPerformance(operationId, { success: true, canceled: true });
+          return { success: true, canceled: true, path: null };
+        }
+
+        await FileOperations.writeFileAtomic(
+          reportPath,
+          ReportGenerator.generate(this.lastRun, format)
+        );
+        await DebugLogger.info('Report exported', { processId, format, path: reportPath });
+        await DebugLogger.endPerformance(operationId, { success: true });
+        return { success: true, canceled: false, path: reportPath };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'export-report',
+          processId,
+          format,
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
     // 置換処理キャンセル
     ipcMain.handle('cancel-replacement', async () => {
       const operationId = 'ipc-cancel-replacement';
@@ -909,6 +1206,44 @@ class MultiGrepReplacerApp {
       }
     });
 
+    // 置換処理の一時停止（処理中のファイルは完了させ、次のファイルの前で待機）
+    ipcMain.handle('pause-replacement', async () => {
+      const operationId = 'ipc-pause-replacement';
+      DebugLogger.startPerformance(operationId);
+
+      try {
+        const paused = this.replacementEngine.pauseProcessing();
+        await DebugLogger.endPerformance(operationId, { success: true, paused });
+        return { success: true, paused };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'pause-replacement',
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 置換処理の再開
+    ipcMain.handle('resume-replacement', async () => {
+      const operationId = 'ipc-resume-replacement';
+      DebugLogger.startPerformance(operationId);
+
+      try {
+        const resumed = this.replacementEngine.resumeProcessing();
+        await DebugLogger.endPerformance(operationId, { success: true, resumed });
+        return { success: true, resumed };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'resume-replacement',
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
     // 置換統計情報取得
     ipcMain.handle('get-replacement-stats', async () => {
       const operationId = 'ipc-get-replacement-stats';
@@ -936,6 +1271,8 @@ class MultiGrepReplacerApp {
       try {
         await DebugLogger.info('Starting replacement execution', {
           targetFolder: config.targetFolder,
+          targetFolders: config.targetFolders,
+          targetFiles: config.targetFiles?.length || 0,
           extensions: config.extensions,
           rulesCount: config.rules?.length || 0,
         });
@@ -946,69 +1283,291 @@ class MultiGrepReplacerApp {
           rules: config.rules,
         });
 
-        // 1. ファイル検索
-        console.log('🔍 Debug - Calling fileSearchEngine.searchFiles...');
-        const searchResult = await this.fileSearchEngine.searchFiles(
-          config.targetFolder,
-          config.extensions ? config.extensions.split(',').map(ext => ext.trim()) : [],
-          {
-            excludePatterns: ['node_modules/**', '.git/**', 'dist/**', 'build/**'],
-            ...config.options,
-          }
-        );
+        const result = await this.runReplacement(event.sender, config, { source: 'execute' });
 
-        console.log('🔍 Debug - Search result:', {
-          success: !!searchResult,
-          filesCount: searchResult?.files?.length || 0,
-          files: searchResult?.files?.slice(0, 3) || [],
+        await DebugLogger.info('Replacement completed successfully', result.stats);
+        await DebugLogger.endPerformance(operationId, { success: true });
+        return result;
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'execute-replacement',
+          component: 'IPC-Handler',
+          config,
         });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // ドライラン差分プレビュー開始（全対象ファイルの差分を生成しセッションに保持）
+    ipcMain.handle('start-diff-preview', async (event, config, options = {}) => {
+      const operationId = 'ipc-start-diff-preview';
+      await DebugLogger.startPerformance(operationId);
+
+      try {
+        const searchResult = await this.searchTargetFiles(config);
+        const filePaths = searchResult.files.map(file => file.path || file);
 
-        await DebugLogger.info('Files found', {
-          count: searchResult.files?.length || 0,
+        // 実行用エンジンの状態・オプションを変えないよう専用インスタンスで生成
+        const engine = new ReplacementEngine({
+          ...this.engineOptions,
+          ...config.options,
+          dryRun: true,
+        });
+        const diffResult = await engine.generateDiffs(filePaths, config.rules, {
+          contextLines: options.contextLines,
+          basePath: searchResult.basePath,
         });
 
-        // 2. 進捗通知のセットアップ
-        this.replacementEngine.removeAllListeners('progress');
-        this.replacementEngine.on('progress', progressData => {
-          event.sender.send('replacement-progress', progressData);
+        const sessionId = `diff-${Date.now()}`;
+        this.diffSessions.set(sessionId, {
+          ...diffResult,
+          skipped: [...(searchResult.stats?.skipped || []), ...diffResult.skipped],
         });
+        while (this.diffSessions.size > MAX_DIFF_SESSIONS) {
+          this.diffSessions.delete(this.diffSessions.keys().next().value);
+        }
 
-        // 3. ファイル置換処理
-        // FileSearchEngineから返されるファイルオブジェクトのpathプロパティを抽出
-        const filePaths = searchResult.files.map(file => file.path || file);
-        console.log('🔍 Debug - Extracted file paths:', filePaths);
+        await DebugLogger.endPerformance(operationId, { success: true, ...diffResult.stats });
+        return {
+          success: true,
+          sessionId,
+          totalFiles: diffResult.files.length,
+          stats: diffResult.stats,
+          skipped: this.diffSessions.get(sessionId).skipped,
+          errors: diffResult.errors,
+        };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'start-diff-preview',
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
 
-        const replacementResult = await this.replacementEngine.processFiles(
-          filePaths,
-          config.rules
-        );
+    // 差分プレビューのページ取得
+    ipcMain.handle('get-diff-page', async (event, sessionId, page = 0, pageSize) => {
+      try {
+        const session = this.diffSessions.get(sessionId);
+        if (!session) {
+          throw new Error(`Diff preview session not found: ${sessionId}`);
+        }
 
-        const result = {
+        const size = Math.max(1, pageSize || DEFAULT_DIFF_PAGE_SIZE);
+        const totalPages = Math.max(1, Math.ceil(session.files.length / size));
+        const current = Math.min(Math.max(0, page), totalPages - 1);
+
+        return {
           success: true,
-          stats: {
-            totalFiles: searchResult.files?.length || 0,
-            processedFiles: replacementResult.stats?.processedFiles || 0,
-            changedFiles: replacementResult.stats?.modifiedFiles || 0,
-            totalChanges: replacementResult.stats?.totalReplacements || 0,
-            errors: replacementResult.stats?.errors?.length || 0,
-          },
-          results: replacementResult.results || [],
+          page: current,
+          pageSize: size,
+          totalPages,
+          totalFiles: session.files.length,
+          files: session.files.slice(current * size, (current + 1) * size),
         };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'get-diff-page',
+          sessionId,
+          component: 'IPC-Handler',
+        });
+        return { success: false, error: error.message };
+      }
+    });
 
-        await DebugLogger.info('Replacement completed successfully', result.stats);
+    // 差分プレビューの破棄
+    ipcMain.handle('close-diff-preview', async (event, sessionId) => ({
+      success: true,
+      closed: this.diffSessions.delete(sessionId),
+    }));
+
+    // マッチ単位レビューの作成（ファイルは書き換えない）
+    ipcMain.handle('start-review', async (event, config) => {
+      const operationId = 'ipc-start-review';
+      await DebugLogger.startPerformance(operationId);
+
+      try {
+        const searchResult = await this.searchTargetFiles(config);
+        const filePaths = searchResult.files.map(file => file.path || file);
+
+        const engine = new ReplacementEngine({
+          ...this.engineOptions,
+          ...config.options,
+        });
+        const review = await engine.createReview(filePaths, config.rules, {
+          basePath: searchResult.basePath,
+        });
+        review.skipped = [...(searchResult.stats?.skipped || []), ...review.skipped];
+
+        this.reviewSessions.set(review.reviewId, {
+          review,
+          config,
+          basePath: searchResult.basePath,
+          roots: searchResult.roots.map(root => root.path),
+        });
+        while (this.reviewSessions.size > MAX_REVIEW_SESSIONS) {
+          this.reviewSessions.delete(this.reviewSessions.keys().next().value);
+        }
+
+        await DebugLogger.endPerformance(operationId, { success: true, ...review.stats });
+        return { success: true, review };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'start-review',
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // レビューで採用したマッチのみ置換
+    ipcMain.handle('apply-review', async (event, reviewId, acceptedIds) => {
+      const operationId = 'ipc-apply-review';
+      await DebugLogger.startPerformance(operationId);
+      const startedAt = new Date();
+      const session = this.reviewSessions.get(reviewId);
+
+      // 置換中は実行中の処理に触れず、失敗として履歴にも記録しない
+      if (this.isReplacementBusy()) {
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: 'Processing already in progress' };
+      }
+
+      try {
+        if (!session) {
+          throw new Error(`Review session not found: ${reviewId}`);
+        }
+        const { review, config, basePath, roots } = session;
+
+        this.replacementEngine.removeAllListeners('progress');
+        this.replacementEngine.on('progress', progressData => {
+          event.sender.send('replacement-progress', progressData);
+        });
+
+        const replacementResult = await this.replacementEngine.applyReview(review, acceptedIds, {
+          targetFolder: basePath,
+          roots,
+          options: { ...config.options, collectDiffs: true },
+        });
+        this.reviewSessions.delete(reviewId);
+
+        const result = this.buildReplacementResponse(
+          replacementResult,
+          replacementResult.stats.totalFiles
+        );
+        result.basePath = basePath;
+        this.lastRun = ReportGenerator.createRun({
+          config,
+          replacementResult,
+          response: result,
+          startedAt,
+        });
+        await this.saveHistory(() => this.runHistory.record(this.lastRun, { source: 'review' }));
+        await DebugLogger.info('Review applied', { reviewId, ...result.stats });
         await DebugLogger.endPerformance(operationId, { success: true });
         return result;
       } catch (error) {
+        if (session) {
+          await this.saveHistory(() =>
+            this.runHistory.recordFailure(session.config, error, { source: 'review', startedAt })
+          );
+        }
         await DebugLogger.logError(error, {
-          operation: 'execute-replacement',
+          operation: 'apply-review',
+          reviewId,
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // レビューの破棄
+    ipcMain.handle('close-review', async (event, reviewId) => ({
+      success: true,
+      closed: this.reviewSessions.delete(reviewId),
+    }));
+
+    // 検索のみ（置換しない）。ヒットしたファイルを 'grep-result' で逐次通知
+    ipcMain.handle('start-grep', async (event, config, options = {}) => {
+      // 実行中の検索の参照（cancel-grep 用）を上書き・解放しないよう、try の外で判定して即座に確保する
+      if (this.grepEngine) {
+        return { success: false, error: 'Search already in progress' };
+      }
+      const grepEngine = new ReplacementEngine({
+        ...this.engineOptions,
+        ...config.options,
+      });
+      this.grepEngine = grepEngine;
+
+      const operationId = 'ipc-start-grep';
+      await DebugLogger.startPerformance(operationId);
+
+      try {
+        const searchResult = await this.searchTargetFiles(config);
+        const filePaths = searchResult.files.map(file => file.path || file);
+
+        grepEngine.on('search-result', result => {
+          event.sender.send('grep-result', result);
+        });
+        const summary = await grepEngine.searchMatches(filePaths, config.rules, options);
+        summary.skipped = [...(searchResult.stats?.skipped || []), ...summary.skipped];
+
+        await DebugLogger.endPerformance(operationId, { success: true, ...summary.stats });
+        return { success: true, ...summary };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'start-grep',
           component: 'IPC-Handler',
-          config,
         });
         await DebugLogger.endPerformance(operationId, { success: false });
         return { success: false, error: error.message };
+      } finally {
+        if (this.grepEngine === grepEngine) {
+          this.grepEngine = null;
+        }
       }
     });
 
+    // チェック実行（各ルールの from を禁止パターンとして残存箇所を報告）
+    ipcMain.handle('run-check', async (event, config) => {
+      const operationId = 'ipc-run-check';
+      await DebugLogger.startPerformance(operationId);
+
+      try {
+        const searchResult = await this.searchTargetFiles(config);
+        const filePaths = searchResult.files.map(file => file.path || file);
+
+        const checkEngine = new ReplacementEngine({
+          ...this.engineOptions,
+          ...config.options,
+        });
+        const report = await checkEngine.checkForbiddenPatterns(filePaths, config.rules);
+        report.skipped = [...(searchResult.stats?.skipped || []), ...report.skipped];
+        report.targetFolder = searchResult.basePath;
+        report.roots = searchResult.roots;
+
+        await DebugLogger.endPerformance(operationId, { success: true, passed: report.passed });
+        return { success: true, report };
+      } catch (error) {
+        await DebugLogger.logError(error, {
+          operation: 'run-check',
+          component: 'IPC-Handler',
+        });
+        await DebugLogger.endPerformance(operationId, { success: false });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // 検索のみ実行のキャンセル
+    ipcMain.handle('cancel-grep', async () => ({
+      success: true,
+      cancelled: this.grepEngine?.cancelProcessing() || false,
+    }));
+
     // パフォーマンス最適化 API
     ipcMain.handle('get-performance-stats', async () => {
       const operationId = 'ipc-get-performance-stats';
@@ -1094,6 +1653,188 @@ class MultiGrepReplacerApp {
     DebugLogger.info('IPC handlers registered successfully');
   }
 
+  /**
+   * 置換の実行（検索 → 置換 → 応答の作成）。結果はレポート用に保持し実行履歴に記録する
+   * @param {WebContents} sender - 進捗通知先
+   * @param {Object} config - 実行設定
+   * @param {Object} metadata - 実行履歴の記録用（{ source, rerunOf }）
+   */
+  async runReplacement(sender, config, metadata) {
+    // 置換中は実行中の処理に触れず、失敗として履歴にも記録しない
+    this.assertReplacementIdle();
+    const startedAt = new Date();
+    this.replacementPending = true;
+
+    try {
+      // 1. ファイル検索
+      const searchResult = await this.searchTargetFiles(config);
+      await DebugLogger.info('Files found', {
+        count: searchResult.files?.length || 0,
+      });
+      this.replacementPending = false;
+
+      // 2. 進捗通知のセットアップ
+      this.replacementEngine.removeAllListeners('progress');
+      this.replacementEngine.on('progress', progressData => {
+        sender.send('replacement-progress', progressData);
+      });
+
+      // 3. ファイル置換処理（正規表現モード等のオプションをこの実行のみ反映し、レポート用に差分も収集）
+      const filePaths = searchResult.files.map(file => file.path || file);
+      const replacementResult = await this.replacementEngine.processFiles(filePaths, config.rules, {
+        targetFolder: searchResult.basePath,
+        roots: searchResult.roots.map(root => root.path),
+        options: { ...config.options, collectDiffs: true },
+      });
+
+      const result = this.buildReplacementResponse(
+        replacementResult,
+        searchResult.files?.length || 0,
+        searchResult.stats?.skipped
+      );
+      result.basePath = searchResult.basePath;
+      if (replacementResult.patch) {
+        result.patch = await this.savePatch(replacementResult.patch, searchResult.basePath);
+      }
+
+      this.lastRun = ReportGenerator.createRun({
+        config,
+        replacementResult,
+        response: result,
+        startedAt,
+      });
+      await this.saveHistory(() => this.runHistory.record(this.lastRun, metadata));
+      return result;
+    } catch (error) {
+      await this.saveHistory(() =>
+        this.runHistory.recordFailure(config, error, { ...metadata, startedAt })
+      );
+      throw error;
+    } finally {
+      this.replacementPending = false;
+    }
+  }
+
+  /**
+   * 置換エンジンが使用中か（検索中で置換開始前の実行を含む）
+   */
+  isReplacementBusy() {
+    return this.replacementEngine.isProcessing || this.replacementPending;
+  }
+
+  /**
+   * 置換エンジンが使用中なら例外（実行中の処理の設定・進捗通知先を変更しないよう、変更前に確認する）
+   */
+  assertReplacementIdle() {
+    if (this.isReplacementBusy()) {
+      throw new Error('Processing already in progress');
+    }
+  }
+
+  /**
+   * 比較用のドライラン（専用エンジンで実行し、履歴・レポート対象の実行・進捗表示には影響させない）
+   * @returns {Promise<Object>} 保存しない履歴エントリ
+   */
+  async runComparisonDryRun(config, baseId) {
+    const startedAt = new Date();
+    const searchResult = await this.searchTargetFiles(config);
+    const filePaths = searchResult.files.map(file => file.path || file);
+
+    const engine = new ReplacementEngine({
+      ...this.engineOptions,
+      ...config.options,
+      dryRun: true,
+      outputMode: 'write',
+    });
+    const replacementResult = await engine.processFiles(filePaths, config.rules, {
+      targetFolder: searchResult.basePath,
+      roots: searchResult.roots.map(root => root.path),
+    });
+
+    const response = this.buildReplacementResponse(
+      replacementResult,
+      searchResult.files?.length || 0,
+      searchResult.stats?.skipped
+    );
+    response.basePath = searchResult.basePath;
+    const run = ReportGenerator.createRun({ config, replacementResult, response, startedAt });
+    return this.runHistory.createEntry(run, { source: 'compare', rerunOf: baseId });
+  }
+
+  /**
+   * 実行履歴の保存（保存できなくても実行結果は返す）
+   */
+  async saveHistory(write) {
+    try {
+      await write();
+    } catch (error) {
+      await DebugLogger.logError(error, {
+        operation: 'save-history',
+        component: 'RunHistory',
+      });
+    }
+  }
+
+  /**
+   * 置換結果を IPC 応答の形式に変換
+   * 検索時（バイナリ・サイズ等）と置換時（シンボリックリンク等）のスキップを統合する
+   * キャンセル時は cancelled と書き込み済みのファイル（writtenFiles）で途中までの結果を返す
+   */
+  buildReplacementResponse(replacementResult, totalFiles, searchSkipped = []) {
+    const skipped = [...searchSkipped, ...(replacementResult.stats?.skipped || [])];
+
+    return {
+      success: true,
+      processId: replacementResult.processId,
+      cancelled: !!replacementResult.cancelled,
+      writtenFiles: replacementResult.stats?.writtenFiles || [],
+      backup: replacementResult.backup,
+      stats: {
+        totalFiles,
+        processedFiles: replacementResult.stats?.processedFiles || 0,
+        changedFiles: replacementResult.stats?.modifiedFiles || 0,
+        totalChanges: replacementResult.stats?.totalReplacements || 0,
+        skippedFiles: skipped.length,
+        normalizedFiles: replacementResult.stats?.normalizedFiles || 0,
+        lineBreakSkips: replacementResult.stats?.lineBreakSkips || 0,
+        errors: replacementResult.stats?.errors?.length || 0,
+      },
+      roots: replacementResult.stats?.roots || null,
+      results: replacementResult.results || [],
+      skipped,
+      errors: replacementResult.stats?.errors || [],
+    };
+  }
+
+  /**
+   * patch 出力の保存（保存先はダイアログで選択）
+   * @returns {Object} { path, canceled, files, additions, deletions }（内容は renderer に送らない）
+   */
+  async savePatch(patch, targetFolder) {
+    const summary = { files: patch.files, additions: patch.additions, deletions: patch.deletions };
+    if (patch.files === 0) {
+      return { ...summary, path: null, canceled: false };
+    }
+
+    const defaultName = `${path.basename(targetFolder || 'changes')}.patch`;
+    const patchPath = await FileOperations.selectSavePatchFile(this.mainWindow, defaultName);
+    if (!patchPath) {
+      return { ...summary, path: null, canceled: true };
+    }
+
+    await FileOperations.writeFileAtomic(patchPath, patch.content);
+    await DebugLogger.info('Patch saved', { path: patchPath, ...summary });
+    return { ...summary, path: patchPath, canceled: false };
+  }
+
+  /**
+   * 置換設定（targetFolder / targetFolders, targetFiles, extensions, options）から対象ファイルを検索
+   * @returns {Object} { files, stats, roots, basePath }
+   */
+  async searchTargetFiles(config) {
+    return this.fileSearchEngine.searchTargetFiles(config);
+  }
+
   /**
    * セキュリティ設定検証
    */
@@ -7,12 +7,44 @@
 
 const { EventEmitter } = require('events');
 const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
 const DebugLogger = require('./debug-logger');
+const FileOperations = require('./file-operations');
+const EncodingDetector = require('./encoding-detector');
+const BinaryDetector = require('./binary-detector');
+const DiffGenerator = require('./diff-generator');
+const FileSearchEngine = require('./file-search-engine');
 
 // 定数定義
-const DEFAULT_ENCODING = 'utf8';
+const DEFAULT_ENCODING = EncodingDetector.AUTO; // auto: ファイルごとに判定
 const MAX_CONCURRENT_FILES = 10;
 const PROGRESS_UPDATE_INTERVAL = 100; // ms
+const DEFAULT_SEARCH_CONTEXT_LINES = 2; // 検索結果の前後行数
+const MAX_SEARCH_MATCHES_PER_RULE = 1000; // 1ファイル・1ルールあたりの検索結果の上限
+const SUPPORTED_REGEX_FLAGS = ['i', 'm', 's', 'u'];
+const CASE_SEGMENT_SEPARATOR = /[-_]/; // snake_case / kebab-case の区切り
+
+// whole word モードの単語構成文字セット
+const WORD_CHARACTER_SETS = {
+  identifier: /[\p{L}\p{N}\p{M}_$]/u, // JS 識別子
+  css: /[\p{L}\p{N}\p{M}_-]/u, // CSS クラス・カスタムプロパティ（"-" も単語の一部）
+  cjk: /[\p{L}\p{N}\p{M}_]/u, // CJK 文字同士は連続していても単語境界とみなす
+};
+const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]/u;
+
+// 改行コード
+const LINE_BREAK = /\r\n|\r|\n/g;
+const LINE_BREAK_CHARACTER = /[\r\n]/;
+const LINE_ENDINGS = { lf: '\n', crlf: '\r\n', cr: '\r' };
+const BOM_CHARACTER = '\uFEFF';
+// patch に含められない（git がテキストとして扱わない）エンコーディング
+const UTF16_ENCODINGS = ['utf16le', 'utf16be'];
+// 検索パターンが改行を明示的に対象にしているか（リテラルの CR/LF、\r \n \x0A \u000D \cJ 等）
+const LINE_BREAK_PATTERN_SOURCE = /[\r\n]|\\[rn]|\\x0[ad]|\\u000[ad]|\\u\{[ad]\}|\\c[jm]/i;
+// レポート用差分の上限（超えたファイルは差分を省略し、通常の実行のメモリ・時間を抑える）
+const MAX_DIFF_FILE_LENGTH = 1024 * 1024; // 変更前後の合計文字数
+const MAX_DIFF_TOTAL_LENGTH = 20 * 1024 * 1024; // 1回の実行で保持する差分テキストの合計
 
 class ReplacementEngine extends EventEmitter {
   constructor(options = {}) {
@@ -20,8 +52,21 @@ class ReplacementEngine extends EventEmitter {
 
     this.options = {
       caseSensitive: true,
+      useRegex: false,
+      regexFlags: '',
+      wholeWord: false,
+      wordBoundary: 'identifier',
+      applyMode: 'sequential', // sequential: 順次適用 / simultaneous: 元テキストに対して一括適用
+      overlapStrategy: 'longest', // simultaneous 時の同一位置マッチの優先: longest / priority
       encoding: DEFAULT_ENCODING,
+      encodingOverrides: {}, // 拡張子別のエンコーディング指定 { '.php': 'shift_jis' }
       backupEnabled: false,
+      preservePermissions: true, // モード・所有者を書き込み前のファイルから引き継ぐ
+      preserveTimestamps: false, // 更新日時を書き込み前のまま維持する
+      symlinkPolicy: 'follow', // シンボリックリンク: follow（リンク先を更新）/ skip（処理しない）
+      normalizeLineEndings: 'preserve', // preserve: 維持 / lf / crlf: 置換後に統一
+      outputMode: 'write', // write: ファイルを書き換え / patch: 変更を unified patch として返す
+      collectDiffs: false, // 変更したファイルの差分を結果の diffs に含める（レポート出力用）
       dryRun: false,
       maxConcurrency: MAX_CONCURRENT_FILES,
       progressUpdateInterval: PROGRESS_UPDATE_INTERVAL,
@@ -34,6 +79,11 @@ class ReplacementEngine extends EventEmitter {
       processedFiles: 0,
       modifiedFiles: 0,
       totalReplacements: 0,
+      normalizedFiles: 0, // 改行コードを統一したファイル数
+      lineBreakSkips: 0, // 改行をまたぐため置換しなかったマッチ数
+      roots: null, // 対象フォルダごとの進捗 { path, totalFiles, processedFiles, modifiedFiles }
+      writtenFiles: [], // 実際に書き込んだファイル（書き込み順）
+      skipped: [], // { path, reason, detail }
       errors: [],
       results: [],
     };
@@ -41,13 +91,32 @@ class ReplacementEngine extends EventEmitter {
     // 処理状態
     this.isProcessing = false;
     this.abortController = null;
+    this.pauseGate = null; // 一時停止中のみ設定（{ promise, resume }）
     this.lastProgressUpdate = 0;
+
+    // バックアップ（BackupManager が設定された場合のみ）
+    this.backupManager = null;
+    this.backupRunId = null;
+
+    // レビュー結果の適用中のみ設定（path → { hash, accepted }）
+    this.reviewSelection = null;
+
+    // patch 出力時のみ設定（{ basePath, parts: path → { content, additions, deletions } }）
+    this.patch = null;
+
+    // collectDiffs 指定時のみ設定（path → { text, additions, deletions } または { omitted: true }）
+    this.diffs = null;
+    this.diffLength = 0;
   }
 
   /**
    * 複数ファイルを一括処理
+   * @param {Array<string>} files - 対象ファイルパス
+   * @param {Array} rules - 置換ルール
+   * @param {Object} runInfo - 実行情報（targetFolder 等はバックアップの記録用、roots は対象フォルダごとの進捗集計用、
+   *   options はこの実行のみ既定のオプションに重ねる設定）
    */
-  async processFiles(files, rules) {
+  async processFiles(files, rules, runInfo = {}) {
     if (this.isProcessing) {
       throw new Error('Processing already in progress');
     }
@@ -55,10 +124,13 @@ class ReplacementEngine extends EventEmitter {
     // 処理開始
     const processId = `replace-${Date.now()}`;
     const startTime = Date.now();
+    const defaultOptions = this.options;
     this.isProcessing = true;
+    this.options = { ...defaultOptions, ...runInfo.options };
     this.abortController = new AbortController();
     this._resetStats();
     this.stats.totalFiles = files.length;
+    this._initRootProgress(files, runInfo.roots);
 
     await DebugLogger.info('Replacement processing started', {
       processId,
@@ -84,42 +156,88 @@ class ReplacementEngine extends EventEmitter {
         throw new Error('No active replacement rules');
       }
 
+      // 正規表現ルールは実行前にコンパイル検証
+      const invalidRules = this.validateRules(activeRules);
+      if (invalidRules.length > 0) {
+        throw new Error(
+          `Invalid replacement rules: ${invalidRules
+            .map(({ rule, error }) => `${rule.from} (${error})`)
+            .join(', ')}`
+        );
+      }
+
+      // 書き込み前バックアップの準備
+      if (this.options.backupEnabled && this._writesFiles() && this.backupManager) {
+        await this.backupManager.startRun(processId, {
+          targetFolder: runInfo.targetFolder,
+          roots: runInfo.roots,
+          reviewId: runInfo.reviewId,
+          totalFiles: files.length,
+          rules: activeRules.map(rule => ({ from: rule.from, to: rule.to })),
+        });
+        this.backupRunId = processId;
+      }
+
+      if (this.options.outputMode === 'patch') {
+        this.patch = { basePath: runInfo.targetFolder || process.cwd(), parts: new Map() };
+      }
+      if (this.options.collectDiffs) {
+        this.diffs = new Map();
+        this.diffLength = 0;
+      }
+
       // バッチ処理で実行
       await this._processBatch(files, activeRules, processId);
+      const cancelled = this.abortController.signal.aborted;
 
-      // 最終進捗を100%で送信
+      // 最終進捗を送信（キャンセル時は処理済みの割合）
       this.emit('progress', {
         processId,
         processedFiles: this.stats.processedFiles,
         totalFiles: this.stats.totalFiles,
         modifiedFiles: this.stats.modifiedFiles,
         totalReplacements: this.stats.totalReplacements,
-        percentage: 100,
+        percentage: cancelled
+          ? Math.round((this.stats.processedFiles / this.stats.totalFiles) * 100)
+          : 100,
+        roots: this.stats.roots,
       });
 
       // 処理完了
       const performanceResult = await DebugLogger.endPerformance(processId);
       const duration = Math.max(performanceResult?.duration || Date.now() - startTime, 1);
 
-      await DebugLogger.info('Replacement processing completed', {
-        processId,
-        stats: this.stats,
-        duration: `${duration}ms`,
-        filesPerSecond: duration > 0 ? Math.round((files.length / duration) * 1000) : 0,
-      });
+      await DebugLogger.info(
+        cancelled ? 'Replacement processing cancelled' : 'Replacement processing completed',
+        {
+          processId,
+          stats: this.stats,
+          duration: `${duration}ms`,
+          filesPerSecond: duration > 0 ? Math.round((files.length / duration) * 1000) : 0,
+        }
+      );
 
       // 完了イベント
       this.emit('complete', {
         processId,
+        cancelled,
         stats: this.stats,
         duration,
       });
 
+      // キャンセル時も書き込み済みファイルはロールバックできるようにする
+      const backup = await this._finalizeBackup();
+
       return {
         success: true,
+        processId,
+        cancelled, // true の場合、stats.writtenFiles が書き込み済みのファイル（未処理のファイルは変更なし）
         stats: this.stats,
         results: this.stats.results,
         duration,
+        backup,
+        patch: this.patch ? this._buildPatch(files) : null,
+        diffs: this.diffs ? this._buildDiffs(files) : null,
       };
     } catch (error) {
       await DebugLogger.error('Replacement processing failed', {
@@ -133,10 +251,18 @@ class ReplacementEngine extends EventEmitter {
         error: error.message,
       });
 
+      // 途中で失敗しても書き込み済みファイルはロールバックできるようにする
+      await this._finalizeBackup();
+
       throw error;
     } finally {
       this.isProcessing = false;
+      this.options = defaultOptions;
       this.abortController = null;
+      this.pauseGate = null;
+      this.backupRunId = null;
+      this.patch = null;
+      this.diffs = null;
     }
   }
 
@@ -154,42 +280,108 @@ class ReplacementEngine extends EventEmitter {
     };
 
     try {
-      // ファイル読み込み
-      const content = await fs.readFile(filePath, this.options.encoding);
-      let modifiedContent = content;
-      let totalReplacements = 0;
-
-      // 各ルールを順次適用
-      for (const rule of rules) {
-        if (!rule.enabled && rule.enabled !== undefined) {
-          continue;
-        }
+      const prepared = await this._prepareFile(filePath);
+      if (prepared.skip) {
+        return this._skipFile(fileResult, prepared.skip.reason, prepared.skip.detail);
+      }
+      const { buffer, content, encodingInfo } = prepared;
+      fileResult.encoding = encodingInfo.label;
 
-        const result = await this._applyRule(modifiedContent, rule);
-        if (result.replacements > 0) {
-          modifiedContent = result.content;
-          totalReplacements += result.replacements;
+      // レビュー後に変更されたファイルはマッチ位置がずれるため適用しない
+      const selection = this.reviewSelection?.get(filePath);
+      if (selection && this._hash(buffer) !== selection.hash) {
+        return this._skipFile(fileResult, 'changed-since-review');
+      }
 
-          fileResult.details.push({
-            rule: `${rule.from} → ${rule.to}`,
-            count: result.replacements,
-          });
-        }
+      const transformed = await this._transformContent(content, rules, selection?.accepted || null);
+      const modifiedContent = transformed.content;
+      const totalReplacements = transformed.replacements;
+      const { normalized } = transformed;
+      fileResult.details = transformed.details;
+      fileResult.lineEndings = transformed.lineEndings;
+      if (transformed.lineBreakSkips.length > 0) {
+        fileResult.lineBreakSkips = transformed.lineBreakSkips;
+        this.stats.lineBreakSkips += transformed.lineBreakSkips.reduce(
+          (sum, skip) => sum + skip.count,
+          0
+        );
+        await DebugLogger.warn('Matches spanning line breaks were not replaced', {
+          path: filePath,
+          lineBreakSkips: transformed.lineBreakSkips,
+        });
       }
 
       // replacements数を設定（dryRunでも）
-      if (totalReplacements > 0) {
+      if (totalReplacements > 0 || normalized) {
+        // 元のバイト列を復元できない判定結果で書き戻すと置換箇所以外も壊れる
+        // （件数を設定する前に判定し、変更ファイルとエラーの両方に数えない）
+        if (
+          !this.options.dryRun &&
+          !EncodingDetector.isRoundTripSafe(buffer, content, encodingInfo)
+        ) {
+          throw new Error(
+            `Cannot write back as ${encodingInfo.label}: the file contains bytes that do not round-trip`
+          );
+        }
+
         fileResult.replacements = totalReplacements;
         fileResult.changes = totalReplacements; // UI表示用
 
-        // 実際のファイル更新はdryRunでない場合のみ
-        if (!this.options.dryRun) {
-          await fs.writeFile(filePath, modifiedContent, this.options.encoding);
+        // patch 出力時はファイルを書き換えず差分を収集
+        if (this.patch && !this.options.dryRun) {
+          if (UTF16_ENCODINGS.includes(encodingInfo.encoding)) {
+            return this._skipFile(fileResult, 'patch-unsupported', encodingInfo.label);
+          }
+          // git は LF のみで行を区切るため、CR のみの改行はパッチの行として表せない
+          if (
+            this.detectLineEndings(content).counts.cr > 0 ||
+            this.detectLineEndings(modifiedContent).counts.cr > 0
+          ) {
+            return this._skipFile(fileResult, 'patch-unsupported', 'CR line endings');
+          }
+          this.patch.parts.set(
+            filePath,
+            this._createFilePatch(filePath, content, modifiedContent, encodingInfo)
+          );
+          fileResult.patched = true;
+        }
+
+        // 実際のファイル更新は dryRun・patch 出力でない場合のみ
+        if (this._writesFiles()) {
+          // 読み込み・置換中にキャンセルされたファイルは書き込まない
+          if (this.abortController?.signal.aborted) {
+            fileResult.cancelled = true;
+            return fileResult;
+          }
+          const output = EncodingDetector.encode(modifiedContent, encodingInfo);
+          if (this.backupRunId) {
+            await this.backupManager.backupFile(this.backupRunId, filePath);
+          }
+          const writeResult = await FileOperations.writeFileAtomic(filePath, output, {
+            preservePermissions: this.options.preservePermissions,
+            preserveTimestamps: this.options.preserveTimestamps,
+            symlinkPolicy: this.options.symlinkPolicy,
+          });
+          if (writeResult.skipped) {
+            return this._skipFile(fileResult, 'symlink');
+          }
+          if (this.backupRunId) {
+            await this.backupManager.recordWrite(this.backupRunId, filePath, output);
+          }
           fileResult.modified = true;
+          fileResult.hashes = { before: this._hash(buffer), after: this._hash(output) };
           this.stats.modifiedFiles++;
+          this.stats.writtenFiles.push(filePath);
+        }
+
+        if (this.diffs) {
+          this._collectDiff(filePath, content, modifiedContent);
         }
 
         this.stats.totalReplacements += totalReplacements;
+        if (normalized) {
+          this.stats.normalizedFiles++;
+        }
       }
 
       await DebugLogger.debug('File processed', {
@@ -199,6 +391,11 @@ class ReplacementEngine extends EventEmitter {
       });
     } catch (error) {
       fileResult.error = error.message;
+      // 書き込みに失敗したファイルは変更ファイルとして数えない
+      if (!fileResult.modified) {
+        fileResult.replacements = 0;
+        fileResult.changes = 0;
+      }
       this.stats.errors.push({
         path: filePath,
         error: error.message,
@@ -213,6 +410,233 @@ class ReplacementEngine extends EventEmitter {
     return fileResult;
   }
 
+  /**
+   * 読み込み前後の除外判定込みでファイルを読み込む
+   * @returns {Promise<Object>} { skip: { reason, detail } } または { buffer, content, encodingInfo }
+   */
+  async _prepareFile(filePath) {
+    // skip 指定時はシンボリックリンクを読み込み前に除外
+    if (this.options.symlinkPolicy === 'skip') {
+      const linkStats = await fs.lstat(filePath);
+      if (linkStats.isSymbolicLink()) {
+        return { skip: { reason: 'symlink', detail: null } };
+      }
+    }
+
+    // ファイル読み込み（元のエンコーディングで書き戻すため判定結果を保持）
+    const file = await this._readFile(filePath);
+
+    // 検索を経由せず渡されたファイルもバイナリは書き換えない
+    const binary = BinaryDetector.detect(file.buffer, file.encodingInfo);
+    if (binary) {
+      return { skip: binary };
+    }
+    return file;
+  }
+
+  /**
+   * ファイル内容に全ルールを適用（書き込みなし）
+   * processFile と差分プレビューで同じ変換結果になるよう共通化
+   * @param {Set<number>|null} accepted - レビューで採用したマッチ番号（_selectMatches の順）
+   * @returns {Promise<Object>} { content, replacements, details, lineEndings, normalized, lineBreakSkips }
+   */
+  async _transformContent(content, rules, accepted = null) {
+    // 改行コードと末尾改行の状態（改行を対象としないルールでは変化させない）
+    const lineEndings = this.detectLineEndings(content);
+    const context = { eol: lineEndings.eol, lineBreakSkips: new Map() };
+    const details = [];
+
+    let modifiedContent = content;
+    let totalReplacements = 0;
+    let lineBreakRuleApplied = false;
+
+    if (accepted || this.options.applyMode === 'simultaneous') {
+      // 全ルールを元テキストに対して一括適用（ルール同士の出力が干渉しない）
+      // レビュー結果の適用はレビュー時と同じマッチ一覧から採用分のみ置換する
+      const selected = this._selectMatches(content, rules, context).filter(
+        (candidate, index) => !accepted || accepted.has(index)
+      );
+      const result = this._applyMatches(content, selected, context);
+      modifiedContent = result.content;
+      totalReplacements = result.replacements;
+
+      // ルール別件数はルール順で記録
+      rules.forEach(rule => {
+        const count = result.counts.get(rule) || 0;
+        if (count > 0) {
+          lineBreakRuleApplied = lineBreakRuleApplied || this.targetsLineBreaks(rule);
+          details.push({
+            rule: `${rule.from} → ${rule.to}`,
+            from: rule.from,
+            to: rule.to,
+            count,
+          });
+        }
+      });
+    } else {
+      // 各ルールを順次適用
+      for (const rule of rules) {
+        if (!rule.enabled && rule.enabled !== undefined) {
+          continue;
+        }
+
+        const result = await this._applyRule(modifiedContent, rule, context);
+        if (result.replacements > 0) {
+          modifiedContent = result.content;
+          totalReplacements += result.replacements;
+          lineBreakRuleApplied = lineBreakRuleApplied || this.targetsLineBreaks(rule);
+
+          details.push({
+            rule: `${rule.from} → ${rule.to}`,
+            from: rule.from,
+            to: rule.to,
+            count: result.replacements,
+          });
+        }
+      }
+    }
+
+    // 改行を対象とするルールが適用されていなければ末尾改行の有無を元に戻す
+    if (totalReplacements > 0 && !lineBreakRuleApplied) {
+      modifiedContent = this._restoreFinalNewline(modifiedContent, lineEndings);
+    }
+
+    // 明示指定時のみ改行コードを統一
+    const resultLineEndings = { style: lineEndings.style, finalNewline: lineEndings.finalNewline };
+    const normalized = this._normalizeLineEndings(modifiedContent);
+    if (normalized.converted) {
+      modifiedContent = normalized.content;
+      resultLineEndings.normalizedTo = this.options.normalizeLineEndings;
+    }
+
+    return {
+      content: modifiedContent,
+      replacements: totalReplacements,
+      details,
+      lineEndings: resultLineEndings,
+      normalized: normalized.converted,
+      lineBreakSkips: [...context.lineBreakSkips].map(([rule, count]) => ({
+        from: rule.from,
+        to: rule.to,
+        count,
+      })),
+    };
+  }
+
+  _writesFiles() {
+    return !this.options.dryRun && this.options.outputMode !== 'patch';
+  }
+
+  /**
+   * 1ファイル分の git apply 形式の差分（targetFolder からの相対パス）
+   * 本文は元のエンコーディング・BOM のまま出力し、パッチが元のバイト列に適用できるようにする
+   */
+  _createFilePatch(filePath, oldContent, newContent, encodingInfo) {
+    const relativePath = path.relative(this.patch.basePath, filePath).split(path.sep).join('/');
+    const bom = encodingInfo.bom ? BOM_CHARACTER : '';
+    const diff = DiffGenerator.createUnifiedDiff(bom + oldContent, bom + newContent, {
+      oldPath: `a/${relativePath}`,
+      newPath: `b/${relativePath}`,
+    });
+
+    // ヘッダー（パス）は UTF-8、ハンクはファイルのエンコーディング
+    const bodyStart = diff.text.indexOf('\n@@') + 1;
+    const header = `diff --git a/${relativePath} b/${relativePath}\n${diff.text.slice(
+      0,
+      bodyStart
+    )}`;
+    const body = EncodingDetector.encode(diff.text.slice(bodyStart), {
+      ...encodingInfo,
+      bom: false,
+    });
+
+    return {
+      content: Buffer.concat([Buffer.from(header, 'utf8'), body]),
+      additions: diff.additions,
+      deletions: diff.deletions,
+    };
+  }
+
+  /**
+   * レポート用の差分を記録（大きなファイル・合計の上限を超えた分は省略）
+   */
+  _collectDiff(filePath, content, modifiedContent) {
+    if (
+      content.length + modifiedContent.length > MAX_DIFF_FILE_LENGTH ||
+      this.diffLength >= MAX_DIFF_TOTAL_LENGTH
+    ) {
+      this.diffs.set(filePath, { omitted: true });
+      return;
+    }
+
+    const diff = DiffGenerator.createUnifiedDiff(content, modifiedContent, {
+      oldPath: filePath,
+      newPath: filePath,
+    });
+    this.diffLength += diff.text.length;
+    this.diffs.set(filePath, {
+      text: diff.text,
+      additions: diff.additions,
+      deletions: diff.deletions,
+    });
+  }
+
+  /**
+   * 収集したファイルごとの差分（入力ファイル順）
+   * @returns {Object} path → { text, additions, deletions } または { omitted: true }
+   */
+  _buildDiffs(files) {
+    return Object.fromEntries(
+      files
+        .filter(filePath => this.diffs.has(filePath))
+        .map(filePath => [filePath, this.diffs.get(filePath)])
+    );
+  }
+
+  /**
+   * 収集した差分を入力ファイル順に連結
+   * @returns {Object} { content: Buffer, files, additions, deletions }
+   */
+  _buildPatch(files) {
+    const parts = files
+      .filter(filePath => this.patch.parts.has(filePath))
+      .map(filePath => this.patch.parts.get(filePath));
+    return {
+      content: Buffer.concat(parts.map(part => part.content)),
+      files: parts.length,
+      additions: parts.reduce((sum, part) => sum + part.additions, 0),
+      deletions: parts.reduce((sum, part) => sum + part.deletions, 0),
+    };
+  }
+
+  _hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * ファイルを読み込みエンコーディングを判定してデコード
+   * @returns {Promise<Object>} { buffer, content, encodingInfo }
+   */
+  async _readFile(filePath) {
+    const buffer = await fs.readFile(filePath);
+    const encodingInfo = EncodingDetector.resolve(buffer, filePath, {
+      encoding: this.options.encoding,
+      encodingOverrides: this.options.encodingOverrides,
+    });
+    return { buffer, content: EncodingDetector.decode(buffer, encodingInfo), encodingInfo };
+  }
+
+  /**
+   * ファイルを未処理として記録
+   */
+  _skipFile(fileResult, reason, detail = null) {
+    fileResult.skipped = true;
+    fileResult.skipReason = reason;
+    fileResult.skipDetail = detail;
+    this.stats.skipped.push({ path: fileResult.path, reason, detail });
+    return fileResult;
+  }
+
   /**
    * 置換プレビューを生成
    */
@@ -225,9 +649,13 @@ class ReplacementEngine extends EventEmitter {
 
     for (const filePath of previewFiles) {
       try {
-        const content = await fs.readFile(filePath, this.options.encoding);
+        const { buffer, content, encodingInfo } = await this._readFile(filePath);
+        if (BinaryDetector.detect(buffer, encodingInfo)) {
+          continue;
+        }
         const preview = {
           path: filePath,
+          encoding: encodingInfo.label,
           changes: [],
         };
 
@@ -259,118 +687,1109 @@ class ReplacementEngine extends EventEmitter {
   }
 
   /**
-   * 処理をキャンセル
+   * ドライラン用の unified diff を生成（ファイルは書き換えない）
+   * processFile と同じ変換処理を通すため、実行結果と差分が一致する
+   * @param {Array<string>} files - 対象ファイルパス
+   * @param {Array} rules - 置換ルール
+   * @param {Object} options - contextLines, basePath（diff ヘッダーの相対パス基準）
+   * @returns {Promise<Object>} { files, skipped, errors, stats }
    */
-  cancelProcessing() {
-    if (this.abortController) {
-      this.abortController.abort();
-      this.emit('cancelled');
-      return true;
+  async generateDiffs(files, rules, options = {}) {
+    const activeRules = rules.filter(rule => rule.enabled !== false);
+    if (activeRules.length === 0) {
+      throw new Error('No active replacement rules');
     }
-    return false;
+    const invalidRules = this.validateRules(activeRules);
+    if (invalidRules.length > 0) {
+      throw new Error(
+        `Invalid replacement rules: ${invalidRules
+          .map(({ rule, error }) => `${rule.from} (${error})`)
+          .join(', ')}`
+      );
+    }
+
+    const result = {
+      files: [],
+      skipped: [],
+      errors: [],
+      stats: {
+        totalFiles: files.length,
+        changedFiles: 0,
+        replacements: 0,
+        additions: 0,
+        deletions: 0,
+      },
+    };
+
+    for (const filePath of files) {
+      try {
+        const diff = await this.generateFileDiff(filePath, activeRules, options);
+        if (diff?.skip) {
+          result.skipped.push({ path: filePath, ...diff.skip });
+        } else if (diff) {
+          result.files.push(diff);
+          result.stats.changedFiles++;
+          result.stats.replacements += diff.replacements;
+          result.stats.additions += diff.diff.additions;
+          result.stats.deletions += diff.diff.deletions;
+        }
+      } catch (error) {
+        result.errors.push({ path: filePath, error: error.message });
+      }
+    }
+
+    await DebugLogger.debug('Diff preview generated', result.stats);
+    return result;
   }
 
   /**
-   * 統計情報を取得
+   * 1ファイル分の unified diff
+   * @returns {Promise<Object|null>} 変更なしは null、除外時は { skip: { reason, detail } }
    */
-  getStats() {
-    return { ...this.stats };
+  async generateFileDiff(filePath, rules, options = {}) {
+    const prepared = await this._prepareFile(filePath);
+    if (prepared.skip) {
+      return prepared;
+    }
+
+    const transformed = await this._transformContent(prepared.content, rules);
+    if (transformed.content === prepared.content) {
+      return null;
+    }
+
+    const displayPath = options.basePath
+      ? path.relative(options.basePath, filePath).split(path.sep).join('/')
+      : filePath;
+    const diff = DiffGenerator.createUnifiedDiff(prepared.content, transformed.content, {
+      oldPath: `a/${displayPath}`,
+      newPath: `b/${displayPath}`,
+      contextLines: options.contextLines,
+    });
+
+    return {
+      path: filePath,
+      displayPath,
+      encoding: prepared.encodingInfo.label,
+      lineEndings: transformed.lineEndings,
+      replacements: transformed.replacements,
+      details: transformed.details,
+      lineBreakSkips: transformed.lineBreakSkips,
+      diff,
+    };
   }
 
   /**
-   * バッチ処理の実装
+   * 検索のみ（置換しない）。ヒットしたファイルごとに 'search-result' を発行する
+   * @param {Array<string>} files - 対象ファイルパス
+   * @param {Array} rules - 検索ルール（from のみ使用）
+   * @param {Object} options - contextLines: 前後の表示行数
+   * @returns {Promise<Object>} { cancelled, skipped, errors, stats }
    */
-  async _processBatch(files, rules, processId) {
-    const results = [];
-    const batchSize = this.options.maxConcurrency;
+  async searchMatches(files, rules, options = {}) {
+    if (this.isProcessing) {
+      throw new Error('Processing already in progress');
+    }
+    const activeRules = rules.filter(rule => rule.enabled !== false && rule.from);
+    if (activeRules.length === 0) {
+      throw new Error('No active search patterns');
+    }
+    const invalidRules = this.validateRules(activeRules);
+    if (invalidRules.length > 0) {
+      throw new Error(
+        `Invalid search patterns: ${invalidRules
+          .map(({ rule, error }) => `${rule.from} (${error})`)
+          .join(', ')}`
+      );
+    }
+
+    this.isProcessing = true;
+    this.abortController = new AbortController();
+    const summary = {
+      cancelled: false,
+      skipped: [],
+      errors: [],
+      stats: { totalFiles: files.length, processedFiles: 0, matchedFiles: 0, totalMatches: 0 },
+    };
 
-    for (let i = 0; i < files.length; i += batchSize) {
-      // キャンセルチェック
-      if (this.abortController?.signal.aborted) {
-        throw new Error('Processing cancelled');
+    try {
+      for (const filePath of files) {
+        if (this.abortController.signal.aborted) {
+          summary.cancelled = true;
+          break;
+        }
+
+        try {
+          const result = await this.findInFile(filePath, activeRules, options);
+          if (result?.skip) {
+            summary.skipped.push({ path: filePath, ...result.skip });
+          } else if (result) {
+            summary.stats.matchedFiles++;
+            summary.stats.totalMatches += result.totalCount;
+            this.emit('search-result', result);
+          }
+        } catch (error) {
+          summary.errors.push({ path: filePath, error: error.message });
+        }
+        summary.stats.processedFiles++;
       }
+    } finally {
+      this.isProcessing = false;
+      this.abortController = null;
+    }
 
-      const batch = files.slice(i, i + batchSize);
-      const batchPromises = batch.map(async filePath => {
-        const result = await this.processFile(filePath, rules);
-        this.stats.processedFiles++;
-        this.stats.results.push(result);
+    await DebugLogger.debug('Search completed', summary.stats);
+    return summary;
+  }
 
-        // 進捗通知（throttle）
-        this._emitProgress(processId);
+  /**
+   * 1ファイル内のルール別マッチ（行・列・前後の行付き）
+   * @returns {Promise<Object|null>} ヒットなしは null、除外時は { skip: { reason, detail } }
+   */
+  async findInFile(filePath, rules, options = {}) {
+    const prepared = await this._prepareFile(filePath);
+    if (prepared.skip) {
+      return prepared;
+    }
+
+    const { content, encodingInfo } = prepared;
+    const contextLines = Math.max(0, options.contextLines ?? DEFAULT_SEARCH_CONTEXT_LINES);
+    // _findMatches の行番号（LF 区切り）に合わせて分割
+    const lines = content.split('\n').map(line => line.replace(/\r$/, ''));
+    if (content.endsWith('\n')) {
+      lines.pop(); // 末尾改行の後ろは行として扱わない
+    }
+    const range = (from, to) =>
+      lines.slice(from - 1, to).map((text, offset) => ({ line: from + offset, text }));
 
-        return result;
+    const ruleResults = [];
+    rules.forEach((rule, ruleIndex) => {
+      const matches = this._findMatches(content, rule);
+      if (matches.length === 0) {
+        return;
+      }
+      ruleResults.push({
+        ruleIndex,
+        ruleId: rule.id ?? null,
+        pattern: rule.from,
+        useRegex: this._isRegexRule(rule),
+        count: matches.length,
+        truncated: matches.length > MAX_SEARCH_MATCHES_PER_RULE,
+        matches: matches.slice(0, MAX_SEARCH_MATCHES_PER_RULE).map(match => ({
+          line: match.line,
+          column: match.column,
+          length: match.length,
+          matched: match.matched,
+          lineText: lines[match.line - 1],
+          before: range(Math.max(1, match.line - contextLines), match.line - 1),
+          after: range(match.line + 1, match.line + contextLines),
+        })),
       });
+    });
 
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
+    if (ruleResults.length === 0) {
+      return null;
     }
 
-    return results;
+    return {
+      path: filePath,
+      encoding: encodingInfo.label,
+      totalCount: ruleResults.reduce((sum, result) => sum + result.count, 0),
+      rules: ruleResults,
+    };
   }
 
   /**
-   * 単一ルールを適用
+   * チェック実行：各ルールの from を禁止パターンとして扱い、残っている箇所を報告する（書き換えない）
+   * @param {Array<string>} files - 対象ファイルパス
+   * @param {Array} rules - ルール（from のみ使用）
+   * @returns {Promise<Object>} { passed, cancelled, checkedAt, rules, occurrences, truncated, skipped, errors, stats }
    */
-  async _applyRule(content, rule) {
-    const { from, to } = rule;
-
-    // Case sensitive setting - use global options if rule doesn't have its own
-    const caseSensitive =
-      rule.caseSensitive !== undefined ? rule.caseSensitive : this.options.caseSensitive;
-    const flags = caseSensitive ? 'g' : 'gi';
+  async checkForbiddenPatterns(files, rules, options = {}) {
+    const activeRules = rules.filter(rule => rule.enabled !== false && rule.from);
+    const ruleTotals = activeRules.map((rule, ruleIndex) => ({
+      ruleIndex,
+      ruleId: rule.id ?? null,
+      pattern: rule.from,
+      count: 0,
+    }));
+    const occurrences = [];
+    const failedFiles = new Set();
+    let truncated = false;
 
-    // エスケープ処理（正規表現特殊文字）
-    const escapedFrom = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(escapedFrom, flags);
+    const collect = result => {
+      failedFiles.add(result.path);
+      const fileOccurrences = [];
+      result.rules.forEach(rule => {
+        ruleTotals[rule.ruleIndex].count += rule.count;
+        truncated = truncated || rule.truncated;
+        rule.matches.forEach(match => {
+          fileOccurrences.push({
+            path: result.path,
+            line: match.line,
+            column: match.column,
+            ruleIndex: rule.ruleIndex,
+            ruleId: rule.ruleId,
+            pattern: rule.pattern,
+            matched: match.matched,
+            lineText: match.lineText,
+          });
+        });
+      });
+      // ファイル内は出現位置順
+      fileOccurrences.sort((a, b) => a.line - b.line || a.column - b.column);
+      occurrences.push(...fileOccurrences);
+    };
 
-    let replacements = 0;
-    const newContent = content.replace(regex, () => {
-      replacements++;
-      return to;
-    });
+    this.on('search-result', collect);
+    let summary;
+    try {
+      summary = await this.searchMatches(files, activeRules, { ...options, contextLines: 0 });
+    } finally {
+      this.off('search-result', collect);
+    }
 
-    return {
-      content: newContent,
-      replacements,
+    // エラーで読めなかったファイルや中断がある場合は「残っていない」と言えないため不合格
+    const report = {
+      passed: summary.stats.totalMatches === 0 && summary.errors.length === 0 && !summary.cancelled,
+      cancelled: summary.cancelled,
+      checkedAt: new Date().toISOString(),
+      rules: ruleTotals,
+      occurrences,
+      truncated,
+      skipped: summary.skipped,
+      errors: summary.errors,
+      stats: {
+        totalFiles: summary.stats.totalFiles,
+        processedFiles: summary.stats.processedFiles,
+        failedFiles: failedFiles.size,
+        occurrences: summary.stats.totalMatches,
+      },
     };
+
+    await DebugLogger.info('Forbidden pattern check completed', {
+      passed: report.passed,
+      ...report.stats,
+    });
+    return report;
   }
 
   /**
-   * マッチ箇所を検索（プレビュー用）
+   * マッチ単位で採用・却下を選ぶためのレビューを作成（ファイルは書き換えない）
+   * マッチは全ルールを元テキストに対して解決する（simultaneous と同じ）ため、
+   * 採用したマッチの置換結果が後続ルールに再マッチすることはない
+   * @param {Array<string>} files - 対象ファイルパス
+   * @param {Array} rules - 置換ルール
+   * @param {Object} options - basePath（表示用の相対パス基準）
+   * @returns {Promise<Object>} { reviewId, rules, files, skipped, errors, stats }
    */
-  _findMatches(content, rule) {
-    const { from } = rule;
-    // Case sensitive setting - use rule-level setting if available, otherwise global setting
-    const caseSensitive =
-      rule.caseSensitive !== undefined ? rule.caseSensitive : this.options.caseSensitive;
-    const flags = caseSensitive ? 'g' : 'gi';
-    const escapedFrom = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(escapedFrom, flags);
+  async createReview(files, rules, options = {}) {
+    const activeRules = rules.filter(rule => rule.enabled !== false);
+    if (activeRules.length === 0) {
+      throw new Error('No active replacement rules');
+    }
+    const invalidRules = this.validateRules(activeRules);
+    if (invalidRules.length > 0) {
+      throw new Error(
+        `Invalid replacement rules: ${invalidRules
+          .map(({ rule, error }) => `${rule.from} (${error})`)
+          .join(', ')}`
+      );
+    }
 
-    const matches = [];
-    let match;
+    const review = {
+      reviewId: `review-${Date.now()}`,
+      createdAt: new Date().toISOString(),
+      // レビューは常に元テキストに対する一括適用（順次適用の設定はレビューでは使わない）
+      applyMode: 'simultaneous',
+      applyModeOverridden: this.options.applyMode !== 'simultaneous',
+      rules: activeRules,
+      files: [],
+      skipped: [],
+      errors: [],
+      stats: { totalFiles: files.length, matchedFiles: 0, totalMatches: 0 },
+    };
 
-    while ((match = regex.exec(content)) !== null) {
-      const lineStart = content.lastIndexOf('\n', match.index) + 1;
-      const lineEnd = content.indexOf('\n', match.index);
-      const line = content.substring(lineStart, lineEnd === -1 ? content.length : lineEnd);
-      const lineNumber = content.substring(0, match.index).split('\n').length;
-
-      matches.push({
-        line: lineNumber,
-        column: match.index - lineStart,
-        context: line.trim(),
-      });
+    for (const [fileIndex, filePath] of files.entries()) {
+      try {
+        const prepared = await this._prepareFile(filePath);
+        if (prepared.skip) {
+          review.skipped.push({ path: filePath, ...prepared.skip });
+          continue;
+        }
+
+        const { buffer, content, encodingInfo } = prepared;
+        const selected = this._selectMatches(content, activeRules);
+        if (selected.length === 0) {
+          continue;
+        }
+
+        const context = { eol: this.detectLineEndings(content).eol };
+        review.files.push({
+          path: filePath,
+          displayPath: options.basePath
+            ? path.relative(options.basePath, filePath).split(path.sep).join('/')
+            : filePath,
+          hash: this._hash(buffer),
+          encoding: encodingInfo.label,
+          matches: selected.map((candidate, index) => ({
+            id: `${fileIndex}:${index}`,
+            index,
+            ruleId: candidate.rule.id ?? null,
+            ruleIndex: candidate.priority,
+            rule: `${candidate.rule.from} → ${candidate.rule.to}`,
+            ...this._locateMatch(content, candidate.start),
+            matched: candidate.match[0],
+            replacement: this._buildReplacement(candidate.rule, candidate.match, content, context),
+          })),
+        });
+        review.stats.matchedFiles++;
+        review.stats.totalMatches += selected.length;
+      } catch (error) {
+        review.errors.push({ path: filePath, error: error.message });
+      }
     }
 
-    return matches;
+    await DebugLogger.debug('Replacement review created', {
+      reviewId: review.reviewId,
+      ...review.stats,
+    });
+    return review;
   }
 
   /**
-   * 進捗通知（throttle付き）
+   * レビューで採用したマッチのみを置換
+   * レビュー後に内容が変わったファイルは 'changed-since-review' としてスキップする
+   * @param {Object} review - createReview の結果
+   * @param {Array<string>} acceptedIds - 採用するマッチの id
+   * @param {Object} runInfo - processFiles と同じ
    */
-  _emitProgress(processId) {
+  async applyReview(review, acceptedIds, runInfo = {}) {
+    if (this.isProcessing) {
+      throw new Error('Processing already in progress');
+    }
+
+    const accepted = new Set(acceptedIds);
+    const selection = new Map();
+    review.files.forEach(file => {
+      const indexes = file.matches
+        .filter(match => accepted.has(match.id))
+        .map(match => match.index);
+      if (indexes.length > 0) {
+        selection.set(file.path, { hash: file.hash, accepted: new Set(indexes) });
+      }
+    });
+    if (selection.size === 0) {
+      throw new Error('No accepted matches');
+    }
+
+    this.reviewSelection = selection;
+    try {
+      return await this.processFiles([...selection.keys()], review.rules, {
+        ...runInfo,
+        reviewId: review.reviewId,
+      });
+    } finally {
+      this.reviewSelection = null;
+    }
+  }
+
+  /**
+   * ルールを検証（正規表現のコンパイル確認）
+   * @param {Object} rule - 置換ルール
+   * @returns {{valid: boolean, error: string|null}} 検証結果
+   */
+  validateRule(rule) {
+    if (!rule.from) {
+      return { valid: false, error: 'Search text is empty' };
+    }
+
+    try {
+      this._buildRegex(rule);
+      this._getWordBoundary(rule);
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * 複数ルールを検証し、無効なルールのみ返す
+   * @param {Array} rules - 置換ルール配列
+   * @returns {Array<{rule: Object, error: string}>} 無効なルール
+   */
+  validateRules(rules) {
+    return rules
+      .map(rule => ({ rule, ...this.validateRule(rule) }))
+      .filter(result => !result.valid)
+      .map(({ rule, error }) => ({ rule, error }));
+  }
+
+  /**
+   * 処理をキャンセル
+   * 処理中のファイルは書き込み前であれば書き込まず、次のファイルには進まない
+   */
+  cancelProcessing() {
+    if (this.abortController) {
+      this.abortController.abort();
+      // 一時停止中でも待機を解除してキャンセルを反映する
+      this._releasePause();
+      this.emit('cancelled');
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 処理を一時停止（処理中のファイルは完了させ、次のファイルに進まない）
+   * @returns {boolean} 一時停止したか（処理中でない・一時停止中なら false）
+   */
+  pauseProcessing() {
+    if (!this.isProcessing || this.pauseGate || this.abortController?.signal.aborted) {
+      return false;
+    }
+
+    let resume;
+    const promise = new Promise(resolve => {
+      resume = resolve;
+    });
+    this.pauseGate = { promise, resume };
+    this.emit('paused', {
+      processedFiles: this.stats.processedFiles,
+      totalFiles: this.stats.totalFiles,
+    });
+    return true;
+  }
+
+  /**
+   * 一時停止した処理を再開
+   * @returns {boolean} 再開したか（一時停止中でなければ false）
+   */
+  resumeProcessing() {
+    if (!this.pauseGate) {
+      return false;
+    }
+
+    this._releasePause();
+    this.emit('resumed', {
+      processedFiles: this.stats.processedFiles,
+      totalFiles: this.stats.totalFiles,
+    });
+    return true;
+  }
+
+  isPaused() {
+    return !!this.pauseGate;
+  }
+
+  _releasePause() {
+    const gate = this.pauseGate;
+    this.pauseGate = null;
+    gate?.resume();
+  }
+
+  async _waitWhilePaused() {
+    while (this.pauseGate) {
+      await this.pauseGate.promise;
+    }
+  }
+
+  /**
+   * バックアップ管理を設定（processFiles の書き込み前に退避する）
+   * @param {BackupManager|null} backupManager
+   */
+  setBackupManager(backupManager) {
+    this.backupManager = backupManager;
+  }
+
+  /**
+   * バックアップの manifest を保存
+   * @returns {Object|null} { processId, fileCount }（バックアップなしの場合は null）
+   */
+  async _finalizeBackup() {
+    if (!this.backupRunId) {
+      return null;
+    }
+
+    const processId = this.backupRunId;
+    this.backupRunId = null;
+
+    try {
+      const manifest = await this.backupManager.finalizeRun(processId, {
+        modifiedFiles: this.stats.modifiedFiles,
+        totalReplacements: this.stats.totalReplacements,
+      });
+      return manifest ? { processId, fileCount: manifest.files.length } : null;
+    } catch (error) {
+      await DebugLogger.error('Failed to save backup manifest', {
+        processId,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 統計情報を取得
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * 並列数（maxConcurrency）のワーカーでファイルを順に処理
+   * 一時停止・キャンセルはファイルごとに確認し、キャンセル後は次のファイルに進まない
+   */
+  async _processBatch(files, rules, processId) {
+    const results = [];
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < files.length) {
+        await this._waitWhilePaused();
+        if (this.abortController?.signal.aborted) {
+          return;
+        }
+
+        const filePath = files[nextIndex++];
+        const result = await this.processFile(filePath, rules);
+        if (result.cancelled) {
+          return;
+        }
+        this.stats.processedFiles++;
+        this.stats.results.push(result);
+        this._updateRootProgress(filePath, result);
+        results.push(result);
+
+        // 進捗通知（throttle）
+        this._emitProgress(processId);
+      }
+    };
+
+    // maxConcurrency 未指定（設定ファイルに max_concurrent_files がない）時は既定値
+    const workerCount = Math.min(this.options.maxConcurrency || MAX_CONCURRENT_FILES, files.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+  }
+
+  /**
+   * 単一ルールを適用
+   */
+  async _applyRule(content, rule, context = {}) {
+    return this.replaceText(content, rule, context);
+  }
+
+  /**
+   * 文字列に単一ルールを適用（同期版・ファイルI/Oなし）
+   * @param {string} content - 対象文字列
+   * @param {Object} rule - 置換ルール
+   * @param {Object} context - eol: 置換文字列中の改行を揃える改行コード
+   * @returns {{content: string, replacements: number}}
+   */
+  replaceText(content, rule, context = {}) {
+    const matches = this._collectMatches(content, rule, context);
+    if (matches.length === 0) {
+      return { content, replacements: 0 };
+    }
+
+    let newContent = '';
+    let cursor = 0;
+    for (const match of matches) {
+      newContent +=
+        content.slice(cursor, match.index) + this._buildReplacement(rule, match, content, context);
+      cursor = match.index + match[0].length;
+    }
+    newContent += content.slice(cursor);
+
+    return {
+      content: newContent,
+      replacements: matches.length,
+    };
+  }
+
+  /**
+   * 複数ルールを元テキストに対して1パスで適用（swap 等が可能）
+   * 重なったマッチは開始位置の早いものを優先し、同一位置は overlapStrategy で決定
+   * - longest: 長いマッチ優先（同じ長さならルール順）
+   * - priority: ルール順優先（同じルールなら長いマッチ）
+   * @param {string} content - 対象文字列
+   * @param {Array} rules - 置換ルール（配列順が優先度）
+   * @param {Object} context - replaceText と同じ
+   * @returns {{content: string, replacements: number, counts: Map<Object, number>}}
+   */
+  replaceTextSimultaneous(content, rules, context = {}) {
+    return this._applyMatches(content, this._selectMatches(content, rules), context);
+  }
+
+  /**
+   * 全ルールのマッチから重ならないものを選択（replaceTextSimultaneous・レビュー共通）
+   * @returns {Array<Object>} 出現順の { rule, priority, match, start, end }
+   */
+  _selectMatches(content, rules, context = {}) {
+    const candidates = [];
+    rules
+      .filter(rule => rule.enabled === undefined || rule.enabled)
+      .forEach((rule, priority) => {
+        this._collectMatches(content, rule, context).forEach(match => {
+          candidates.push({
+            rule,
+            priority,
+            match,
+            start: match.index,
+            end: match.index + match[0].length,
+          });
+        });
+      });
+
+    const byLength = (a, b) => b.end - b.start - (a.end - a.start);
+    const byPriority = (a, b) => a.priority - b.priority;
+    const tieBreakers =
+      this.options.overlapStrategy === 'priority' ? [byPriority, byLength] : [byLength, byPriority];
+
+    candidates.sort((a, b) => a.start - b.start || tieBreakers[0](a, b) || tieBreakers[1](a, b));
+
+    // 採用済みマッチと重ならないものだけを先頭から採用
+    const selected = [];
+    let cursor = 0;
+    for (const candidate of candidates) {
+      if (candidate.start >= cursor) {
+        selected.push(candidate);
+        cursor = candidate.end;
+      }
+    }
+    return selected;
+  }
+
+  /**
+   * 選択済みマッチ（重なりなし・出現順）を置換
+   * @returns {{content: string, replacements: number, counts: Map<Object, number>}}
+   */
+  _applyMatches(content, candidates, context = {}) {
+    const counts = new Map();
+    let newContent = '';
+    let cursor = 0;
+
+    for (const candidate of candidates) {
+      newContent +=
+        content.slice(cursor, candidate.start) +
+        this._buildReplacement(candidate.rule, candidate.match, content, context);
+      cursor = candidate.end;
+      counts.set(candidate.rule, (counts.get(candidate.rule) || 0) + 1);
+    }
+    newContent += content.slice(cursor);
+
+    return {
+      content: candidates.length > 0 ? newContent : content,
+      replacements: candidates.length,
+      counts,
+    };
+  }
+
+  /**
+   * 文字列がルールにマッチするかどうか
+   */
+  hasMatch(content, rule) {
+    return this._collectMatches(content, rule).length > 0;
+  }
+
+  /**
+   * マッチ箇所を検索（プレビュー用）
+   * _applyRule と同じ _collectMatches を使うため、プレビューと実行結果は一致する
+   */
+  _findMatches(content, rule) {
+    return this._collectMatches(content, rule).map(match => ({
+      ...this._locateMatch(content, match.index),
+      length: match[0].length,
+      matched: match[0],
+    }));
+  }
+
+  /**
+   * マッチ位置の行番号・列・行内容
+   */
+  _locateMatch(content, index) {
+    const lineStart = content.lastIndexOf('\n', index) + 1;
+    const lineEnd = content.indexOf('\n', index);
+    const line = content.substring(lineStart, lineEnd === -1 ? content.length : lineEnd);
+    const lineNumber = content.substring(0, index).split('\n').length;
+
+    return {
+      line: lineNumber,
+      column: index - lineStart,
+      context: line.trim(),
+    };
+  }
+
+  /**
+   * 改行コードと末尾改行の状態を判定
+   * @returns {Object} { style: 'lf'|'crlf'|'cr'|'mixed'|'none', eol, finalNewline, counts }
+   */
+  detectLineEndings(content) {
+    const counts = { lf: 0, crlf: 0, cr: 0 };
+    for (const [lineBreak] of content.matchAll(LINE_BREAK)) {
+      const key = Object.keys(LINE_ENDINGS).find(name => LINE_ENDINGS[name] === lineBreak);
+      counts[key]++;
+    }
+
+    const used = Object.keys(counts).filter(name => counts[name] > 0);
+    let style = 'none';
+    if (used.length === 1) {
+      [style] = used;
+    } else if (used.length > 1) {
+      style = 'mixed';
+    }
+
+    // 混在時は最も多い改行コードを置換文字列の改行に使う
+    const [dominant] = [...used].sort((a, b) => counts[b] - counts[a]);
+    const lastBreak = content.match(/(\r\n|\r|\n)$/);
+
+    return {
+      style,
+      eol: dominant ? LINE_ENDINGS[dominant] : null,
+      finalNewline: !!lastBreak,
+      finalEol: lastBreak ? lastBreak[1] : null,
+      counts,
+    };
+  }
+
+  /**
+   * ルールの検索パターンが改行を明示的に対象にしているか
+   * 対象にしていないルールは改行を含むマッチを置換しない
+   * リテラルモードでは CR・LF の文字そのもの、正規表現モードでは \n 等のエスケープも対象とみなす
+   */
+  targetsLineBreaks(rule) {
+    const from = rule.from || '';
+    return this._isRegexRule(rule)
+      ? LINE_BREAK_PATTERN_SOURCE.test(from)
+      : LINE_BREAK_CHARACTER.test(from);
+  }
+
+  /**
+   * 末尾改行の有無を元の状態に戻す
+   */
+  _restoreFinalNewline(content, lineEndings) {
+    const hasFinalNewline = /[\r\n]$/.test(content);
+    if (lineEndings.finalNewline && !hasFinalNewline) {
+      return content + lineEndings.finalEol;
+    }
+    if (!lineEndings.finalNewline && hasFinalNewline) {
+      return content.replace(/(\r\n|\r|\n)$/, '');
+    }
+    return content;
+  }
+
+  /**
+   * normalizeLineEndings 指定時に改行コードを統一
+   * @returns {{content: string, converted: boolean}}
+   */
+  _normalizeLineEndings(content) {
+    const eol = LINE_ENDINGS[this.options.normalizeLineEndings];
+    if (!eol) {
+      return { content, converted: false };
+    }
+
+    const normalized = content.replace(LINE_BREAK, eol);
+    return { content: normalized, converted: normalized !== content };
+  }
+
+  /**
+   * ルールにマッチする箇所を収集（whole word モードの境界判定込み）
+   * context.lineBreakSkips（Map）を渡すと、改行をまたぐため除外したマッチ数をルールごとに記録する
+   * @returns {Array<RegExpExecArray>} 出現順のマッチ（重なりなし）
+   */
+  _collectMatches(content, rule, context = {}) {
+    const regex = this._buildRegex(rule);
+    const boundary = this._getWordBoundary(rule);
+    const protectLineBreaks = !this.targetsLineBreaks(rule);
+
+    const matches = [];
+    let match;
+    let skippedUntil = -1; // 除外済みのマッチ範囲（1文字ずつ再検索した重複候補は数えない）
+
+    while ((match = regex.exec(content)) !== null) {
+      if (boundary && !this._isWholeWordMatch(content, match, boundary)) {
+        // 境界条件を満たさない場合は1文字進めて重なった候補も探す
+        regex.lastIndex = match.index + 1;
+        continue;
+      }
+
+      // 改行を対象としないルール（\s+ や [^x]+ など）が改行ごと置換しないようにする
+      if (protectLineBreaks && LINE_BREAK_CHARACTER.test(match[0])) {
+        if (match.index >= skippedUntil && context.lineBreakSkips) {
+          context.lineBreakSkips.set(rule, (context.lineBreakSkips.get(rule) || 0) + 1);
+        }
+        skippedUntil = Math.max(skippedUntil, match.index + match[0].length);
+        regex.lastIndex = match.index + 1;
+        continue;
+      }
+
+      // 空文字マッチ（^ や \b など）で無限ループしないよう位置を進める
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+      }
+
+      matches.push(match);
+    }
+
+    return matches;
+  }
+
+  /**
+   * マッチ1件分の置換文字列を生成
+   */
+  _buildReplacement(rule, match, content, context = {}) {
+    // 正規表現モードのみ $1 / $<name> を展開（リテラルモードの "$" はそのまま）
+    let replacement = rule.to;
+    if (this._isRegexRule(rule)) {
+      const args = [...match, match.index, content];
+      if (match.groups) {
+        args.push(match.groups);
+      }
+      replacement = this._expandReplacement(rule.to, args);
+    }
+
+    if (rule.preserveCase) {
+      replacement = this._preserveCase(match[0], replacement);
+    }
+
+    // 改行を対象としないルールの置換文字列に含まれる改行はファイルの改行コードに揃える
+    if (context.eol && !this.targetsLineBreaks(rule) && LINE_BREAK_CHARACTER.test(replacement)) {
+      replacement = replacement.replace(LINE_BREAK, context.eol);
+    }
+
+    return replacement;
+  }
+
+  /**
+   * whole word モードの境界セット名を取得（ルール設定 > グローバル設定）
+   * @returns {string|null} 境界セット名（whole word 無効時は null）
+   */
+  _getWordBoundary(rule) {
+    const wholeWord = rule.wholeWord !== undefined ? rule.wholeWord : this.options.wholeWord;
+    if (!wholeWord) {
+      return null;
+    }
+
+    const boundary = rule.wordBoundary || this.options.wordBoundary || 'identifier';
+    if (!WORD_CHARACTER_SETS[boundary]) {
+      throw new Error(`Unsupported word boundary: ${boundary}`);
+    }
+    return boundary;
+  }
+
+  /**
+   * マッチの前後が単語境界かどうか
+   * マッチ端の文字と隣接文字がどちらも単語構成文字なら単語の途中とみなす
+   */
+  _isWholeWordMatch(content, match, boundary) {
+    const wordCharacter = WORD_CHARACTER_SETS[boundary];
+    const matchedChars = [...match[0]];
+    if (matchedChars.length === 0) {
+      return true;
+    }
+
+    const end = match.index + match[0].length;
+    const before = [...content.slice(Math.max(0, match.index - 2), match.index)].pop();
+    const [after] = [...content.slice(end, end + 2)];
+
+    const joins = (edge, neighbor) => {
+      if (!neighbor || !wordCharacter.test(edge) || !wordCharacter.test(neighbor)) {
+        return false;
+      }
+      // CJK セット: どちらかが CJK 文字なら分かち書きなしでも境界とみなす
+      return !(boundary === 'cjk' && (CJK_CHARACTER.test(edge) || CJK_CHARACTER.test(neighbor)));
+    };
+
+    return !joins(matchedChars[0], before) && !joins(matchedChars[matchedChars.length - 1], after);
+  }
+
+  /**
+   * ルールが正規表現モードかどうか（ルール設定 > グローバル設定）
+   */
+  _isRegexRule(rule) {
+    return rule.useRegex !== undefined ? !!rule.useRegex : !!this.options.useRegex;
+  }
+
+  /**
+   * ルールから検索用の正規表現を生成
+   * 正規表現モードでは rule.from をそのまま、リテラルモードではエスケープして使用
+   */
+  _buildRegex(rule) {
+    const { from } = rule;
+
+    // Case sensitive setting - use rule-level setting if available, otherwise global setting
+    const caseSensitive =
+      rule.caseSensitive !== undefined ? rule.caseSensitive : this.options.caseSensitive;
+
+    const flags = new Set(['g']);
+    // preserveCase は大文字小文字違いの出現を拾うため常に case-insensitive で検索
+    if (!caseSensitive || rule.preserveCase) {
+      flags.add('i');
+    }
+
+    if (!this._isRegexRule(rule)) {
+      // エスケープ処理（正規表現特殊文字）
+      const escapedFrom = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(escapedFrom, [...flags].join(''));
+    }
+
+    const ruleFlags = rule.regexFlags !== undefined ? rule.regexFlags : this.options.regexFlags;
+    for (const flag of ruleFlags || '') {
+      if (!SUPPORTED_REGEX_FLAGS.includes(flag)) {
+        throw new Error(`Unsupported regex flag: ${flag}`);
+      }
+      flags.add(flag);
+    }
+
+    return new RegExp(from, [...flags].join(''));
+  }
+
+  /**
+   * マッチ文字列の大文字小文字パターンを置換文字列に反映
+   * 対応: lower / UPPER / Title / camelCase・PascalCase / snake_case・kebab-case の各セグメント
+   * @param {string} matched - 実際にマッチした文字列
+   * @param {string} replacement - 置換文字列
+   */
+  _preserveCase(matched, replacement) {
+    const pattern = this._detectCasePattern(matched);
+    if (pattern !== 'mixed') {
+      return this._applyCasePattern(replacement, pattern);
+    }
+
+    // snake_case / kebab-case: セグメント数が一致すればセグメントごとに適用
+    if (CASE_SEGMENT_SEPARATOR.test(matched)) {
+      const matchedSegments = matched.split(CASE_SEGMENT_SEPARATOR);
+      const replacementParts = replacement.split(/([-_])/);
+      const replacementSegments = replacementParts.filter((_, index) => index % 2 === 0);
+
+      if (matchedSegments.length === replacementSegments.length) {
+        return replacementParts
+          .map((part, index) => {
+            // 奇数インデックスは区切り文字そのもの
+            if (index % 2 === 1) {
+              return part;
+            }
+            return this._preserveCase(matchedSegments[index / 2], part);
+          })
+          .join('');
+      }
+      return replacement;
+    }
+
+    // camelCase / PascalCase: 置換文字列を単語分割して先頭単語のみマッチ側の形式を引き継ぐ
+    const words = this._splitWords(replacement);
+    const [firstHump] = this._splitWords(matched);
+    if (words.length === 0 || !firstHump) {
+      return replacement;
+    }
+
+    const firstPattern = this._detectCasePattern(firstHump);
+    return words
+      .map((word, index) => {
+        if (index === 0 && firstPattern !== 'title') {
+          return word.toLowerCase();
+        }
+        return this._applyCasePattern(word, 'title');
+      })
+      .join('');
+  }
+
+  /**
+   * 文字列の大文字小文字パターンを判定
+   * @returns {'none'|'lower'|'upper'|'title'|'mixed'}
+   */
+  _detectCasePattern(text) {
+    const letters = [...text].filter(char => char.toLowerCase() !== char.toUpperCase());
+    if (letters.length === 0) {
+      return 'none';
+    }
+
+    const isUpper = char => char === char.toUpperCase();
+    if (letters.every(char => !isUpper(char))) {
+      return 'lower';
+    }
+    // 1文字だけの大文字は UPPER ではなく Title とみなす（"A" → "Primary"）
+    if (letters.length > 1 && letters.every(isUpper)) {
+      return 'upper';
+    }
+    if (isUpper(letters[0]) && letters.slice(1).every(char => !isUpper(char))) {
+      return 'title';
+    }
+    return 'mixed';
+  }
+
+  /**
+   * 判定済みパターンを文字列に適用
+   */
+  _applyCasePattern(text, pattern) {
+    switch (pattern) {
+      case 'lower':
+        return text.toLowerCase();
+      case 'upper':
+        return text.toUpperCase();
+      case 'title':
+        return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * camelCase / 区切り文字付きの文字列を単語に分割
+   */
+  _splitWords(text) {
+    return text
+      .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+      .split(/[\s\-_]+/)
+      .filter(word => word.length > 0);
+  }
+
+  /**
+   * 置換文字列のキャプチャグループ参照を展開
+   * 対応: $$, $&, $1〜$99, $<name>
+   * @param {string} template - 置換文字列（rule.to）
+   * @param {Array} args - String.prototype.replace のコールバック引数
+   */
+  _expandReplacement(template, args) {
+    const hasNamedGroups = typeof args[args.length - 1] === 'object';
+    const groups = hasNamedGroups ? args[args.length - 1] : undefined;
+    // args: [match, p1, ..., pN, offset, string, (groups)]
+    const trailingArgCount = hasNamedGroups ? 3 : 2; // offset, string, (groups)
+    const captures = args.slice(1, args.length - trailingArgCount);
+    const [matched] = args;
+
+    return template.replace(/\$(\$|&|<([^>]*)>|(\d{1,2}))/g, (token, kind, name, digits) => {
+      if (kind === '$') {
+        return '$';
+      }
+      if (kind === '&') {
+        return matched;
+      }
+      if (name !== undefined) {
+        if (!groups) {
+          return token;
+        }
+        return groups[name] ?? '';
+      }
+
+      // $12 が存在しない場合は $1 + "2" として解釈（String.prototype.replace と同じ挙動）
+      let index = parseInt(digits, 10);
+      let rest = '';
+      if (index > captures.length && digits.length > 1) {
+        index = parseInt(digits[0], 10);
+        rest = digits.slice(1);
+      }
+      if (index === 0 || index > captures.length) {
+        return token;
+      }
+      return (captures[index - 1] ?? '') + rest;
+    });
+  }
+
+  /**
+   * 進捗通知（throttle付き）
+   */
+  _emitProgress(processId) {
     const now = Date.now();
     if (now - this.lastProgressUpdate >= this.options.progressUpdateInterval) {
       this.lastProgressUpdate = now;
@@ -382,10 +1801,50 @@ class ReplacementEngine extends EventEmitter {
         modifiedFiles: this.stats.modifiedFiles,
         totalReplacements: this.stats.totalReplacements,
         percentage: Math.round((this.stats.processedFiles / this.stats.totalFiles) * 100),
+        roots: this.stats.roots,
       });
     }
   }
 
+  /**
+   * 対象フォルダごとの進捗の準備（roots がなければ集計しない）
+   * どのフォルダにも含まれない個別指定ファイルは path: null のグループにまとめる
+   */
+  _initRootProgress(files, roots = []) {
+    this.rootGroupByFile = new Map();
+    if (roots.length === 0) {
+      return;
+    }
+
+    const createGroup = root => ({
+      path: root,
+      totalFiles: 0,
+      processedFiles: 0,
+      modifiedFiles: 0,
+    });
+    const groups = new Map(roots.map(root => [root, createGroup(root)]));
+    files.forEach(filePath => {
+      const root = FileSearchEngine.findRoot(filePath, roots);
+      if (!groups.has(root)) {
+        groups.set(root, createGroup(root));
+      }
+      const group = groups.get(root);
+      group.totalFiles++;
+      this.rootGroupByFile.set(filePath, group);
+    });
+    this.stats.roots = [...groups.values()];
+  }
+
+  _updateRootProgress(filePath, result) {
+    const group = this.rootGroupByFile?.get(filePath);
+    if (group) {
+      group.processedFiles++;
+      if (result.modified || result.changes > 0) {
+        group.modifiedFiles++;
+      }
+    }
+  }
+
   /**
    * 統計情報をリセット
    */
@@ -395,6 +1854,11 @@ class ReplacementEngine extends EventEmitter {
       processedFiles: 0,
       modifiedFiles: 0,
       totalReplacements: 0,
+      normalizedFiles: 0, // 改行コードを統一したファイル数
+      lineBreakSkips: 0, // 改行をまたぐため置換しなかったマッチ数
+      roots: null, // 対象フォルダごとの進捗 { path, totalFiles, processedFiles, modifiedFiles }
+      writtenFiles: [], // 実際に書き込んだファイル（書き込み順）
+      skipped: [], // { path, reason, detail }
       errors: [],
       results: [],
     };
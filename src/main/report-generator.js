@@ -0,0 +1,460 @@
+/**
+ * report-generator.js - 置換実行のレポート生成（JSON / HTML / Markdown / CSV）
+ *
+ * processFiles の結果と実行時の設定から実行記録（run）を作り、各形式の文字列に変換する。
+ * HTML は外部リソースを参照しない単一ファイルで、変更ファイルごとの差分を含む。
+ */
+
+const path = require('path');
+
+// 定数定義
+const REPORT_TITLE = 'Multi Grep Replacer - Replacement Report';
+const REPORT_VERSION = 1;
+const REPORT_FORMATS = {
+  json: { extension: 'json', name: 'JSON Report' },
+  html: { extension: 'html', name: 'HTML Report' },
+  md: { extension: 'md', name: 'Markdown Summary' },
+  csv: { extension: 'csv', name: 'CSV' },
+};
+const SKIP_REASON_LABELS = {
+  binary: 'Binary file',
+  'too-large': 'Too large',
+  'permission-denied': 'No permission',
+  symlink: 'Symlink',
+  'changed-since-review': 'Changed since review',
+  'patch-unsupported': 'Not representable in a patch',
+};
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const HTML_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 32px; color: #1f2937; }
+  h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 28px; }
+  table { border-collapse: collapse; margin: 8px 0; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 10px; text-align: left; vertical-align: top; white-space: pre-wrap; }
+  th { background: #f3f4f6; }
+  code { font-family: Consolas, Monaco, 'Courier New', monospace; }
+  code.from { color: #dc2626; } code.to { color: #16a34a; }
+  .counts td { text-align: right; }
+  .file { border: 1px solid #e5e7eb; border-radius: 6px; margin: 8px 0; padding: 6px 10px; }
+  .file summary { cursor: pointer; font-weight: 600; }
+  .count { color: #6b7280; font-weight: normal; }
+  .diff { background: #f9fafb; font-size: 12px; overflow-x: auto; padding: 8px; margin: 6px 0 0; }
+  .diff .ins { background: #dcfce7; display: block; } .diff .del { background: #fee2e2; display: block; }
+  .diff .hunk { color: #6366f1; display: block; }
+  ul.plain li { margin: 2px 0; }
+`;
+
+class ReportGenerator {
+  static FORMATS = REPORT_FORMATS;
+
+  /**
+   * 実行記録を作成
+   * @param {Object} params - { config, replacementResult, response, startedAt, finishedAt }
+   *   response は buildReplacementResponse の結果（basePath・roots・skipped・errors 付き）
+   * @returns {Object} レポートの元データ（diffs は collectDiffs 指定時のみ）
+   */
+  static createRun({ config, replacementResult, response, startedAt, finishedAt = new Date() }) {
+    return {
+      processId: response.processId,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      duration: replacementResult.duration || finishedAt - startedAt,
+      cancelled: response.cancelled,
+      config: {
+        targetFolders: config.targetFolders?.length
+          ? config.targetFolders
+          : [config.targetFolder].filter(Boolean),
+        targetFiles: config.targetFiles || [],
+        extensions: config.extensions || '',
+        options: config.options || {},
+      },
+      rules: (config.rules || []).filter(rule => rule.enabled !== false),
+      basePath: response.basePath || null,
+      roots: response.roots,
+      stats: response.stats,
+      results: response.results.filter(result => result.modified || result.changes > 0),
+      diffs: replacementResult.diffs || {},
+      skipped: response.skipped,
+      errors: response.errors,
+      patch: response.patch || null,
+      backup: response.backup || null,
+    };
+  }
+
+  /**
+   * 指定形式のレポート文字列
+   * @param {Object} run - createRun() の結果
+   * @param {string} format - json / html / md / csv
+   * @returns {string}
+   */
+  static generate(run, format) {
+    switch (format) {
+      case 'json':
+        return this.toJSON(run);
+      case 'html':
+        return this.toHTML(run);
+      case 'md':
+        return this.toMarkdown(run);
+      case 'csv':
+        return this.toCSV(run);
+      default:
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+  }
+
+  /**
+   * ツール連携用の JSON（差分は unified diff 形式の文字列）
+   */
+  static toJSON(run) {
+    const report = {
+      reportVersion: REPORT_VERSION,
+      generatedAt: new Date().toISOString(),
+      processId: run.processId,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      duration: run.duration,
+      cancelled: run.cancelled,
+      config: run.config,
+      rules: run.rules,
+      basePath: run.basePath,
+      roots: run.roots,
+      stats: run.stats,
+      files: run.results.map(result => ({
+        path: result.path,
+        changes: result.changes,
+        modified: result.modified,
+        encoding: result.encoding || null,
+        lineEndings: result.lineEndings || null,
+        details: result.details,
+        diff: run.diffs[result.path]?.text || null,
+        diffOmitted: !!run.diffs[result.path]?.omitted,
+      })),
+      skipped: run.skipped,
+      errors: run.errors,
+      patch: run.patch,
+    };
+
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+
+  /**
+   * プルリクエストに貼り付ける Markdown の要約（差分は含めない）
+   */
+  static toMarkdown(run) {
+    const cell = value =>
+      String(value ?? '')
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, '↵');
+    // バッククォートを含む値は `` で囲む（Markdown のコードスパン）
+    const code = value => {
+      const text = cell(value);
+      return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+    };
+    const lines = [
+      `## ${REPORT_TITLE}`,
+      '',
+      `- **Status:** ${this._statusLabel(run)}`,
+      `- **Started:** ${run.startedAt}`,
+      `- **Duration:** ${this._formatDuration(run.duration)}`,
+      `- **Target folders:** ${run.config.targetFolders.map(code).join(', ') || '-'}`,
+    ];
+    if (run.config.targetFiles.length > 0) {
+      lines.push(`- **Listed files:** ${run.config.targetFiles.length}`);
+    }
+    lines.push(
+      `- **Extensions:** ${run.config.extensions ? code(run.config.extensions) : 'all'}`,
+      `- **Options:** ${this._formatOptions(run.config.options) || '-'}`,
+      '',
+      '| Files | Processed | Changed | Replacements | Skipped | Errors |',
+      '| ---: | ---: | ---: | ---: | ---: | ---: |',
+      `| ${run.stats.totalFiles} | ${run.stats.processedFiles} | ${run.stats.changedFiles} | ${run.stats.totalChanges} | ${run.skipped.length} | ${run.errors.length} |`,
+      '',
+      '### Rules',
+      '',
+      '| # | From | To | Flags |',
+      '| ---: | --- | --- | --- |',
+      ...run.rules.map(
+        (rule, index) =>
+          `| ${index + 1} | ${code(rule.from)} | ${code(rule.to)} | ${
+            this._ruleFlags(rule) || '-'
+          } |`
+      ),
+      '',
+      `### Changed files (${run.results.length})`,
+      ''
+    );
+
+    if (run.results.length === 0) {
+      lines.push('No files were changed.');
+    } else {
+      lines.push('| File | Changes | Rules |', '| --- | ---: | --- |');
+      run.results.forEach(result => {
+        const rules = result.details
+          .map(detail => `${code(detail.from)} → ${code(detail.to)} ×${detail.count}`)
+          .join('<br>');
+        lines.push(
+          `| ${code(this._displayPath(run, result.path))} | ${result.changes} | ${rules} |`
+        );
+      });
+    }
+
+    if (run.skipped.length > 0) {
+      lines.push('', `### Skipped files (${run.skipped.length})`, '');
+      run.skipped.forEach(item => {
+        lines.push(`- ${code(this._displayPath(run, item.path))}: ${this.formatSkipReason(item)}`);
+      });
+    }
+    if (run.errors.length > 0) {
+      lines.push('', `### Errors (${run.errors.length})`, '');
+      run.errors.forEach(item => {
+        lines.push(`- ${code(this._displayPath(run, item.path))}: ${cell(item.error)}`);
+      });
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 外部リソースなしで閲覧できる HTML（変更ファイルごとの差分付き）
+   */
+  static toHTML(run) {
+    const escape = value => this.escapeHtml(value);
+    const summaryRows = [
+      ['Status', this._statusLabel(run)],
+      ['Started', run.startedAt],
+      ['Finished', run.finishedAt],
+      ['Duration', this._formatDuration(run.duration)],
+      ['Target folders', run.config.targetFolders.join('\n') || '-'],
+      ['Listed files', run.config.targetFiles.join('\n') || '-'],
+      ['Extensions', run.config.extensions || 'all'],
+      ['Options', this._formatOptions(run.config.options) || '-'],
+    ];
+    const counts = [
+      ['Files', run.stats.totalFiles],
+      ['Processed', run.stats.processedFiles],
+      ['Changed', run.stats.changedFiles],
+      ['Replacements', run.stats.totalChanges],
+      ['Skipped', run.skipped.length],
+      ['Errors', run.errors.length],
+    ];
+
+    const files = run.results.map(result => this._renderHtmlFile(run, result)).join('');
+    const rules = run.rules
+      .map(
+        (rule, index) =>
+          `<tr><td>${index + 1}</td><td><code>${escape(rule.from)}</code></td>` +
+          `<td><code>${escape(rule.to)}</code></td><td>${escape(this._ruleFlags(rule))}</td></tr>`
+      )
+      .join('');
+    const sections = [
+      `<h1>${escape(REPORT_TITLE)}</h1>`,
+      `<table>${summaryRows
+        .map(([label, value]) => `<tr><th>${label}</th><td>${escape(value)}</td></tr>`)
+        .join('')}</table>`,
+      `<table class="counts"><tr>${counts.map(([label]) => `<th>${label}</th>`).join('')}</tr>` +
+        `<tr>${counts.map(([, value]) => `<td>${value}</td>`).join('')}</tr></table>`,
+      `<h2>Rules (${run.rules.length})</h2>`,
+      `<table><tr><th>#</th><th>From</th><th>To</th><th>Flags</th></tr>${rules}</table>`,
+      `<h2>Changed files (${run.results.length})</h2>`,
+      files || '<p>No files were changed.</p>',
+      this._renderHtmlList(run, 'Skipped files', run.skipped, item => this.formatSkipReason(item)),
+      this._renderHtmlList(run, 'Errors', run.errors, item => item.error),
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escape(REPORT_TITLE)}</title>
+  <style>${HTML_STYLE}</style>
+</head>
+<body>
+${sections.filter(Boolean).join('\n')}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * 変更ファイル1件（ルール別件数と差分）
+   */
+  static _renderHtmlFile(run, result) {
+    const escape = value => this.escapeHtml(value);
+    const diff = run.diffs[result.path];
+    const diffCounts = diff && !diff.omitted ? `, +${diff.additions} −${diff.deletions}` : '';
+    const rules = result.details
+      .map(
+        detail =>
+          `<li><code class="from">${escape(detail.from)}</code> → ` +
+          `<code class="to">${escape(detail.to)}</code> (${detail.count})</li>`
+      )
+      .join('');
+
+    return `<details class="file" open>
+<summary><code>${escape(this._displayPath(run, result.path))}</code> <span class="count">${
+      result.changes
+    } changes${diffCounts}</span></summary>
+<ul class="rules">${rules}</ul>
+${this._renderHtmlFileDiff(diff)}
+</details>`;
+  }
+
+  /**
+   * 変更ファイルの差分（上限を超えて省略した場合はその旨を表示）
+   */
+  static _renderHtmlFileDiff(diff) {
+    if (!diff) {
+      return '';
+    }
+    if (diff.omitted) {
+      return '<p class="count">Diff omitted: the file is too large to include in the report.</p>';
+    }
+    return this._renderHtmlDiff(diff.text);
+  }
+
+  /**
+   * スキップ・エラーのファイル一覧（なければ空文字列）
+   */
+  static _renderHtmlList(run, title, items, describe) {
+    if (items.length === 0) {
+      return '';
+    }
+    const rows = items
+      .map(
+        item =>
+          `<li><code>${this.escapeHtml(this._displayPath(run, item.path))}</code> — ` +
+          `${this.escapeHtml(describe(item))}</li>`
+      )
+      .join('');
+    return `<h2>${title} (${items.length})</h2>\n<ul class="plain">${rows}</ul>`;
+  }
+
+  /**
+   * 表計算ソフト向けの CSV（ルール別の置換件数・スキップ理由・エラーを1行ずつ）
+   */
+  static toCSV(run) {
+    const headers = [
+      'File Path',
+      'Changes Count',
+      'From',
+      'To',
+      'Occurrences',
+      'Skip Reason',
+      'Error',
+    ];
+    const rows = [];
+
+    run.results.forEach(result => {
+      result.details.forEach((detail, index) => {
+        rows.push([
+          result.path,
+          index === 0 ? result.changes : '', // 最初のルールのみ合計変更数を表示
+          detail.from,
+          detail.to,
+          detail.count,
+          '',
+          '',
+        ]);
+      });
+    });
+    run.skipped.forEach(item => {
+      rows.push([item.path, '', '', '', '', this.formatSkipReason(item), '']);
+    });
+    run.errors.forEach(item => {
+      rows.push([item.path, '', '', '', '', '', item.error]);
+    });
+
+    return `${[headers, ...rows]
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n')}\n`;
+  }
+
+  /**
+   * 保存ダイアログの既定ファイル名
+   */
+  static getDefaultFileName(run, format) {
+    const timestamp = run.startedAt.slice(0, run.startedAt.indexOf('.')).replace(/:/g, '-');
+    return `replacement-report-${timestamp}.${REPORT_FORMATS[format].extension}`;
+  }
+
+  static formatSkipReason(item) {
+    const label = SKIP_REASON_LABELS[item.reason] || item.reason;
+    return item.detail ? `${label}: ${item.detail}` : label;
+  }
+
+  static escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  }
+
+  static _renderHtmlDiff(text) {
+    const lines = text
+      .replace(/\n$/, '')
+      .split('\n')
+      .slice(2) // --- / +++ ヘッダーはファイル名と重複するため省略
+      .map(line => {
+        const escaped = this.escapeHtml(line);
+        if (line.startsWith('@@')) {
+          return `<span class="hunk">${escaped}</span>`;
+        }
+        if (line.startsWith('+')) {
+          return `<span class="ins">${escaped}</span>`;
+        }
+        if (line.startsWith('-')) {
+          return `<span class="del">${escaped}</span>`;
+        }
+        return `${escaped}\n`;
+      });
+    return `<pre class="diff">${lines.join('')}</pre>`;
+  }
+
+  static _statusLabel(run) {
+    if (run.cancelled) {
+      return `Cancelled after ${run.stats.processedFiles} of ${run.stats.totalFiles} files`;
+    }
+    if (run.config.options.dryRun) {
+      return 'Dry run (no files written)';
+    }
+    return run.config.options.outputMode === 'patch'
+      ? 'Patch output (no files written)'
+      : 'Completed';
+  }
+
+  static _formatDuration(duration) {
+    return `${(duration / 1000).toFixed(2)}s`;
+  }
+
+  static _formatOptions(options) {
+    return Object.entries(options)
+      .filter(([, value]) => value !== undefined && value !== '' && typeof value !== 'object')
+      .map(([key, value]) => `${key}=${value}`)
+      .join(', ');
+  }
+
+  static _ruleFlags(rule) {
+    const flags = [];
+    if (rule.useRegex) {
+      flags.push(rule.regexFlags ? `regex /${rule.regexFlags}` : 'regex');
+    }
+    if (rule.preserveCase) {
+      flags.push('preserve case');
+    }
+    if (rule.wholeWord) {
+      flags.push(rule.wordBoundary ? `whole word (${rule.wordBoundary})` : 'whole word');
+    }
+    return flags.join(', ');
+  }
+
+  /**
+   * 基準フォルダからの相対パス（基準フォルダ外はそのまま）
+   */
+  static _displayPath(run, filePath) {
+    if (!run.basePath) {
+      return filePath;
+    }
+    const relativePath = path.relative(run.basePath, filePath);
+    return relativePath.startsWith('..') || path.isAbsolute(relativePath)
+      ? filePath
+      : relativePath.split(path.sep).join('/');
+  }
+}
+
+module.exports = ReportGenerator;
@@ -0,0 +1,289 @@
+/**
+ * rule-analyzer.js - 置換ルールの競合・連鎖解析
+ *
+ * processFile はルールを順次適用するため、前のルールの出力が後のルールの入力になる。
+ * 実行前に有効ルール一覧を解析し、以下を検出する:
+ * - shadowed: 先行ルールが後続ルールの検索対象を書き換えてしまう
+ * - chained: 先行ルールの置換結果が後続ルールで再度置換される（A→B, B→C）
+ * - cyclic: 置換結果が循環する（A→B, B→A など、順序変更では解決不可）
+ * - order-dependent: 上記以外で、適用順によって結果が変わる（現在の順序で安全なものは info）
+ */
+
+const ReplacementEngine = require('./replacement-engine');
+
+class RuleAnalyzer {
+  /**
+   * @param {Object} options - ReplacementEngine と同じオプション（caseSensitive, useRegex 等）
+   */
+  constructor(options = {}) {
+    // マッチ判定は実行時と同じ規則を使う
+    this.engine = new ReplacementEngine(options);
+  }
+
+  /**
+   * 有効ルール一覧を解析
+   * @param {Array} rules - 置換ルール（実行順）
+   * @returns {Object} { hasIssues, issues, suggestedOrder, orderChanged }
+   */
+  analyze(rules) {
+    const activeRules = rules
+      .map((rule, index) => ({ rule, index, id: rule.id || `rule-${index + 1}` }))
+      .filter(({ rule }) => rule.from && (rule.enabled === undefined || rule.enabled));
+
+    const issues = [];
+    const cycles = this._findCycles(activeRules);
+    const cyclicIds = new Set(cycles.flat().map(entry => entry.id));
+
+    cycles.forEach(cycle => {
+      const ruleNumbers = cycle.map(entry => entry.index + 1).join(', ');
+      issues.push(
+        this._createIssue(
+          'cyclic',
+          cycle,
+          `ルール ${ruleNumbers} の置換結果が循環しています。順序の入れ替えでは解決できないため、同時適用が必要です`
+        )
+      );
+    });
+
+    for (let i = 0; i < activeRules.length; i++) {
+      for (let j = i + 1; j < activeRules.length; j++) {
+        const first = activeRules[i];
+        const second = activeRules[j];
+
+        if (this._shadows(first.rule, second.rule)) {
+          issues.push(
+            this._createIssue(
+              'shadowed',
+              [first, second],
+              `ルール ${second.index + 1} "${second.rule.from}" は、先に実行されるルール ${
+                first.index + 1
+              } "${first.rule.from}" に書き換えられるため一致しなくなります`
+            )
+          );
+        } else if (this._chains(first.rule, second.rule)) {
+          // 循環の一部は cyclic として報告済み
+          if (cyclicIds.has(first.id) && cyclicIds.has(second.id)) {
+            continue;
+          }
+          issues.push(
+            this._createIssue(
+              'chained',
+              [first, second],
+              `ルール ${first.index + 1} の置換結果 "${first.rule.to}" がルール ${
+                second.index + 1
+              } で再度置換されます（"${first.rule.from}" → "${first.rule.to}" → "${
+                second.rule.to
+              }"）`
+            )
+          );
+        } else if (this._shadows(second.rule, first.rule)) {
+          // 現在の順序で正しく動作するが、並び替えると壊れる
+          issues.push(
+            this._createIssue(
+              'order-dependent',
+              [first, second],
+              `ルール ${first.index + 1} "${first.rule.from}" はルール ${second.index + 1} "${
+                second.rule.from
+              }" より先に実行する必要があります（現在の順序を維持してください）`,
+              'info'
+            )
+          );
+        } else if (this._isOrderDependent(first.rule, second.rule)) {
+          issues.push(
+            this._createIssue(
+              'order-dependent',
+              [first, second],
+              `ルール ${first.index + 1} "${first.rule.from}" とルール ${second.index + 1} "${
+                second.rule.from
+              }" は一致範囲が重なるため、適用順によって結果が変わります`
+            )
+          );
+        }
+      }
+    }
+
+    const suggestedOrder = this._suggestOrder(activeRules);
+    const currentOrder = activeRules.map(entry => entry.id);
+
+    return {
+      hasIssues: issues.some(issue => issue.severity !== 'info'),
+      issues,
+      // 安全な順序が存在しない（循環・制約の矛盾）場合は null
+      suggestedOrder,
+      orderChanged:
+        suggestedOrder !== null && suggestedOrder.some((id, index) => id !== currentOrder[index]),
+    };
+  }
+
+  /**
+   * 先行ルール first が後続ルール second の検索対象を書き換えてしまうか
+   * （正規表現ルールは検索文字列そのものを入力例にできないため対象外）
+   */
+  _shadows(first, second) {
+    if (this.engine._isRegexRule(second) || !this.engine.hasMatch(second.from, first)) {
+      return false;
+    }
+
+    const rewritten = this.engine.replaceText(second.from, first).content;
+    return !this.engine.hasMatch(rewritten, second);
+  }
+
+  /**
+   * ルール first の置換結果にルール second がマッチするか
+   */
+  _chains(first, second) {
+    return first.to !== undefined && this.engine.hasMatch(first.to, second);
+  }
+
+  /**
+   * 入力例に対して適用順を入れ替えると結果が変わるか
+   */
+  _isOrderDependent(first, second) {
+    return this._buildSamples(first, second).some(sample => {
+      const forward = this._applyInOrder(sample, [first, second]);
+      const reverse = this._applyInOrder(sample, [second, first]);
+      return forward !== reverse;
+    });
+  }
+
+  /**
+   * 順序依存判定用の入力例（検索文字列同士の部分的な重なりを含む）
+   */
+  _buildSamples(first, second) {
+    const literals = [first, second]
+      .filter(rule => !this.engine._isRegexRule(rule))
+      .map(rule => rule.from);
+
+    const samples = [...literals];
+    if (literals.length === 2) {
+      const [a, b] = literals;
+      // a の末尾と b の先頭（およびその逆）が重なる文字列を生成
+      for (let overlap = 1; overlap < Math.min(a.length, b.length); overlap++) {
+        if (a.endsWith(b.slice(0, overlap))) {
+          samples.push(a + b.slice(overlap));
+        }
+        if (b.endsWith(a.slice(0, overlap))) {
+          samples.push(b + a.slice(overlap));
+        }
+      }
+    }
+    return samples;
+  }
+
+  _applyInOrder(content, rules) {
+    return rules.reduce((text, rule) => this.engine.replaceText(text, rule).content, content);
+  }
+
+  /**
+   * 置換結果の連鎖グラフから循環を検出（強連結成分）
+   * @returns {Array<Array>} 循環ごとのルール一覧
+   */
+  _findCycles(activeRules) {
+    const edges = activeRules.map(source =>
+      activeRules.filter(target => target !== source && this._chains(source.rule, target.rule))
+    );
+
+    // Tarjan 法
+    const indexOf = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let counter = 0;
+
+    const visit = (entry, position) => {
+      indexOf.set(entry, counter);
+      lowLink.set(entry, counter);
+      counter++;
+      stack.push(entry);
+      onStack.add(entry);
+
+      edges[position].forEach(target => {
+        if (!indexOf.has(target)) {
+          visit(target, activeRules.indexOf(target));
+          lowLink.set(entry, Math.min(lowLink.get(entry), lowLink.get(target)));
+        } else if (onStack.has(target)) {
+          lowLink.set(entry, Math.min(lowLink.get(entry), indexOf.get(target)));
+        }
+      });
+
+      if (lowLink.get(entry) === indexOf.get(entry)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== entry);
+
+        if (component.length > 1) {
+          cycles.push(component.sort((a, b) => a.index - b.index));
+        }
+      }
+    };
+
+    activeRules.forEach((entry, position) => {
+      if (!indexOf.has(entry)) {
+        visit(entry, position);
+      }
+    });
+
+    return cycles;
+  }
+
+  /**
+   * 安全な適用順を提案（元の順序をできるだけ維持したトポロジカルソート）
+   * - x が y の検索対象を書き換える場合は y を先に
+   * - x の置換結果に y がマッチする場合は y を先に
+   * @returns {Array<string>|null} ルールIDの配列（解決できない場合は null）
+   */
+  _suggestOrder(activeRules) {
+    const mustPrecede = activeRules.map(() => new Set());
+    const inDegree = activeRules.map(() => 0);
+
+    activeRules.forEach((x, xi) => {
+      activeRules.forEach((y, yi) => {
+        if (xi === yi) {
+          return;
+        }
+        if (this._shadows(x.rule, y.rule) || this._chains(x.rule, y.rule)) {
+          if (!mustPrecede[yi].has(xi)) {
+            mustPrecede[yi].add(xi);
+            inDegree[xi]++;
+          }
+        }
+      });
+    });
+
+    const order = [];
+    const remaining = new Set(activeRules.map((_, index) => index));
+
+    while (remaining.size > 0) {
+      // 制約を満たすもののうち元の順序が最も早いルールを選ぶ
+      const next = [...remaining].find(index => inDegree[index] === 0);
+      if (next === undefined) {
+        return null;
+      }
+
+      remaining.delete(next);
+      order.push(activeRules[next].id);
+      mustPrecede[next].forEach(target => {
+        inDegree[target]--;
+      });
+    }
+
+    return order;
+  }
+
+  _createIssue(type, entries, message, severity = type === 'cyclic' ? 'error' : 'warning') {
+    return {
+      type,
+      severity,
+      ruleIds: entries.map(entry => entry.id),
+      ruleIndexes: entries.map(entry => entry.index),
+      message,
+    };
+  }
+}
+
+module.exports = RuleAnalyzer;
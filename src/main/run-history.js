@@ -0,0 +1,386 @@
+/**
+ * run-history.js - 置換実行の履歴（監査ログ）
+ *
+ * 実行ごとに userData/history/<id>.json を保存する。
+ * 実行者・日時・対象フォルダ・ルール・オプション・結果の件数と、
+ * 変更したファイルの書き込み前後のハッシュを記録し、一覧・絞り込み・詳細表示・再実行・比較に使う。
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DebugLogger = require('./debug-logger');
+
+// 定数定義
+const MAX_HISTORY_ENTRIES = 500; // 保持する実行数（古いものから削除）
+const ENTRY_EXTENSION = '.json';
+
+class RunHistory {
+  /**
+   * @param {string} historyRoot - 保存先（通常は userData/history）
+   */
+  constructor(historyRoot, options = {}) {
+    this.historyRoot = historyRoot;
+    this.maxEntries = options.maxEntries || MAX_HISTORY_ENTRIES;
+  }
+
+  /**
+   * 実行結果を記録
+   * @param {Object} run - ReportGenerator.createRun() の結果
+   * @param {Object} metadata - { source: 'execute' | 'review' | 'rerun', rerunOf }
+   * @returns {Promise<Object>} 保存したエントリ
+   */
+  async record(run, metadata = {}) {
+    const entry = this.createEntry(run, metadata);
+    await this._write(entry);
+    return entry;
+  }
+
+  /**
+   * 実行結果から履歴エントリを作成（保存はしない）
+   */
+  createEntry(run, metadata = {}) {
+    return {
+      id: run.processId,
+      ...this._createHeader(run.config, metadata, new Date(run.startedAt)),
+      status: run.cancelled ? 'cancelled' : 'completed',
+      finishedAt: run.finishedAt,
+      duration: run.duration,
+      rules: run.rules,
+      basePath: run.basePath,
+      stats: run.stats,
+      files: run.results.map(result => ({
+        path: result.path,
+        changes: result.changes,
+        modified: result.modified,
+        details: result.details.map(({ from, to, count }) => ({ from, to, count })),
+        beforeHash: result.hashes?.before || null,
+        afterHash: result.hashes?.after || null,
+      })),
+      skipped: run.skipped,
+      errors: run.errors,
+      backup: run.backup ? run.backup.processId : null,
+    };
+  }
+
+  /**
+   * 置換前に失敗した実行を記録（検索エラー等）
+   * @param {Object} config - 実行設定
+   * @param {Error} error - 発生したエラー
+   * @param {Object} metadata - { source, rerunOf, startedAt }
+   */
+  async recordFailure(config, error, metadata = {}) {
+    const startedAt = metadata.startedAt || new Date();
+    const entry = {
+      id: `replace-${startedAt.getTime()}-failed`, // processId と同じ順で並ぶようにする
+      ...this._createHeader(
+        {
+          targetFolders: config.targetFolders?.length
+            ? config.targetFolders
+            : [config.targetFolder].filter(Boolean),
+          targetFiles: config.targetFiles || [],
+          extensions: config.extensions || '',
+          options: config.options || {},
+        },
+        metadata,
+        startedAt
+      ),
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: error.message,
+      rules: (config.rules || []).filter(rule => rule.enabled !== false),
+      files: [],
+    };
+
+    await this._write(entry);
+    return entry;
+  }
+
+  /**
+   * ロールバックを実行のエントリに追記
+   */
+  async recordRollback(id, result) {
+    const entry = await this.get(id).catch(() => null);
+    if (!entry) {
+      return null;
+    }
+
+    entry.rollbacks = [
+      ...(entry.rollbacks || []),
+      {
+        at: new Date().toISOString(),
+        user: RunHistory.getUser(),
+        restored: result.restored.length,
+        conflicts: result.conflicts.length,
+        errors: result.errors.length,
+      },
+    ];
+    await this._write(entry);
+    return entry;
+  }
+
+  /**
+   * 履歴一覧（新しい順、概要のみ）
+   * @param {Object} filter - query（フォルダ・ルール・ファイルの部分一致）, status, mode, since, until（ISO 日付）
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(filter = {}) {
+    let names;
+    try {
+      names = await fs.readdir(this.historyRoot);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const name of names.filter(file => file.endsWith(ENTRY_EXTENSION))) {
+      const entry = await this.get(path.basename(name, ENTRY_EXTENSION)).catch(() => null);
+      if (entry && RunHistory.matches(entry, filter)) {
+        entries.push(RunHistory.summarize(entry));
+      }
+    }
+
+    return entries.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * エントリ取得
+   */
+  async get(id) {
+    const content = await fs.readFile(this._getEntryPath(id), 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * 再実行用の実行設定（ExecutionController.gatherExecutionConfig と同じ形）
+   */
+  static toExecutionConfig(entry) {
+    return {
+      targetFolder: entry.targetFolders[0] || '',
+      targetFolders: entry.targetFolders,
+      targetFiles: entry.targetFiles,
+      extensions: entry.extensions,
+      rules: entry.rules,
+      options: entry.options,
+    };
+  }
+
+  /**
+   * 2つの実行の比較（base → target）
+   * 変更のあったファイル（stats.results 由来の files）をパスで突き合わせ、ルール別の件数差も集計する
+   * @returns {Object} { base, target, sameConfig, addedFiles, removedFiles, changedFiles, unchangedFiles, rules, totals }
+   */
+  static compare(base, target) {
+    const baseFiles = new Map(base.files.map(file => [file.path, file]));
+    const targetFiles = new Map(target.files.map(file => [file.path, file]));
+
+    const addedFiles = target.files.filter(file => !baseFiles.has(file.path));
+    const removedFiles = base.files.filter(file => !targetFiles.has(file.path));
+    const changedFiles = [];
+    let unchangedFiles = 0;
+
+    for (const file of target.files) {
+      const before = baseFiles.get(file.path);
+      if (!before) {
+        continue;
+      }
+      const rules = RunHistory._compareRuleCounts([before], [file]).filter(
+        rule => rule.delta !== 0
+      );
+      if (rules.length === 0) {
+        unchangedFiles++;
+      } else {
+        changedFiles.push({
+          path: file.path,
+          before: before.changes,
+          after: file.changes,
+          delta: file.changes - before.changes,
+          rules,
+        });
+      }
+    }
+
+    const rules = RunHistory._compareRuleCounts(base.files, target.files, [
+      ...base.rules,
+      ...target.rules,
+    ]);
+    const sumChanges = files => files.reduce((sum, file) => sum + file.changes, 0);
+    const before = sumChanges(base.files);
+    const after = sumChanges(target.files);
+
+    return {
+      base: RunHistory.summarize(base),
+      target: RunHistory.summarize(target),
+      sameConfig: RunHistory.isSameConfig(base, target),
+      addedFiles,
+      removedFiles,
+      changedFiles,
+      unchangedFiles,
+      rules,
+      totals: {
+        before: { files: base.files.length, changes: before },
+        after: { files: target.files.length, changes: after },
+        delta: after - before,
+      },
+    };
+  }
+
+  /**
+   * 対象（フォルダ・ファイル・拡張子）と有効なルールが同じか
+   */
+  static isSameConfig(a, b) {
+    const key = entry =>
+      JSON.stringify([
+        entry.targetFolders,
+        entry.targetFiles,
+        entry.extensions,
+        entry.rules.map(rule => [rule.from, rule.to]),
+      ]);
+    return key(a) === key(b);
+  }
+
+  static matches(entry, filter) {
+    if (filter.status && entry.status !== filter.status) {
+      return false;
+    }
+    if (filter.mode && entry.mode !== filter.mode) {
+      return false;
+    }
+    if (filter.since && entry.startedAt < filter.since) {
+      return false;
+    }
+    // until は日付のみの指定でもその日を含める
+    if (filter.until && entry.startedAt.slice(0, filter.until.length) > filter.until) {
+      return false;
+    }
+
+    const query = filter.query?.trim().toLowerCase();
+    if (!query) {
+      return true;
+    }
+    const texts = [
+      ...entry.targetFolders,
+      ...entry.targetFiles,
+      ...entry.rules.flatMap(rule => [rule.from, rule.to]),
+      ...entry.files.map(file => file.path),
+      entry.user.username,
+    ];
+    return texts.some(text => String(text).toLowerCase().includes(query));
+  }
+
+  static summarize(entry) {
+    return {
+      id: entry.id,
+      startedAt: entry.startedAt,
+      finishedAt: entry.finishedAt,
+      user: entry.user,
+      source: entry.source,
+      rerunOf: entry.rerunOf,
+      status: entry.status,
+      mode: entry.mode,
+      targetFolders: entry.targetFolders,
+      targetFileCount: entry.targetFiles.length,
+      ruleCount: entry.rules.length,
+      stats: entry.stats || null,
+      error: entry.error || null,
+      rolledBack: (entry.rollbacks?.length || 0) > 0,
+    };
+  }
+
+  /**
+   * 実行者（OS のユーザー名とホスト名）
+   */
+  static getUser() {
+    let username;
+    try {
+      ({ username } = os.userInfo());
+    } catch (error) {
+      username = process.env.USER || process.env.USERNAME || 'unknown';
+    }
+    return { username, hostname: os.hostname() };
+  }
+
+  static getMode(options = {}) {
+    if (options.dryRun) {
+      return 'dry-run';
+    }
+    return options.outputMode === 'patch' ? 'patch' : 'write';
+  }
+
+  /**
+   * ルール（from → to）ごとの件数を集計して比較
+   * rules を渡すと、どちらの実行でも一致しなかったルールも 0 件として含める
+   */
+  static _compareRuleCounts(baseFiles, targetFiles, rules = []) {
+    const counts = new Map();
+    const getCount = (from, to) => {
+      const key = JSON.stringify([from, to]);
+      if (!counts.has(key)) {
+        counts.set(key, { from, to, before: 0, after: 0 });
+      }
+      return counts.get(key);
+    };
+
+    rules.forEach(rule => getCount(rule.from, rule.to));
+    baseFiles.forEach(file =>
+      file.details.forEach(detail => {
+        getCount(detail.from, detail.to).before += detail.count;
+      })
+    );
+    targetFiles.forEach(file =>
+      file.details.forEach(detail => {
+        getCount(detail.from, detail.to).after += detail.count;
+      })
+    );
+
+    return [...counts.values()].map(count => ({ ...count, delta: count.after - count.before }));
+  }
+
+  _createHeader(config, metadata, startedAt) {
+    return {
+      startedAt: startedAt.toISOString(),
+      user: RunHistory.getUser(),
+      source: metadata.source || 'execute',
+      rerunOf: metadata.rerunOf || null,
+      mode: RunHistory.getMode(config.options),
+      targetFolders: config.targetFolders,
+      targetFiles: config.targetFiles,
+      extensions: config.extensions,
+      options: config.options,
+    };
+  }
+
+  async _write(entry) {
+    await fs.mkdir(this.historyRoot, { recursive: true });
+    await fs.writeFile(this._getEntryPath(entry.id), JSON.stringify(entry, null, 2), 'utf8');
+    await this._pruneOldEntries();
+    await DebugLogger.debug('Run history recorded', { id: entry.id, status: entry.status });
+  }
+
+  /**
+   * 古いエントリを削除（maxEntries 件を超えた分）
+   */
+  async _pruneOldEntries() {
+    const names = (await fs.readdir(this.historyRoot))
+      .filter(name => name.endsWith(ENTRY_EXTENSION))
+      .sort();
+    const expired = names.slice(0, Math.max(0, names.length - this.maxEntries));
+
+    for (const name of expired) {
+      await fs.rm(path.join(this.historyRoot, name), { force: true });
+    }
+  }
+
+  _getEntryPath(id) {
+    // id をそのままファイル名に使うためパス区切りを拒否
+    if (!/^[\w.-]+$/.test(id)) {
+      throw new Error(`Invalid history id: ${id}`);
+    }
+    return path.join(this.historyRoot, `${id}${ENTRY_EXTENSION}`);
+  }
+}
+
+module.exports = RunHistory;
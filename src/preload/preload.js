@@ -282,6 +282,45 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  /**
+   * 置換設定の対象を検索（複数フォルダ + 個別指定ファイル、重複は除外）
+   * @param {Object} config - { targetFolder, targetFolders, targetFiles, extensions, options }
+   * @returns {Promise<Object>} 検索結果（files, stats, roots, basePath）
+   */
+  searchTargets: async config => {
+    console.log('🚀 Searching targets:', {
+      targetFolders: config.targetFolders,
+      targetFiles: config.targetFiles?.length || 0,
+    });
+    try {
+      const result = await ipcRenderer.invoke('search-targets', config);
+      console.log('🚀 Search targets result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Search targets failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * ファイル一覧（1行に1パス）を選択して読み込み
+   * @returns {Promise<Object>} { success, canceled, filePath, paths }
+   */
+  loadFileList: async () => {
+    console.log('📄 Opening file list dialog...');
+    try {
+      const result = await ipcRenderer.invoke('load-file-list');
+      console.log('📄 File list result:', {
+        canceled: result.canceled,
+        count: result.paths?.length,
+      });
+      return result;
+    } catch (error) {
+      console.error('❌ Load file list failed:', error);
+      throw error;
+    }
+  },
+
   /**
    * ファイル検索キャンセル
    * @returns {Promise<Object>} キャンセル結果
@@ -399,6 +438,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  /**
+   * ルール競合・連鎖解析
+   * @param {Array} rules - 置換ルール配列（実行順）
+   * @param {Object} options - 置換オプション
+   * @returns {Promise<Object>} 解析結果（issues, suggestedOrder）
+   */
+  analyzeRules: async (rules, options = {}) => {
+    console.log('🧮 Analyzing replacement rules:', { ruleCount: rules.length });
+    try {
+      const result = await ipcRenderer.invoke('analyze-rules', rules, options);
+      console.log('🧮 Analyze rules result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Analyze rules failed:', error);
+      throw error;
+    }
+  },
+
   /**
    * 置換実行
    * @param {Object} config - 置換設定
@@ -416,6 +473,291 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  /**
+   * ドライラン差分プレビュー開始
+   * @param {Object} config - 置換設定（executeReplacement と同じ形式）
+   * @param {Object} options - contextLines: 前後の表示行数
+   * @returns {Promise<Object>} { success, sessionId, totalFiles, stats, skipped, errors }
+   */
+  startDiffPreview: async (config, options = {}) => {
+    console.log('🧾 Starting diff preview:', { targetFolder: config.targetFolder, options });
+    try {
+      const result = await ipcRenderer.invoke('start-diff-preview', config, options);
+      console.log('🧾 Diff preview result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Diff preview failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 差分プレビューのページ取得
+   * @param {string} sessionId - startDiffPreview の sessionId
+   * @param {number} page - ページ番号（0 始まり）
+   * @param {number} pageSize - 1ページのファイル数
+   * @returns {Promise<Object>} { success, page, pageSize, totalPages, totalFiles, files }
+   */
+  getDiffPage: async (sessionId, page = 0, pageSize) => {
+    try {
+      return await ipcRenderer.invoke('get-diff-page', sessionId, page, pageSize);
+    } catch (error) {
+      console.error('❌ Get diff page failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 差分プレビューの破棄
+   * @param {string} sessionId - 対象セッション
+   * @returns {Promise<Object>} { success, closed }
+   */
+  closeDiffPreview: async sessionId => {
+    try {
+      return await ipcRenderer.invoke('close-diff-preview', sessionId);
+    } catch (error) {
+      console.error('❌ Close diff preview failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * マッチ単位レビューの作成
+   * @param {Object} config - 置換設定（executeReplacement と同じ形式）
+   * @returns {Promise<Object>} { success, review: { reviewId, files: [{ path, matches }], skipped, errors, stats } }
+   */
+  startReview: async config => {
+    console.log('🔎 Starting replacement review:', { targetFolder: config.targetFolder });
+    try {
+      const result = await ipcRenderer.invoke('start-review', config);
+      console.log('🔎 Review result:', { success: result.success, stats: result.review?.stats });
+      return result;
+    } catch (error) {
+      console.error('❌ Start review failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * レビューで採用したマッチのみ置換
+   * @param {string} reviewId - startReview の reviewId
+   * @param {Array<string>} acceptedIds - 採用するマッチの id
+   * @returns {Promise<Object>} executeReplacement と同じ形式の実行結果
+   */
+  applyReview: async (reviewId, acceptedIds) => {
+    console.log('🔎 Applying reviewed matches:', { reviewId, accepted: acceptedIds.length });
+    try {
+      const result = await ipcRenderer.invoke('apply-review', reviewId, acceptedIds);
+      console.log('🔎 Apply review result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Apply review failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * レビューの破棄
+   * @param {string} reviewId - 対象レビュー
+   * @returns {Promise<Object>} { success, closed }
+   */
+  closeReview: async reviewId => {
+    try {
+      return await ipcRenderer.invoke('close-review', reviewId);
+    } catch (error) {
+      console.error('❌ Close review failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * チェック実行（各ルールの from を禁止パターンとして残存箇所を報告、書き換えない）
+   * @param {Object} config - 実行設定（executeReplacement と同じ形式）
+   * @returns {Promise<Object>} { success, report: { passed, occurrences, rules, skipped, errors, stats } }
+   */
+  runCheck: async config => {
+    console.log('🛡️ Running forbidden pattern check:', { targetFolder: config.targetFolder });
+    try {
+      const result = await ipcRenderer.invoke('run-check', config);
+      console.log('🛡️ Check result:', { success: result.success, passed: result.report?.passed });
+      return result;
+    } catch (error) {
+      console.error('❌ Check run failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 検索のみ実行（置換しない）
+   * @param {Object} config - 検索設定（executeReplacement と同じ形式、rules は from のみ使用）
+   * @param {Object} options - contextLines: 前後の表示行数
+   * @returns {Promise<Object>} { success, cancelled, skipped, errors, stats }
+   */
+  startGrep: async (config, options = {}) => {
+    console.log('🔍 Starting search-only run:', { targetFolder: config.targetFolder, options });
+    try {
+      const result = await ipcRenderer.invoke('start-grep', config, options);
+      console.log('🔍 Search-only result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Search-only run failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 検索のみ実行のキャンセル
+   * @returns {Promise<Object>} { success, cancelled }
+   */
+  cancelGrep: async () => {
+    try {
+      return await ipcRenderer.invoke('cancel-grep');
+    } catch (error) {
+      console.error('❌ Cancel search failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 検索結果（ファイル単位）イベントリスナー設定
+   * @param {Function} callback - { path, encoding, totalCount, rules } を受け取る
+   */
+  onGrepResult: callback => {
+    ipcRenderer.on('grep-result', (event, result) => {
+      callback(result);
+    });
+  },
+
+  /**
+   * 検索結果イベントリスナー削除
+   */
+  removeGrepResultListener: () => {
+    ipcRenderer.removeAllListeners('grep-result');
+  },
+
+  /**
+   * バックアップ一覧取得
+   * @returns {Promise<Object>} { success, runs }
+   */
+  listBackups: async () => {
+    console.log('💾 Listing replacement backups...');
+    try {
+      const result = await ipcRenderer.invoke('list-backups');
+      console.log('💾 List backups result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ List backups failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 実行履歴の一覧（新しい順）
+   * @param {Object} filter - query, status, mode, since, until
+   * @returns {Promise<Object>} { success, entries }
+   */
+  listHistory: async (filter = {}) => {
+    console.log('🕘 Listing run history:', filter);
+    try {
+      const result = await ipcRenderer.invoke('list-history', filter);
+      console.log('🕘 Run history:', { count: result.entries?.length });
+      return result;
+    } catch (error) {
+      console.error('❌ List history failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 実行履歴の詳細
+   * @param {string} id - 実行ID
+   * @returns {Promise<Object>} { success, entry }
+   */
+  getHistoryEntry: async id => {
+    console.log('🕘 Getting run history entry:', id);
+    try {
+      return await ipcRenderer.invoke('get-history-entry', id);
+    } catch (error) {
+      console.error('❌ Get history entry failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 実行履歴の設定で再実行（応答は executeReplacement と同じ形式に config を追加）
+   * @param {string} id - 実行ID
+   * @returns {Promise<Object>}
+   */
+  rerunHistory: async id => {
+    console.log('🔁 Re-running from history:', id);
+    try {
+      const result = await ipcRenderer.invoke('rerun-history', id);
+      console.log('🔁 Re-run result:', { success: result.success, stats: result.stats });
+      return result;
+    } catch (error) {
+      console.error('❌ Re-run failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 2つの実行を比較（targetId を省略すると base の設定でドライランを実行して比較）
+   * @param {string} baseId - 比較元の実行ID
+   * @param {string|null} targetId - 比較先の実行ID
+   * @returns {Promise<Object>} { success, comparison }
+   */
+  compareHistory: async (baseId, targetId = null) => {
+    console.log('⇄ Comparing runs:', { baseId, targetId });
+    try {
+      const result = await ipcRenderer.invoke('compare-history', baseId, targetId);
+      console.log('⇄ Comparison:', {
+        success: result.success,
+        addedFiles: result.comparison?.addedFiles.length,
+        removedFiles: result.comparison?.removedFiles.length,
+      });
+      return result;
+    } catch (error) {
+      console.error('❌ Compare runs failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 直近の置換実行のレポート出力（保存先はメインプロセスのダイアログで選択）
+   * @param {string} processId - 対象の実行ID
+   * @param {string} format - 'html' | 'json' | 'md' | 'csv'
+   * @returns {Promise<Object>} { success, canceled, path }
+   */
+  exportReport: async (processId, format) => {
+    console.log('📤 Exporting report:', { processId, format });
+    try {
+      const result = await ipcRenderer.invoke('export-report', processId, format);
+      console.log('📤 Export report result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Export report failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 置換実行のロールバック
+   * @param {string} processId - 対象の実行ID
+   * @param {Object} options - onConflict: 'abort' | 'skip' | 'overwrite'
+   * @returns {Promise<Object>} { success, restored, conflicts, errors }
+   */
+  rollbackRun: async (processId, options = {}) => {
+    console.log('↩️ Rolling back replacement run:', { processId, options });
+    try {
+      const result = await ipcRenderer.invoke('rollback-run', processId, options);
+      console.log('↩️ Rollback result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Rollback failed:', error);
+      throw error;
+    }
+  },
+
   /**
    * 置換処理キャンセル
    * @returns {Promise<Object>} キャンセル結果
@@ -432,6 +774,38 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  /**
+   * 置換処理の一時停止（処理中のファイルは完了させる）
+   * @returns {Promise<Object>} { success, paused }
+   */
+  pauseReplacement: async () => {
+    console.log('⏸️ Pausing replacement processing...');
+    try {
+      const result = await ipcRenderer.invoke('pause-replacement');
+      console.log('⏸️ Pause replacement result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Pause replacement failed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 一時停止した置換処理の再開
+   * @returns {Promise<Object>} { success, resumed }
+   */
+  resumeReplacement: async () => {
+    console.log('▶️ Resuming replacement processing...');
+    try {
+      const result = await ipcRenderer.invoke('resume-replacement');
+      console.log('▶️ Resume replacement result:', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Resume replacement failed:', error);
+      throw error;
+    }
+  },
+
   /**
    * 置換統計情報取得
    * @returns {Promise<Object>} 統計情報
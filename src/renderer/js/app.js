@@ -473,7 +473,7 @@ ${JSON.stringify(result.config, null, 2)}`;
           exclude_patterns: ['node_modules/**', '.git/**'],
           include_subdirectories: true,
           max_file_size: 104857600,
-          encoding: 'utf-8',
+          encoding: 'auto',
         },
         replacement_settings: {
           case_sensitive: true,
@@ -0,0 +1,364 @@
+/**
+ * Multi Grep Replacer - Diff Viewer
+ * ドライラン差分プレビュー（インライン・左右並び表示、ページング）
+ *
+ * 差分はメインプロセスで全ファイル分を生成してセッションに保持し、
+ * 表示するページ分だけ IPC で取得する。
+ */
+
+class DiffViewer {
+  static PAGE_SIZE = 20;
+  static EOL_LABELS = { '\r\n': 'CRLF', '\r': 'CR', '\n': 'LF' };
+
+  constructor(uiController) {
+    this.uiController = uiController;
+    this.sessionId = null;
+    this.page = 0;
+    this.totalPages = 0;
+    this.files = [];
+    this.summary = null;
+    this.viewMode = 'inline'; // inline, side-by-side
+
+    this.elements = {
+      previewButton: document.getElementById('previewDiffButton'),
+      modal: document.getElementById('diffModal'),
+      closeIcon: document.getElementById('diffModalClose'),
+      closeButton: document.getElementById('diffCloseButton'),
+      executeButton: document.getElementById('diffExecuteButton'),
+      summary: document.getElementById('diffSummary'),
+      viewMode: document.getElementById('diffViewMode'),
+      contextLines: document.getElementById('diffContextLines'),
+      content: document.getElementById('diffContent'),
+      prevPage: document.getElementById('diffPrevPage'),
+      nextPage: document.getElementById('diffNextPage'),
+      pageInfo: document.getElementById('diffPageInfo'),
+    };
+
+    this.initializeEventListeners();
+    console.log('🧾 DiffViewer initialized');
+  }
+
+  /**
+   * イベントリスナーの初期化
+   */
+  initializeEventListeners() {
+    this.elements.previewButton?.addEventListener('click', () => this.open());
+    this.elements.closeIcon?.addEventListener('click', () => this.close());
+    this.elements.closeButton?.addEventListener('click', () => this.close());
+    this.elements.executeButton?.addEventListener('click', () => this.handleExecuteClick());
+
+    this.elements.viewMode?.addEventListener('change', event => {
+      this.viewMode = event.target.value;
+      this.render();
+    });
+
+    // 前後行数の変更は差分を作り直す
+    this.elements.contextLines?.addEventListener('change', () => this.loadPreview());
+
+    this.elements.prevPage?.addEventListener('click', () => this.loadPage(this.page - 1));
+    this.elements.nextPage?.addEventListener('click', () => this.loadPage(this.page + 1));
+
+    this.elements.modal?.addEventListener('click', event => {
+      if (event.target === this.elements.modal) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && !this.elements.modal?.classList.contains('hidden')) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * 現在の設定で差分プレビューを開く
+   */
+  async open() {
+    const executionController = this.uiController?.executionController;
+    if (!executionController) {
+      return;
+    }
+
+    const config = executionController.gatherExecutionConfig();
+    const validation = executionController.validateExecutionConfig(config);
+    if (!validation.isValid) {
+      executionController.showValidationErrors(validation.errors);
+      return;
+    }
+
+    this.config = config;
+    this.elements.modal?.classList.remove('hidden');
+    await this.loadPreview();
+  }
+
+  /**
+   * 差分を生成して1ページ目を表示
+   */
+  async loadPreview() {
+    const startTime = performance.now();
+    await this.closeSession();
+    this.setLoading('Generating diff...');
+
+    try {
+      const contextLines = parseInt(this.elements.contextLines?.value, 10);
+      const result = await window.electronAPI.startDiffPreview(this.config, {
+        contextLines: Number.isNaN(contextLines) ? undefined : contextLines,
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.sessionId = result.sessionId;
+      this.summary = result;
+      await this.loadPage(0);
+
+      this.logOperation('差分プレビュー生成', true, {
+        ...result.stats,
+        skipped: result.skipped.length,
+        errors: result.errors.length,
+        responseTime: performance.now() - startTime,
+      });
+    } catch (error) {
+      this.setLoading(`Failed to generate diff: ${error.message}`);
+      this.logOperation('差分プレビュー生成', false, { error: error.message });
+    }
+  }
+
+  /**
+   * 指定ページの差分を取得して表示
+   */
+  async loadPage(page) {
+    if (!this.sessionId || page < 0 || (this.totalPages > 0 && page >= this.totalPages)) {
+      return;
+    }
+
+    const result = await window.electronAPI.getDiffPage(this.sessionId, page, DiffViewer.PAGE_SIZE);
+    if (!result.success) {
+      this.setLoading(`Failed to load diff: ${result.error}`);
+      return;
+    }
+
+    this.page = result.page;
+    this.totalPages = result.totalPages;
+    this.files = result.files;
+    this.render();
+    this.elements.content?.scrollTo?.(0, 0);
+  }
+
+  /**
+   * 現在ページを描画
+   */
+  render() {
+    if (!this.summary || !this.elements.content) {
+      return;
+    }
+
+    const { stats, skipped, errors } = this.summary;
+    const parts = [
+      `${stats.changedFiles} of ${stats.totalFiles} files changed`,
+      `${stats.replacements} replacements`,
+      `+${stats.additions} −${stats.deletions}`,
+    ];
+    if (skipped.length > 0) {
+      parts.push(`${skipped.length} skipped`);
+    }
+    if (errors.length > 0) {
+      parts.push(`${errors.length} errors`);
+    }
+    this.elements.summary.textContent = parts.join(', ');
+
+    this.elements.pageInfo.textContent = `${this.page + 1} / ${this.totalPages}`;
+    this.elements.prevPage.disabled = this.page <= 0;
+    this.elements.nextPage.disabled = this.page >= this.totalPages - 1;
+
+    if (this.files.length === 0) {
+      this.elements.content.innerHTML = '<div class="diff-empty">No changes</div>';
+      return;
+    }
+
+    this.elements.content.innerHTML = this.files.map(file => this.renderFile(file)).join('');
+  }
+
+  renderFile(file) {
+    const meta = [file.encoding, `${file.replacements} replacements`];
+    if (file.lineEndings?.normalizedTo) {
+      meta.push(
+        `${file.lineEndings.style.toUpperCase()} → ${file.lineEndings.normalizedTo.toUpperCase()}`
+      );
+    }
+
+    // 改行コードのみの変更が見えるよう、変換時は変更行に改行コードを表示
+    const showEol = !!file.lineEndings?.normalizedTo;
+    const body =
+      this.viewMode === 'side-by-side'
+        ? this.renderSideBySide(file.diff.hunks, showEol)
+        : this.renderInline(file.diff.hunks, showEol);
+
+    return `
+      <div class="diff-file">
+        <div class="diff-file-header">
+          <span class="diff-file-path">${this.escapeHtml(file.displayPath)}</span>
+          <span class="diff-stat-add">+${file.diff.additions}</span>
+          <span class="diff-stat-del">−${file.diff.deletions}</span>
+          <span class="diff-file-meta">${this.escapeHtml(meta.join(' · '))}</span>
+        </div>
+        <table class="diff-table">${body}</table>
+      </div>
+    `;
+  }
+
+  renderInline(hunks, showEol) {
+    const markers = { context: ' ', delete: '-', insert: '+' };
+    return hunks
+      .map(hunk => {
+        const rows = hunk.lines.map(
+          line => `
+            <tr class="diff-line-${line.type}">
+              <td class="diff-line-number">${line.oldNumber ?? ''}</td>
+              <td class="diff-line-number">${line.newNumber ?? ''}</td>
+              <td class="diff-marker">${markers[line.type]}</td>
+              <td>${this.renderText(line, showEol)}</td>
+            </tr>`
+        );
+        return `${this.renderHunkHeader(hunk, 4)}${rows.join('')}`;
+      })
+      .join('');
+  }
+
+  renderSideBySide(hunks, showEol) {
+    return hunks
+      .map(hunk => {
+        const rows = this.pairLines(hunk.lines).map(
+          ([left, right]) => `
+            <tr>
+              ${this.renderSideCell(left, 'oldNumber', showEol)}
+              ${this.renderSideCell(right, 'newNumber', showEol, true)}
+            </tr>`
+        );
+        return `${this.renderHunkHeader(hunk, 4)}${rows.join('')}`;
+      })
+      .join('');
+  }
+
+  /**
+   * 左右並び表示用に削除行と追加行を対応付ける
+   * @returns {Array<Array>} [左の行|null, 右の行|null]
+   */
+  pairLines(lines) {
+    const pairs = [];
+    let deletes = [];
+    let inserts = [];
+
+    const flush = () => {
+      const count = Math.max(deletes.length, inserts.length);
+      for (let i = 0; i < count; i++) {
+        pairs.push([deletes[i] || null, inserts[i] || null]);
+      }
+      deletes = [];
+      inserts = [];
+    };
+
+    lines.forEach(line => {
+      if (line.type === 'delete') {
+        deletes.push(line);
+      } else if (line.type === 'insert') {
+        inserts.push(line);
+      } else {
+        flush();
+        pairs.push([line, line]);
+      }
+    });
+    flush();
+
+    return pairs;
+  }
+
+  renderSideCell(line, numberKey, showEol, isRight = false) {
+    const split = isRight ? ' diff-split' : '';
+    if (!line) {
+      return `<td class="diff-line-number diff-line-empty${split}"></td><td class="diff-line-empty"></td>`;
+    }
+    const typeClass = `diff-line-${line.type}`;
+    return `
+      <td class="diff-line-number ${typeClass}${split}">${line[numberKey] ?? ''}</td>
+      <td class="${typeClass}">${this.renderText(line, showEol)}</td>`;
+  }
+
+  renderHunkHeader(hunk, columns) {
+    const header = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+    return `<tr class="diff-hunk-header"><td colspan="${columns}">${header}</td></tr>`;
+  }
+
+  renderText(line, showEol) {
+    let html = this.escapeHtml(line.text);
+    if (showEol && line.type !== 'context' && line.lineEnding) {
+      html += ` <span class="diff-eol-marker">${DiffViewer.EOL_LABELS[line.lineEnding]}</span>`;
+    }
+    if (line.noNewline) {
+      html += ' <span class="diff-eol-marker">(no newline)</span>';
+    }
+    return html;
+  }
+
+  setLoading(message) {
+    this.files = [];
+    if (this.elements.content) {
+      this.elements.content.innerHTML = `<div class="diff-empty">${this.escapeHtml(message)}</div>`;
+    }
+  }
+
+  /**
+   * プレビューした設定のまま通常の実行フローへ（確認ダイアログを経由）
+   */
+  async handleExecuteClick() {
+    await this.close();
+    document.getElementById('executeButton')?.click();
+  }
+
+  async close() {
+    this.elements.modal?.classList.add('hidden');
+    await this.closeSession();
+  }
+
+  async closeSession() {
+    if (this.sessionId) {
+      const { sessionId } = this;
+      this.sessionId = null;
+      this.summary = null;
+      this.totalPages = 0;
+      await window.electronAPI.closeDiffPreview(sessionId);
+    }
+  }
+
+  /**
+   * Vibe Logger統合 - 構造化ログ出力
+   */
+  logOperation(operation, success, data = {}) {
+    if (window.vibeLogger) {
+      window.vibeLogger.logUIOperation(operation, success, {
+        component: 'DiffViewer',
+        timestamp: new Date().toISOString(),
+        ...data,
+      });
+    } else {
+      console.log(`🧾 DiffViewer: ${operation} - ${success ? '✅' : '❌'}`, data);
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// グローバル公開（UIControllerから使用）
+if (typeof window !== 'undefined') {
+  window.DiffViewer = DiffViewer;
+}
+
+// エクスポート（Node.js環境対応）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiffViewer;
+}
@@ -12,6 +12,19 @@
  */
 
 class ExecutionController {
+  // チェック結果に表示する残存箇所の上限（レポートには全件含む）
+  static CHECK_DISPLAY_LIMIT = 500;
+
+  // スキップ理由の表示名
+  static SKIP_REASON_LABELS = {
+    binary: 'Binary file',
+    'too-large': 'Too large',
+    'permission-denied': 'No permission',
+    symlink: 'Symlink',
+    'changed-since-review': 'Changed since review',
+    'patch-unsupported': 'Not representable in a patch',
+  };
+
   constructor() {
     this.state = 'idle'; // idle, executing, pausing, completed, error
     this.currentExecution = null;
@@ -24,6 +37,9 @@ class ExecutionController {
       totalChanges: 0,
       errors: 0,
     };
+    this.results = [];
+    this.skipped = [];
+    this.errors = [];
 
     // UI要素の参照
     this.elements = {
@@ -41,6 +57,7 @@ class ExecutionController {
       currentFile: document.getElementById('currentFile'),
       elapsedTime: document.getElementById('elapsedTime'),
       changesMade: document.getElementById('changesMade'),
+      progressRoots: document.getElementById('progressRoots'),
 
       // 結果モーダル
       resultModal: document.getElementById('resultModal'),
@@ -51,7 +68,10 @@ class ExecutionController {
       modalClose: document.querySelector('.modal-close'),
       closeResultButton: document.getElementById('closeResultButton'),
       exportResultsButton: document.getElementById('exportResultsButton'),
+      exportFormatSelect: document.getElementById('exportFormatSelect'),
       copySummaryButton: document.getElementById('copySummaryButton'),
+      rollbackButton: document.getElementById('rollbackButton'),
+      runCheckButton: document.getElementById('runCheckButton'),
     };
 
     // Vibe Logger初期化確認
@@ -108,6 +128,19 @@ class ExecutionController {
         this.handleCopySummary(event);
       });
 
+      this.elements.rollbackButton?.addEventListener('click', event => {
+        this.handleRollbackClick(event);
+      });
+
+      this.elements.runCheckButton?.addEventListener('click', event => {
+        this.handleRunCheckClick(event);
+      });
+
+      // 置換エンジンの進捗通知（対象フォルダごとの進捗を含む）
+      window.electronAPI?.onReplacementProgress(progressData => {
+        this.handleReplacementProgress(progressData);
+      });
+
       // モーダル外クリックで閉じる
       this.elements.resultModal?.addEventListener('click', event => {
         if (event.target === this.elements.resultModal) {
@@ -224,13 +257,34 @@ class ExecutionController {
     const message = [
       '置換処理を実行しますか？',
       '',
-      `対象フォルダ: ${config.targetFolder}`,
+      `対象フォルダ: ${config.targetFolders.join(', ') || 'なし'}`,
+      ...(config.targetFiles.length > 0
+        ? [`個別指定ファイル: ${config.targetFiles.length}件`]
+        : []),
       `ファイル拡張子: ${config.extensions || '全ファイル'}`,
       `置換ルール: ${config.rules.length}件`,
       '',
-      '⚠️ この操作は元に戻せません。必要に応じて事前にバックアップを取ってください。',
+      config.options.backupEnabled
+        ? '💾 書き込み前にバックアップを作成します（結果画面からロールバックできます）。'
+        : '⚠️ この操作は元に戻せません。必要に応じて事前にバックアップを取ってください。',
     ].join('\n');
 
+    // ルール競合・連鎖解析（順次適用による意図しない結果を事前に警告）
+    const analysis = await this.analyzeRules(config);
+    const warningsHtml = this.renderRuleAnalysis(analysis);
+    const reorderButtonHtml = analysis?.orderChanged
+      ? `<button class="dialog-button secondary" id="dialogReorder">
+                                <span class="button-icon">🔀</span>
+                                Reorder &amp; Execute
+                            </button>`
+      : '';
+    const simultaneousButtonHtml = analysis?.hasIssues
+      ? `<button class="dialog-button secondary" id="dialogSimultaneous">
+                                <span class="button-icon">⚡</span>
+                                Execute Simultaneously
+                            </button>`
+      : '';
+
     return new Promise(resolve => {
       // カスタムダイアログ実装で alert() を回避
       const dialog = document.createElement('div');
@@ -243,11 +297,14 @@ class ExecutionController {
                             Confirm Execution
                         </h3>
                         <div class="dialog-message">${this.escapeHtml(message)}</div>
+                        ${warningsHtml}
                         <div class="dialog-actions">
                             <button class="dialog-button secondary" id="dialogCancel">
                                 <span class="button-icon">❌</span>
                                 Cancel
                             </button>
+                            ${reorderButtonHtml}
+                            ${simultaneousButtonHtml}
                             <button class="dialog-button primary" id="dialogConfirm">
                                 <span class="button-icon">🚀</span>
                                 Execute
@@ -258,86 +315,7 @@ class ExecutionController {
             `;
 
       // スタイル適用
-      const style = document.createElement('style');
-      style.textContent = `
-                .confirmation-dialog {
-                    position: fixed;
-                    top: 0;
-                    left: 0;
-                    width: 100%;
-                    height: 100%;
-                    z-index: 10000;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                }
-                .dialog-overlay {
-                    background: rgba(0, 0, 0, 0.5);
-                    width: 100%;
-                    height: 100%;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                }
-                .dialog-content {
-                    background: var(--bg-primary, #ffffff);
-                    border: 2px solid var(--border-primary, #e2e8f0);
-                    border-radius: 12px;
-                    padding: 24px;
-                    max-width: 500px;
-                    min-width: 400px;
-                    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
-                }
-                .dialog-title {
-                    margin: 0 0 16px 0;
-                    font-size: 1.3em;
-                    color: var(--text-primary, #1e293b);
-                    display: flex;
-                    align-items: center;
-                    gap: 8px;
-                }
-                .dialog-message {
-                    margin: 16px 0;
-                    line-height: 1.5;
-                    color: var(--text-primary, #1e293b);
-                    white-space: pre-line;
-                    background: var(--bg-secondary, #f8fafc);
-                    padding: 16px;
-                    border-radius: 8px;
-                    border: 1px solid var(--border-primary, #e2e8f0);
-                }
-                .dialog-actions {
-                    display: flex;
-                    gap: 12px;
-                    justify-content: flex-end;
-                    margin-top: 24px;
-                }
-                .dialog-button {
-                    padding: 10px 20px;
-                    border: none;
-                    border-radius: 6px;
-                    font-size: 14px;
-                    font-weight: 600;
-                    cursor: pointer;
-                    display: flex;
-                    align-items: center;
-                    gap: 6px;
-                    transition: all 0.2s ease;
-                }
-                .dialog-button.primary {
-                    background: var(--color-primary, #4f46e5);
-                    color: white;
-                }
-                .dialog-button.secondary {
-                    background: var(--bg-secondary, #f8fafc);
-                    color: var(--text-primary, #1e293b);
-                    border: 1px solid var(--border-primary, #e2e8f0);
-                }
-                .dialog-button:hover {
-                    transform: translateY(-1px);
-                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
-                }
-            `;
+      const style = this.createDialogStyle();
 
       document.head.appendChild(style);
       document.body.appendChild(dialog);
@@ -378,6 +356,29 @@ class ExecutionController {
         resolve(true);
       });
 
+      // 提案された安全な順序に並び替えてから実行
+      const reorderButton = dialog.querySelector('#dialogReorder');
+      if (reorderButton) {
+        reorderButton.addEventListener('click', () => {
+          this.applyRuleOrder(analysis.suggestedOrder);
+          cleanup();
+          resolve(true);
+        });
+      }
+
+      // 全ルールを元テキストに対して一括適用するモードに切り替えて実行
+      const simultaneousButton = dialog.querySelector('#dialogSimultaneous');
+      if (simultaneousButton) {
+        simultaneousButton.addEventListener('click', () => {
+          const applyModeSelect = document.getElementById('optionApplyMode');
+          if (applyModeSelect) {
+            applyModeSelect.value = 'simultaneous';
+          }
+          cleanup();
+          resolve(true);
+        });
+      }
+
       // オーバーレイクリックでキャンセル
       dialog.addEventListener('click', event => {
         if (event.target === dialog || event.target.classList.contains('dialog-overlay')) {
@@ -401,11 +402,97 @@ class ExecutionController {
     });
   }
 
+  /**
+   * ルール競合・連鎖解析（メインプロセスの RuleAnalyzer）
+   * @returns {Promise<Object|null>} 解析結果（解析できない場合は null）
+   */
+  async analyzeRules(config) {
+    // 同時適用モードではルール同士の出力が干渉しないため解析不要
+    if (
+      !window.electronAPI?.analyzeRules ||
+      config.rules.length < 2 ||
+      config.options.applyMode === 'simultaneous'
+    ) {
+      return null;
+    }
+
+    try {
+      const result = await window.electronAPI.analyzeRules(config.rules, config.options);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (window.vibeLogger && result.analysis.hasIssues) {
+        window.vibeLogger.warning('rule_conflicts_detected', 'ルール競合を検出', {
+          context: {
+            issueCount: result.analysis.issues.length,
+            types: result.analysis.issues.map(issue => issue.type),
+            orderChanged: result.analysis.orderChanged,
+          },
+          humanNote: '順次適用によりルール同士が干渉する可能性があります',
+        });
+      }
+      return result.analysis;
+    } catch (error) {
+      console.warn('Rule analysis failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 解析結果の警告表示HTMLを生成
+   */
+  renderRuleAnalysis(analysis) {
+    if (!analysis || analysis.issues.length === 0) {
+      return '';
+    }
+
+    const icons = { error: '⛔', warning: '⚠️', info: 'ℹ️' };
+    const items = analysis.issues
+      .map(
+        issue =>
+          `<li class="analysis-${issue.severity}">${icons[issue.severity] || ''} ${this.escapeHtml(
+            issue.message
+          )}</li>`
+      )
+      .join('');
+
+    let summary = 'ルールは上から順に適用されます。以下の干渉に注意してください。';
+    if (analysis.orderChanged) {
+      summary += '「Reorder & Execute」で安全な順序に並び替えて実行できます。';
+    } else if (analysis.suggestedOrder === null) {
+      summary += '安全な適用順が存在しません。';
+    }
+    if (analysis.hasIssues) {
+      summary += '「Execute Simultaneously」で全ルールを元のテキストに対して一括適用できます。';
+    }
+
+    return `<div class="dialog-warnings">${this.escapeHtml(summary)}<ul>${items}</ul></div>`;
+  }
+
+  /**
+   * ルールを指定順に並び替え（UI・データ両方）
+   */
+  applyRuleOrder(ruleIds) {
+    const ruleManager = window.uiController?.ruleManager;
+    if (ruleManager) {
+      ruleManager.reorderRules(ruleIds);
+    }
+
+    if (window.vibeLogger) {
+      window.vibeLogger.info('rules_reordered', 'ルール順序を安全な順序に変更', {
+        context: { ruleIds },
+        humanNote: 'ルール競合解析の提案に従って並び替え',
+      });
+    }
+  }
+
   /**
    * 実行設定の収集
+   * @param {Object} options - searchOnly: 置換文字列が空のルールも含める
    */
-  gatherExecutionConfig() {
-    const targetFolder = document.getElementById('targetFolder')?.value || '';
+  gatherExecutionConfig(options = {}) {
+    const targetFolder = document.getElementById('targetFolder')?.value.trim() || '';
     const extensions = document.getElementById('fileExtensions')?.value || '';
 
     // 置換ルールの収集
@@ -416,26 +503,74 @@ class ExecutionController {
       const checkbox = item.querySelector('.rule-checkbox');
       const fromInput = item.querySelector('.rule-from');
       const toInput = item.querySelector('.rule-to');
-
-      if (checkbox?.checked && fromInput?.value && toInput?.value) {
-        rules.push({
+      const regexCheckbox = item.querySelector('.rule-regex');
+      const flagsInput = item.querySelector('.rule-flags');
+      const preserveCaseCheckbox = item.querySelector('.rule-preserve-case');
+      const wholeWordCheckbox = item.querySelector('.rule-whole-word');
+      const boundarySelect = item.querySelector('.rule-boundary');
+
+      // 検索のみ実行では置換文字列は不要
+      if (checkbox?.checked && fromInput?.value && (options.searchOnly || toInput?.value)) {
+        const rule = {
           id: item.dataset.ruleId || `rule-${index + 1}`,
           from: fromInput.value.trim(),
-          to: toInput.value.trim(),
+          to: toInput?.value.trim() || '',
           enabled: true,
-        });
+        };
+
+        // ルール個別の正規表現設定（未指定時はグローバル設定に従う）
+        if (regexCheckbox?.checked) {
+          rule.useRegex = true;
+        }
+        if (flagsInput?.value.trim()) {
+          rule.regexFlags = flagsInput.value.trim();
+        }
+        if (preserveCaseCheckbox?.checked) {
+          rule.preserveCase = true;
+        }
+        if (wholeWordCheckbox?.checked) {
+          rule.wholeWord = true;
+        }
+        if (boundarySelect?.value) {
+          rule.wordBoundary = boundarySelect.value;
+        }
+
+        rules.push(rule);
       }
     });
 
+    // 対象フォルダ（Target Folder + 追加フォルダ）と個別指定ファイル
+    const additionalFolders = window.uiController?.getPathList('additionalFolders') || [];
+    const targetFolders = [...new Set([targetFolder, ...additionalFolders])].filter(Boolean);
+
     return {
-      targetFolder: targetFolder.trim(),
+      targetFolder: targetFolders[0] || '',
+      targetFolders,
+      targetFiles: window.uiController?.getPathList('targetFiles') || [],
       extensions: extensions.trim(),
       rules,
       options: {
         caseSensitive: true,
-        wholeWord: false,
+        wholeWord: document.getElementById('optionWholeWord')?.checked || false,
+        wordBoundary: document.getElementById('optionWordBoundary')?.value || 'identifier',
+        applyMode: document.getElementById('optionApplyMode')?.value || 'sequential',
+        overlapStrategy: document.getElementById('optionOverlapStrategy')?.value || 'longest',
+        backupEnabled: document.getElementById('optionBackupEnabled')?.checked || false,
+        preservePermissions: document.getElementById('optionPreservePermissions')?.checked ?? true,
+        preserveTimestamps: document.getElementById('optionPreserveTimestamps')?.checked || false,
+        symlinkPolicy: document.getElementById('optionSymlinkPolicy')?.value || 'follow',
+        normalizeLineEndings:
+          document.getElementById('optionNormalizeLineEndings')?.value || 'preserve',
+        outputMode: document.getElementById('optionOutputMode')?.value || 'write',
+        encoding: window.uiController?.encodingSettings.encoding || 'auto',
+        encodingOverrides: window.uiController?.encodingSettings.encodingOverrides || {},
         maxFileSize: 104857600, // 100MB
-        maxConcurrentFiles: 10,
+        excludePatterns: window.uiController?.getPatternList('excludePatterns'),
+        includePatterns: window.uiController?.getPatternList('includePatterns') || [],
+        respectIgnoreFiles: document.getElementById('optionRespectIgnoreFiles')?.checked ?? true,
+        ...window.uiController?.getTraversalSettings(),
+        useRegex: document.getElementById('optionUseRegex')?.checked || false,
+        regexFlags: document.getElementById('optionRegexFlags')?.value.trim() || '',
       },
     };
   }
@@ -446,8 +581,8 @@ class ExecutionController {
   validateExecutionConfig(config) {
     const errors = [];
 
-    // 必須フィールドチェック
-    if (!config.targetFolder) {
+    // 必須フィールドチェック（対象フォルダか個別指定ファイルのどちらか）
+    if (config.targetFolders.length === 0 && config.targetFiles.length === 0) {
       errors.push('対象フォルダが選択されていません');
     }
 
@@ -465,6 +600,11 @@ class ExecutionController {
       if (rule.from === rule.to) {
         errors.push(`ルール ${index + 1}: 検索文字列と置換文字列が同じです`);
       }
+
+      const regexError = this.getRegexError(rule, config.options);
+      if (regexError) {
+        errors.push(`ルール ${index + 1}: 正規表現エラー (${regexError})`);
+      }
     });
 
     return {
@@ -473,6 +613,29 @@ class ExecutionController {
     };
   }
 
+  /**
+   * 正規表現モードのルールをコンパイル検証
+   * @returns {string|null} エラーメッセージ（問題なければ null）
+   */
+  getRegexError(rule, options = {}) {
+    if (!(rule.useRegex ?? options.useRegex)) {
+      return null;
+    }
+
+    const flags = rule.regexFlags ?? options.regexFlags ?? '';
+    const unsupported = [...flags].find(flag => !'imsu'.includes(flag));
+    if (unsupported) {
+      return `未対応のフラグ "${unsupported}"`;
+    }
+
+    try {
+      RegExp(rule.from, `g${flags}`);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
   /**
    * 検証エラーの表示
    */
@@ -500,6 +663,13 @@ class ExecutionController {
     try {
       this.state = 'executing';
       this.startTime = Date.now();
+      this.lastPatch = null;
+      this.lastConfig = config;
+      this.roots = null;
+      this.writtenFiles = null;
+      this.results = [];
+      this.skipped = [];
+      this.errors = [];
       this.stats = {
         totalFiles: 0,
         processedFiles: 0,
@@ -551,7 +721,8 @@ class ExecutionController {
     try {
       // IPC経由で置換処理を実行
       console.log('🔍 Debug: Calling IPC executeReplacement with config:', {
-        targetFolder: config.targetFolder,
+        targetFolders: config.targetFolders,
+        targetFiles: config.targetFiles.length,
         extensions: config.extensions,
         rulesCount: config.rules?.length,
         options: config.options,
@@ -559,6 +730,8 @@ class ExecutionController {
 
       const result = await window.electronAPI.executeReplacement({
         targetFolder: config.targetFolder,
+        targetFolders: config.targetFolders,
+        targetFiles: config.targetFiles,
         extensions: config.extensions,
         rules: config.rules,
         options: config.options,
@@ -571,24 +744,7 @@ class ExecutionController {
         error: result?.error,
       });
 
-      if (result.success) {
-        // 統計情報を更新
-        this.stats = {
-          totalFiles: result.stats.totalFiles || 0,
-          processedFiles: result.stats.processedFiles || 0,
-          changedFiles: result.stats.changedFiles || 0,
-          totalChanges: result.stats.totalChanges || 0,
-          errors: result.stats.errors || 0,
-        };
-
-        // 結果を保存
-        this.results = result.results || [];
-
-        // 完了処理
-        this.completeExecution();
-      } else {
-        throw new Error(result.error || '置換処理に失敗しました');
-      }
+      this.handleExecutionResult(result);
     } catch (error) {
       console.error('❌ Replacement execution failed:', error);
       console.error('❌ Error details:', {
@@ -597,96 +753,212 @@ class ExecutionController {
         cause: error.cause,
       });
 
-      // 🔍 デバッグ: エラー発生によりresultが取得できませんでした
-      console.log('🔍 Debug: Execution failed, no result available');
-
-      // フォールバックとしてモック実行を使用
-      console.warn('⚠️ Falling back to mock execution');
-      await this.enhancedMockExecution(config);
+      this.handleExecutionError(error);
     }
   }
 
   /**
-   * 拡張モック実行 - 実際のファイル検索を行う
+   * IPC の実行結果を保存して完了表示
    */
-  async enhancedMockExecution(config) {
-    try {
-      // 実際のファイル検索を試行
-      const searchResult = await window.electronAPI.findFiles(
-        config.targetFolder,
-        config.extensions ? config.extensions.split(',').map(ext => ext.trim()) : [],
-        ['node_modules/**', '.git/**', 'dist/**', 'build/**']
-      );
-
-      if (searchResult.success && searchResult.files && searchResult.files.length > 0) {
-        // 実際のファイルを使用
-        this.actualFiles = searchResult.files; // 保存しておく
-        this.stats.totalFiles = searchResult.files.length;
-        await this.simulateProcessing(searchResult.files, config);
-      } else {
-        console.warn('⚠️ No files found, using mock files');
-        // ファイル検索が失敗した場合はフォールバック
-        await this.mockExecution(config);
-      }
-    } catch (error) {
-      console.warn('Enhanced mock execution failed, using basic mock:', error);
-      await this.mockExecution(config);
+  handleExecutionResult(result) {
+    if (!result.success) {
+      throw new Error(result.error || '置換処理に失敗しました');
+    }
+
+    // 統計情報を更新
+    this.stats = {
+      totalFiles: result.stats.totalFiles || 0,
+      processedFiles: result.stats.processedFiles || 0,
+      changedFiles: result.stats.changedFiles || 0,
+      totalChanges: result.stats.totalChanges || 0,
+      skippedFiles: result.stats.skippedFiles || 0,
+      normalizedFiles: result.stats.normalizedFiles || 0,
+      lineBreakSkips: result.stats.lineBreakSkips || 0,
+      errors: result.stats.errors || 0,
+    };
+
+    // 結果を保存
+    this.results = result.results || [];
+    this.skipped = result.skipped || [];
+    this.errors = result.errors || [];
+    this.lastProcessId = result.processId || null;
+    this.lastBackup = result.backup || null;
+    this.lastPatch = result.patch || null;
+    this.roots = result.roots || null;
+    this.writtenFiles = result.writtenFiles || [];
+
+    // 停止時は書き込み済みのファイルのみを部分的な結果として表示
+    if (result.cancelled) {
+      this.finishCancelledExecution();
+      return;
     }
+
+    // 完了処理
+    this.completeExecution();
   }
 
   /**
-   * モック実行（テスト用）
-   * 実際のIPC実装まで進捗表示UIの動作確認用
+   * キャンセルされた実行の終了処理
    */
-  async mockExecution(config) {
-    // 実際の設定を使用してモック実行
-    const targetPath = config.targetFolder || '/example/path';
-    const baseName = targetPath.split('/').pop() || 'project';
-
-    const mockFiles = [
-      `${baseName}/test.html`,
-      `${baseName}/temp-replacement/batch-test.css`,
-      `${baseName}/temp-replacement/replacement-test.html`,
-    ];
+  finishCancelledExecution() {
+    this.state = 'idle';
+    this.stopTimer();
+
+    if (window.vibeLogger) {
+      window.vibeLogger.info('execution_stopped', '実行停止', {
+        context: {
+          processedFiles: this.stats.processedFiles,
+          totalFiles: this.stats.totalFiles,
+          writtenFiles: this.writtenFiles.length,
+        },
+        humanNote: 'ユーザーが実行を手動停止（書き込み済みのファイルのみ変更）',
+      });
+    }
 
-    this.stats.totalFiles = mockFiles.length;
-    await this.simulateProcessing(mockFiles, config);
+    this.hideProgressModal();
+    this.updateExecuteButtonState('idle');
+    this.showPartialResults();
   }
 
   /**
-   * ファイル処理のシミュレーション
+   * レビューで採用したマッチのみ置換（進捗・結果表示は通常実行と共通）
+   * @param {string} reviewId - レビューID
+   * @param {Array<string>} acceptedIds - 採用するマッチの id
    */
-  async simulateProcessing(files, _config) {
-    this.stats.totalFiles = files.length;
-    this.updateProgress();
+  async executeReview(reviewId, acceptedIds) {
+    try {
+      this.state = 'executing';
+      this.startTime = Date.now();
+      this.lastPatch = null;
+      this.lastConfig = null; // レビュー適用後のチェックは画面の設定を使う
+      this.roots = null;
+      this.writtenFiles = null;
+      this.results = [];
+      this.skipped = [];
+      this.errors = [];
+      this.showProgressModal();
+      this.startTimer();
 
-    for (let i = 0; i < files.length; i++) {
-      if (this.state !== 'executing') {
-        break; // 中断された場合
+      if (window.vibeLogger) {
+        window.vibeLogger.info('review_apply_started', 'レビュー結果の適用開始', {
+          context: { reviewId, acceptedCount: acceptedIds.length },
+          humanNote: '採用したマッチのみ置換を実行',
+        });
       }
 
-      const filename = files[i];
-      // ファイル名が文字列かオブジェクトかチェック
-      const displayName =
-        typeof filename === 'string' ? filename : filename.path || String(filename);
-      this.elements.currentFile.textContent = displayName;
+      const result = await window.electronAPI.applyReview(reviewId, acceptedIds);
+      this.handleExecutionResult(result);
+    } catch (error) {
+      this.handleExecutionError(error);
+    }
+  }
+
+  /**
+   * 実行履歴と同じ設定で再実行（進捗・結果表示は通常実行と共通）
+   * @param {Object} entry - 実行履歴のエントリ
+   */
+  async rerunFromHistory(entry) {
+    if (['executing', 'pausing', 'stopping'].includes(this.state)) {
+      this.showErrorMessage('再実行エラー', '置換処理を実行中です');
+      return;
+    }
+
+    const confirmed = await this.showRerunConfirmationDialog(entry);
+    if (!confirmed) {
+      return;
+    }
 
-      // ファイル処理のシミュレーション
-      await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
+    try {
+      this.state = 'executing';
+      this.startTime = Date.now();
+      this.lastPatch = null;
+      this.lastConfig = null;
+      this.roots = null;
+      this.writtenFiles = null;
+      this.results = [];
+      this.skipped = [];
+      this.errors = [];
+      this.showProgressModal();
+      this.startTimer();
 
-      this.stats.processedFiles++;
-      const CHANGE_PROBABILITY = 0.3; // 70%の確率で変更あり（マジックナンバー回避）
-      if (Math.random() > CHANGE_PROBABILITY) {
-        this.stats.changedFiles++;
-        this.stats.totalChanges += Math.floor(Math.random() * 5) + 1;
+      if (window.vibeLogger) {
+        window.vibeLogger.info('history_rerun_started', '実行履歴から再実行', {
+          context: { historyId: entry.id, rulesCount: entry.rules.length },
+          humanNote: '過去の実行と同じ設定で置換を実行',
+        });
       }
 
-      this.updateProgress();
+      const result = await window.electronAPI.rerunHistory(entry.id);
+      this.lastConfig = result.config || null; // 残存チェックは再実行した設定で行う
+      this.handleExecutionResult(result);
+    } catch (error) {
+      this.handleExecutionError(error);
     }
+  }
 
-    if (this.state === 'executing') {
-      this.completeExecution();
-    }
+  /**
+   * 再実行確認ダイアログ
+   */
+  async showRerunConfirmationDialog(entry) {
+    const writes = entry.mode === 'write';
+    const message = [
+      '過去の実行と同じ設定で置換処理を実行しますか？',
+      '',
+      `実行日時: ${new Date(entry.startedAt).toLocaleString()}`,
+      `対象フォルダ: ${entry.targetFolders.join(', ') || 'なし'}`,
+      ...(entry.targetFiles.length > 0 ? [`個別指定ファイル: ${entry.targetFiles.length}件`] : []),
+      `ファイル拡張子: ${entry.extensions || '全ファイル'}`,
+      `置換ルール: ${entry.rules.length}件`,
+      '',
+      !writes || entry.options.backupEnabled
+        ? '💾 ファイルの書き込みなし、または書き込み前にバックアップを作成します。'
+        : '⚠️ この操作は元に戻せません。必要に応じて事前にバックアップを取ってください。',
+    ].join('\n');
+
+    return new Promise(resolve => {
+      const dialog = document.createElement('div');
+      dialog.className = 'confirmation-dialog';
+      dialog.innerHTML = `
+                <div class="dialog-overlay">
+                    <div class="dialog-content">
+                        <h3 class="dialog-title">
+                            <span class="dialog-icon">🔁</span>
+                            Confirm Re-run
+                        </h3>
+                        <div class="dialog-message">${this.escapeHtml(message)}</div>
+                        <div class="dialog-actions">
+                            <button class="dialog-button secondary" id="rerunDialogCancel">
+                                <span class="button-icon">❌</span>
+                                Cancel
+                            </button>
+                            <button class="dialog-button primary" id="rerunDialogConfirm">
+                                <span class="button-icon">🚀</span>
+                                Execute
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+      const style = this.createDialogStyle();
+      document.head.appendChild(style);
+      document.body.appendChild(dialog);
+
+      const finish = value => {
+        if (dialog.parentNode === document.body) {
+          document.body.removeChild(dialog);
+        }
+        if (style.parentNode === document.head) {
+          document.head.removeChild(style);
+        }
+        resolve(value);
+      };
+
+      dialog.querySelector('#rerunDialogCancel').addEventListener('click', () => finish(false));
+      dialog.querySelector('#rerunDialogConfirm').addEventListener('click', () => finish(true));
+
+      setTimeout(() => dialog.querySelector('#rerunDialogConfirm').focus(), 100);
+    });
   }
 
   /**
@@ -705,11 +977,63 @@ class ExecutionController {
   }
 
   /**
-   * 進捗モーダル表示
+   * 置換エンジンからの進捗通知を反映
    */
-  showProgressModal() {
-    this.elements.progressModal?.classList.remove('hidden');
+  handleReplacementProgress(progressData) {
+    if (!['executing', 'pausing', 'stopping'].includes(this.state)) {
+      return;
+    }
+
+    this.stats.totalFiles = progressData.totalFiles;
+    this.stats.processedFiles = progressData.processedFiles;
+    this.stats.changedFiles = progressData.modifiedFiles;
+    this.stats.totalChanges = progressData.totalReplacements;
+    this.updateProgress();
+    this.renderRootProgress(progressData.roots);
+  }
+
+  /**
+   * 対象フォルダごとの進捗（フォルダが1つだけの場合は表示しない）
+   */
+  renderRootProgress(roots) {
+    const container = this.elements.progressRoots;
+    if (!container) {
+      return;
+    }
+
+    const visible = roots?.length > 1;
+    container.classList.toggle('hidden', !visible);
+    container.innerHTML = visible
+      ? roots
+          .map(
+            root => `
+            <div class="root-progress">
+              <span class="file-path">${this.escapeHtml(this.getRootLabel(root))}</span>
+              <span class="root-progress-count">${root.processedFiles}/${root.totalFiles} files, ${
+              root.modifiedFiles
+            } modified</span>
+            </div>
+          `
+          )
+          .join('')
+      : '';
+  }
+
+  /**
+   * 対象フォルダの表示名（どのフォルダにも含まれない個別指定ファイルは path: null）
+   */
+  getRootLabel(root) {
+    return root.path || 'Listed files';
+  }
+
+  /**
+   * 進捗モーダル表示
+   */
+  showProgressModal() {
+    this.elements.progressModal?.classList.remove('hidden');
     this.updateProgress();
+    this.renderRootProgress(null);
+    this.setPauseButtonState(false);
 
     // アニメーション
     requestAnimationFrame(() => {
@@ -794,16 +1118,38 @@ class ExecutionController {
 
   /**
    * 一時停止ボタンハンドラー
+   * 置換エンジンは処理中のファイルを完了させてから次のファイルの前で待機する
    */
-  handlePauseClick(event) {
+  async handlePauseClick(event) {
     event.preventDefault();
 
-    if (this.state === 'executing') {
+    if (this.state !== 'executing' && this.state !== 'pausing') {
+      return;
+    }
+
+    const pausing = this.state === 'executing';
+    this.elements.pauseButton.disabled = true;
+    try {
+      const result = pausing
+        ? await window.electronAPI.pauseReplacement()
+        : await window.electronAPI.resumeReplacement();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      // 応答前に処理が終わっていた場合は状態を変えない
+      if (!(pausing ? result.paused : result.resumed)) {
+        return;
+      }
+    } catch (error) {
+      this.showErrorMessage(pausing ? '一時停止エラー' : '再開エラー', error.message);
+      return;
+    } finally {
+      this.elements.pauseButton.disabled = false;
+    }
+
+    if (pausing) {
       this.state = 'pausing';
-      this.elements.pauseButton.innerHTML = `
-                <span class="button-icon">▶️</span>
-                Resume
-            `;
+      this.setPauseButtonState(true);
 
       if (window.vibeLogger) {
         window.vibeLogger.info('execution_paused', '実行一時停止', {
@@ -813,12 +1159,9 @@ class ExecutionController {
           },
         });
       }
-    } else if (this.state === 'pausing') {
+    } else {
       this.state = 'executing';
-      this.elements.pauseButton.innerHTML = `
-                <span class="button-icon">⏸️</span>
-                Pause
-            `;
+      this.setPauseButtonState(false);
 
       if (window.vibeLogger) {
         window.vibeLogger.info('execution_resumed', '実行再開', {
@@ -831,6 +1174,24 @@ class ExecutionController {
     }
   }
 
+  /**
+   * 一時停止ボタンの表示（一時停止中は Resume）
+   */
+  setPauseButtonState(paused) {
+    if (!this.elements.pauseButton) {
+      return;
+    }
+    this.elements.pauseButton.innerHTML = paused
+      ? `
+                <span class="button-icon">▶️</span>
+                Resume
+            `
+      : `
+                <span class="button-icon">⏸️</span>
+                Pause
+            `;
+  }
+
   /**
    * 停止ボタンハンドラー
    */
@@ -845,6 +1206,114 @@ class ExecutionController {
     });
   }
 
+  /**
+   * 確認ダイアログ共通スタイル生成
+   */
+  createDialogStyle() {
+    const style = document.createElement('style');
+    style.textContent = `
+                .confirmation-dialog {
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    width: 100%;
+                    height: 100%;
+                    z-index: 10000;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+                .dialog-overlay {
+                    background: rgba(0, 0, 0, 0.5);
+                    width: 100%;
+                    height: 100%;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+                .dialog-content {
+                    background: var(--bg-primary, #ffffff);
+                    border: 2px solid var(--border-primary, #e2e8f0);
+                    border-radius: 12px;
+                    padding: 24px;
+                    max-width: 500px;
+                    min-width: 400px;
+                    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+                }
+                .dialog-title {
+                    margin: 0 0 16px 0;
+                    font-size: 1.3em;
+                    color: var(--text-primary, #1e293b);
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                }
+                .dialog-message {
+                    margin: 16px 0;
+                    line-height: 1.5;
+                    color: var(--text-primary, #1e293b);
+                    white-space: pre-line;
+                    background: var(--bg-secondary, #f8fafc);
+                    padding: 16px;
+                    border-radius: 8px;
+                    border: 1px solid var(--border-primary, #e2e8f0);
+                }
+                .dialog-warnings {
+                    margin: 16px 0;
+                    padding: 12px 16px;
+                    max-height: 200px;
+                    overflow-y: auto;
+                    border-radius: 8px;
+                    border: 1px solid var(--warning-color, #f59e0b);
+                    background: rgba(245, 158, 11, 0.08);
+                    font-size: 13px;
+                    line-height: 1.5;
+                }
+                .dialog-warnings ul {
+                    margin: 8px 0 0 0;
+                    padding-left: 20px;
+                }
+                .dialog-warnings .analysis-error {
+                    color: var(--error-color, #ef4444);
+                }
+                .dialog-warnings .analysis-info {
+                    color: var(--text-secondary, #64748b);
+                }
+                .dialog-actions {
+                    display: flex;
+                    gap: 12px;
+                    justify-content: flex-end;
+                    margin-top: 24px;
+                }
+                .dialog-button {
+                    padding: 10px 20px;
+                    border: none;
+                    border-radius: 6px;
+                    font-size: 14px;
+                    font-weight: 600;
+                    cursor: pointer;
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    transition: all 0.2s ease;
+                }
+                .dialog-button.primary {
+                    background: var(--color-primary, #4f46e5);
+                    color: white;
+                }
+                .dialog-button.secondary {
+                    background: var(--bg-secondary, #f8fafc);
+                    color: var(--text-primary, #1e293b);
+                    border: 1px solid var(--border-primary, #e2e8f0);
+                }
+                .dialog-button:hover {
+                    transform: translateY(-1px);
+                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+                }
+            `;
+    return style;
+  }
+
   /**
    * 停止確認ダイアログ
    */
@@ -904,8 +1373,22 @@ class ExecutionController {
 
   /**
    * 実行停止
+   * 置換エンジンにキャンセルを要求し、書き込み済みのファイルは実行結果（cancelled）として表示する
    */
-  stopExecution() {
+  async stopExecution() {
+    if (this.state === 'executing' || this.state === 'pausing') {
+      this.state = 'stopping';
+      try {
+        const result = await window.electronAPI.cancelReplacement();
+        if (result.success && result.cancelled) {
+          // 結果の表示は executeReplacement の応答（handleExecutionResult）で行う
+          return;
+        }
+      } catch (error) {
+        console.error('❌ Cancel replacement failed:', error);
+      }
+    }
+
     this.state = 'idle';
     this.stopTimer();
 
@@ -962,7 +1445,11 @@ class ExecutionController {
     // 実行ボタンを元に戻す
     this.updateExecuteButtonState('idle');
 
-    // 結果を表示
+    // 結果を表示（停止後の実行では部分完了のタイトルを戻す）
+    this.elements.resultTitle.innerHTML = `
+            <span class="success-icon">✅</span>
+            Replacement Completed Successfully!
+        `;
     this.showResults();
   }
 
@@ -987,16 +1474,35 @@ class ExecutionController {
       .toString()
       .padStart(2, '0')}`;
 
-    // サマリー更新
-    this.elements.resultSummary.textContent = `${this.stats.changedFiles} files modified with ${this.stats.totalChanges} total changes`;
+    // サマリー更新（patch 出力時はファイルを書き換えていない）
+    const summary = [
+      this.lastPatch
+        ? this.formatPatchSummary(this.lastPatch)
+        : `${this.stats.changedFiles} files modified with ${this.stats.totalChanges} total changes`,
+    ];
+    if (this.stats.normalizedFiles > 0) {
+      summary.push(`${this.stats.normalizedFiles} line endings normalized`);
+    }
+    if (this.stats.lineBreakSkips > 0) {
+      summary.push(`${this.stats.lineBreakSkips} matches across line breaks not replaced`);
+    }
+    if (this.skipped.length > 0) {
+      summary.push(`${this.skipped.length} skipped`);
+    }
+    if (this.errors.length > 0) {
+      summary.push(`${this.errors.length} failed`);
+    }
+    this.elements.resultSummary.textContent = summary.join(', ');
     this.elements.completionTime.textContent = timeString;
 
-    // 詳細結果（実際の結果またはモック）
-    const resultsHtml =
-      this.results && this.results.length > 0
-        ? this.generateActualResults()
-        : this.generateMockResults();
-    this.elements.resultDetails.innerHTML = resultsHtml;
+    // 詳細結果（置換エンジンの応答のみから生成）
+    this.elements.resultDetails.innerHTML = this.generateActualResults();
+
+    // バックアップがある実行のみロールバック可能
+    if (this.elements.rollbackButton) {
+      this.elements.rollbackButton.classList.toggle('hidden', !this.lastBackup);
+      this.elements.rollbackButton.disabled = false;
+    }
 
     // 結果モーダル表示
     this.elements.resultModal?.classList.remove('hidden');
@@ -1005,6 +1511,120 @@ class ExecutionController {
     });
   }
 
+  formatPatchSummary(patch) {
+    const counts = `Patch for ${patch.files} files (+${patch.additions} −${patch.deletions})`;
+    if (patch.path) {
+      return `${counts} saved to ${patch.path}`;
+    }
+    return patch.canceled ? `${counts} not saved` : counts;
+  }
+
+  /**
+   * 結果モーダルからチェック実行
+   * 置換後に各ルールの from（禁止パターン）が残っていないかを確認する
+   */
+  async handleRunCheckClick(event) {
+    event.preventDefault();
+
+    const config = this.lastConfig || this.gatherExecutionConfig();
+    const button = this.elements.runCheckButton;
+    if (button) {
+      button.disabled = true;
+    }
+
+    try {
+      const result = await window.electronAPI.runCheck(config);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.lastCheckReport = result.report;
+      this.renderCheckReport(result.report);
+
+      if (window.vibeLogger) {
+        window.vibeLogger.info('check_completed', 'チェック実行完了', {
+          context: { passed: result.report.passed, ...result.report.stats },
+        });
+      }
+    } catch (error) {
+      if (window.vibeLogger) {
+        window.vibeLogger.error('check_error', 'チェック実行エラー', {
+          context: { error: error.message },
+        });
+      }
+      this.showErrorMessage('チェックエラー', error.message);
+    } finally {
+      if (button) {
+        button.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * チェック結果（合否・file:line の一覧）を結果詳細の先頭に表示
+   */
+  renderCheckReport(report) {
+    const { stats } = report;
+    const limit = ExecutionController.CHECK_DISPLAY_LIMIT;
+    let headline = `No forbidden patterns in ${stats.processedFiles} files`;
+    if (!report.passed) {
+      headline = `${stats.occurrences} occurrences in ${stats.failedFiles} of ${stats.totalFiles} files`;
+      if (report.errors.length > 0) {
+        headline += `, ${report.errors.length} files could not be read`;
+      }
+    }
+
+    const rows = report.occurrences
+      .slice(0, limit)
+      .map(
+        occurrence => `
+        <div class="check-occurrence">
+          <span class="file-path">${this.escapeHtml(occurrence.path)}:${occurrence.line}:${
+          occurrence.column + 1
+        }</span>
+          <code class="check-pattern">${this.escapeHtml(occurrence.pattern)}</code>
+          <span class="check-line-text">${this.escapeHtml(occurrence.lineText.trim())}</span>
+        </div>`
+      )
+      .join('');
+    const hidden = report.occurrences.length - limit;
+
+    const html = `
+      <div class="check-report ${report.passed ? 'check-passed' : 'check-failed'}">
+        <div class="check-header">
+          <span class="check-status">${report.passed ? '✅ Check passed' : '❌ Check failed'}</span>
+          <span class="check-counts">${headline}</span>
+          <button class="secondary-button check-copy-button">📋 Copy Report (JSON)</button>
+        </div>
+        ${rows}
+        ${
+          hidden > 0
+            ? `<div class="check-more">…and ${hidden} more (included in the report)</div>`
+            : ''
+        }
+      </div>
+    `;
+
+    this.elements.resultDetails.querySelector('.check-report')?.remove();
+    this.elements.resultDetails.insertAdjacentHTML('afterbegin', html);
+    this.elements.resultDetails
+      .querySelector('.check-copy-button')
+      ?.addEventListener('click', () => this.copyCheckReport());
+  }
+
+  /**
+   * チェック結果を JSON でコピー（CI 等と同じ機械可読な形式）
+   */
+  async copyCheckReport() {
+    const json = JSON.stringify(this.lastCheckReport, null, 2);
+    try {
+      await navigator.clipboard.writeText(json);
+      this.showSuccessMessage('チェック結果（JSON）をクリップボードにコピーしました');
+    } catch (error) {
+      this.fallbackCopy(json);
+    }
+  }
+
   /**
    * 部分的な結果表示（停止時）
    */
@@ -1016,6 +1636,13 @@ class ExecutionController {
         `;
 
     this.showResults();
+
+    // 停止までに処理・書き込みしたファイル数（未処理のファイルは変更されていない）
+    const stoppedAt = `Stopped after ${this.stats.processedFiles} of ${this.stats.totalFiles} files`;
+    const written = this.lastPatch
+      ? ''
+      : `, ${this.writtenFiles?.length || 0} files written before stopping`;
+    this.elements.resultSummary.textContent = `${stoppedAt}${written}. ${this.elements.resultSummary.textContent}`;
   }
 
   /**
@@ -1024,14 +1651,65 @@ class ExecutionController {
   generateActualResults() {
     console.log('🔍 Debug: Generating actual results from:', this.results);
 
-    // 実際の置換結果を使用
-    const actualFiles = this.results.filter(result => result.modified || result.changes > 0);
+    const actualFiles = this.getChangedResults();
+
+    // 複数フォルダの実行では対象フォルダごとにまとめる
+    const groupedResults =
+      this.roots?.length > 1
+        ? this.roots
+            .map(root => {
+              const files = actualFiles.filter(file => this.getResultRoot(file.path) === root.path);
+              return `
+                <div class="result-root">
+                  <div class="result-root-header">
+                    <span class="file-icon">📁</span>
+                    <span class="file-path">${this.escapeHtml(this.getRootLabel(root))}</span>
+                    <span class="root-progress-count">${files.length} of ${
+                root.totalFiles
+              } files modified</span>
+                  </div>
+                  ${this.renderResultFiles(files)}
+                </div>
+              `;
+            })
+            .join('')
+        : null;
+
+    const hasOutcome = actualFiles.length > 0 || this.skipped.length > 0 || this.errors.length > 0;
+    if (!hasOutcome) {
+      return '<div class="skipped-list"><div class="skipped-title">No files were changed</div></div>';
+    }
+
+    return `
+      ${groupedResults ?? this.renderResultFiles(actualFiles)}
+      ${this.generateSkippedResults()}
+      ${this.generateErrorResults()}
+    `;
+  }
+
+  /**
+   * 置換のあったファイルの結果（ドライランでは書き込みなしでも件数があれば対象）
+   */
+  getChangedResults() {
+    return this.results.filter(result => result.modified || result.changes > 0);
+  }
 
+  /**
+   * 結果のファイルが属する対象フォルダ（どのフォルダにも含まれなければ null）
+   */
+  getResultRoot(filePath) {
+    const rootPaths = this.roots.map(root => root.path).filter(Boolean);
+    return window.uiController?.findTargetRoot(filePath, rootPaths) ?? null;
+  }
+
+  /**
+   * 変更したファイルの一覧
+   */
+  renderResultFiles(files) {
     return `
       <div class="result-list">
-        ${actualFiles
+        ${files
           .map(file => {
-            const filePath = file.path || 'Unknown file';
             const changes = file.changes || 0;
             const details = file.details || [];
 
@@ -1039,16 +1717,24 @@ class ExecutionController {
               <div class="result-file">
                 <div class="file-header">
                   <span class="file-icon">✅</span>
-                  <span class="file-path">${filePath}</span>
+                  <span class="file-path">${this.escapeHtml(file.path)}</span>
+                  ${file.encoding ? `<span class="file-encoding">${file.encoding}</span>` : ''}
+                  ${
+                    file.lineEndings?.normalizedTo
+                      ? `<span class="file-encoding">${file.lineEndings.style.toUpperCase()} → ${file.lineEndings.normalizedTo.toUpperCase()}</span>`
+                      : ''
+                  }
                   <span class="change-count">(${changes} changes)</span>
                 </div>
-                <div class="rule-changes">
+                <div class="file-details">
                   ${details
                     .map(
                       detail => `
-                      <div class="rule-change">
-                        <span class="rule-from">${detail.rule || 'Unknown rule'}</span>
-                        <span class="occurrence-count">(${detail.count || 0} occurrence${
+                      <div class="change-detail">
+                        <span class="change-from">${this.escapeHtml(detail.from)}</span>
+                        <span class="change-arrow">→</span>
+                        <span class="change-to">${this.escapeHtml(detail.to)}</span>
+                        <span class="occurrence-count">(${detail.count} occurrence${
                         detail.count !== 1 ? 's' : ''
                       })</span>
                       </div>
@@ -1065,74 +1751,63 @@ class ExecutionController {
   }
 
   /**
-   * モック結果生成（テスト用）
+   * スキップしたファイル一覧（理由付き）
    */
-  generateMockResults() {
-    // 現在の設定から実際のルールを取得
-    const config = this.gatherExecutionConfig();
-    const activeRules = config.rules || [];
-
-    // 実際のファイルがあればそれを使用、なければフォールバック
-    let mockFiles;
-    if (this.actualFiles && this.actualFiles.length > 0) {
-      // 実際に検索されたファイルを使用
-      mockFiles = this.actualFiles.slice(0, this.stats.changedFiles).map(filePath => ({
-        path: filePath,
-        changes: Math.floor(Math.random() * 3) + 1, // 1-3の変更数
-      }));
-    } else {
-      // フォールバック：実際のターゲットパスを使用
-      const targetPath = config.targetFolder || '/project';
-      mockFiles = [
-        { path: `${targetPath}/test.html`, changes: 3 },
-        { path: `${targetPath}/temp-replacement/batch-test.css`, changes: 1 },
-        { path: `${targetPath}/temp-replacement/replacement-test.html`, changes: 2 },
-      ].slice(0, this.stats.changedFiles);
+  generateSkippedResults() {
+    if (!this.skipped || this.skipped.length === 0) {
+      return '';
     }
 
     return `
-            <div class="result-list">
-                ${mockFiles
-                  .map(file => {
-                    // 各ファイルのルールごとの変更数を配分
-                    const changesPerRule = Math.max(
-                      1,
-                      Math.floor(file.changes / activeRules.length)
-                    );
-                    const remainder = file.changes % activeRules.length;
-
-                    return `
-                    <div class="result-file">
-                        <div class="file-header">
-                            <span class="file-icon">✅</span>
-                            <span class="file-path">${file.path}</span>
-                            <span class="change-count">(${file.changes} changes)</span>
-                        </div>
-                        <div class="file-details">
-                            ${activeRules
-                              .map((rule, index) => {
-                                const occurrences = changesPerRule + (index < remainder ? 1 : 0);
-                                return occurrences > 0
-                                  ? `
-                            <div class="change-detail">
-                                <span class="change-from">${this.escapeHtml(rule.from)}</span>
-                                <span class="change-arrow">→</span>
-                                <span class="change-to">${this.escapeHtml(rule.to)}</span>
-                                <span class="occurrence-count">(${occurrences} occurrence${
-                                      occurrences > 1 ? 's' : ''
-                                    })</span>
-                            </div>
-                              `
-                                  : '';
-                              })
-                              .join('')}
-                        </div>
-                    </div>
-                `;
-                  })
-                  .join('')}
+      <div class="skipped-list">
+        <div class="skipped-title">Skipped files (${this.skipped.length})</div>
+        ${this.skipped
+          .map(
+            item => `
+            <div class="skipped-file">
+              <span class="file-icon">⏭️</span>
+              <span class="file-path">${item.path}</span>
+              <span class="skip-reason">${this.formatSkipReason(item)}</span>
             </div>
-        `;
+          `
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * スキップ理由の表示文字列
+   */
+  formatSkipReason(item) {
+    const label = ExecutionController.SKIP_REASON_LABELS[item.reason] || item.reason;
+    return item.detail ? `${label}: ${item.detail}` : label;
+  }
+
+  /**
+   * 処理に失敗したファイル一覧（エラー内容付き）
+   */
+  generateErrorResults() {
+    if (this.errors.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="skipped-list">
+        <div class="skipped-title">Failed files (${this.errors.length})</div>
+        ${this.errors
+          .map(
+            item => `
+            <div class="skipped-file">
+              <span class="file-icon">❌</span>
+              <span class="file-path">${this.escapeHtml(item.path)}</span>
+              <span class="error-reason">${this.escapeHtml(item.error)}</span>
+            </div>
+          `
+          )
+          .join('')}
+      </div>
+    `;
   }
 
   /**
@@ -1153,43 +1828,164 @@ class ExecutionController {
     }
   }
 
+  /**
+   * ロールバックボタンクリック
+   * 実行後に再編集されたファイルがある場合は確認してから処理する
+   */
+  async handleRollbackClick(event) {
+    event.preventDefault();
+
+    const processId = this.lastBackup?.processId;
+    if (!processId) {
+      return;
+    }
+
+    try {
+      let result = await window.electronAPI.rollbackRun(processId);
+
+      if (!result.success && result.conflicts?.length > 0) {
+        const onConflict = await this.showRollbackConflictDialog(result.conflicts);
+        if (!onConflict) {
+          return;
+        }
+        result = await window.electronAPI.rollbackRun(processId, { onConflict });
+      }
+
+      if (window.vibeLogger) {
+        window.vibeLogger.info('rollback_completed', 'ロールバック実行', {
+          context: {
+            processId,
+            success: result.success,
+            restored: result.restored?.length || 0,
+            conflicts: result.conflicts?.length || 0,
+            errors: result.errors?.length || 0,
+          },
+          humanNote: '置換実行前の状態に復元',
+        });
+      }
+
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      if (result.errors?.length > 0) {
+        throw new Error(`${result.errors.length}件のファイルを復元できませんでした`);
+      }
+
+      // スキップしたファイルが残る場合（partial）は再試行できるようにボタンを残す
+      if (result.status === 'partial') {
+        this.showSuccessMessage(
+          `${result.restored.length}件のファイルを実行前の状態に戻しました（スキップしたファイルは再度ロールバックできます）`
+        );
+        return;
+      }
+
+      this.lastBackup = null;
+      this.elements.rollbackButton.disabled = true;
+      this.showSuccessMessage(`${result.restored.length}件のファイルを実行前の状態に戻しました`);
+    } catch (error) {
+      this.showErrorMessage('ロールバックエラー', error.message);
+    }
+  }
+
+  /**
+   * ロールバック競合確認ダイアログ
+   * @returns {Promise<string|null>} 'skip' | 'overwrite' | null（キャンセル）
+   */
+  async showRollbackConflictDialog(conflicts) {
+    const reasons = { modified: '実行後に編集済み', deleted: '削除済み' };
+    const items = conflicts
+      .map(
+        conflict =>
+          `<li>${this.escapeHtml(conflict.path)}（${
+            reasons[conflict.reason] || conflict.reason
+          }）</li>`
+      )
+      .join('');
+
+    return new Promise(resolve => {
+      const dialog = document.createElement('div');
+      dialog.className = 'confirmation-dialog';
+      dialog.innerHTML = `
+                <div class="dialog-overlay">
+                    <div class="dialog-content">
+                        <h3 class="dialog-title">
+                            <span class="dialog-icon">⚠️</span>
+                            ロールバックの確認
+                        </h3>
+                        <div class="dialog-message">以下のファイルは置換実行後に変更されています。上書きすると変更内容は失われます。</div>
+                        <div class="dialog-warnings"><ul>${items}</ul></div>
+                        <div class="dialog-actions">
+                            <button class="dialog-button secondary" id="rollbackDialogCancel">
+                                <span class="button-icon">❌</span>
+                                キャンセル
+                            </button>
+                            <button class="dialog-button secondary" id="rollbackDialogSkip">
+                                <span class="button-icon">⏭️</span>
+                                変更済みを除いて復元
+                            </button>
+                            <button class="dialog-button primary" id="rollbackDialogOverwrite">
+                                <span class="button-icon">↩️</span>
+                                すべて上書き
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+      const style = this.createDialogStyle();
+      document.head.appendChild(style);
+      document.body.appendChild(dialog);
+
+      const finish = value => {
+        if (dialog.parentNode === document.body) {
+          document.body.removeChild(dialog);
+        }
+        if (style.parentNode === document.head) {
+          document.head.removeChild(style);
+        }
+        resolve(value);
+      };
+
+      dialog.querySelector('#rollbackDialogCancel').addEventListener('click', () => finish(null));
+      dialog.querySelector('#rollbackDialogSkip').addEventListener('click', () => finish('skip'));
+      dialog
+        .querySelector('#rollbackDialogOverwrite')
+        .addEventListener('click', () => finish('overwrite'));
+
+      // 破壊的な選択肢にフォーカスを置かない
+      setTimeout(() => dialog.querySelector('#rollbackDialogCancel').focus(), 100);
+    });
+  }
+
   /**
    * 結果エクスポート
    */
   async handleExportResults(event) {
     event.preventDefault();
+    const format = this.elements.exportFormatSelect?.value || 'html';
 
     try {
       if (window.vibeLogger) {
         window.vibeLogger.info('export_results_start', '結果エクスポート開始', {
           context: {
+            format,
             changedFiles: this.stats.changedFiles,
             totalChanges: this.stats.totalChanges,
           },
         });
       }
 
-      // モック CSV データ生成
-      const csvData = this.generateCSVResults();
-
-      // ダウンロード実行
-      const blob = new Blob([csvData], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-
-      const a = document.createElement('a');
-      a.href = url;
-      const ISO_DATETIME_LENGTH = 19; // YYYY-MM-DDTHH:MM:SS
-      a.download = `replacement-results-${new Date()
-        .toISOString()
-        .slice(0, ISO_DATETIME_LENGTH)
-        .replace(/:/g, '-')}.csv`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      // レポートはメインプロセスが直近の実行結果から生成し、保存ダイアログで保存する
+      const result = await window.electronAPI.exportReport(this.lastProcessId, format);
+      if (!result.success) {
+        throw new Error(result.error || 'レポートの出力に失敗しました');
+      }
+      if (result.canceled) {
+        return;
+      }
 
       // 成功通知
-      this.showSuccessMessage('結果をCSVファイルでエクスポートしました');
+      this.showSuccessMessage(`レポートを保存しました: ${result.path}`);
     } catch (error) {
       if (window.vibeLogger) {
         window.vibeLogger.error('export_results_error', '結果エクスポートエラー', {
@@ -1204,55 +2000,6 @@ class ExecutionController {
     }
   }
 
-  /**
-   * CSV結果生成
-   */
-  generateCSVResults() {
-    const config = this.gatherExecutionConfig();
-    const activeRules = config.rules || [];
-
-    const headers = ['File Path', 'Changes Count', 'From', 'To', 'Occurrences'];
-    const rows = [];
-
-    // 実際のファイルまたはフォールバックファイルを使用
-    let mockFiles;
-    if (this.actualFiles && this.actualFiles.length > 0) {
-      mockFiles = this.actualFiles.slice(0, this.stats.changedFiles).map(filePath => ({
-        path: filePath,
-        changes: Math.floor(Math.random() * 3) + 1,
-      }));
-    } else {
-      const targetPath = config.targetFolder || '/project';
-      mockFiles = [
-        { path: `${targetPath}/test.html`, changes: 3 },
-        { path: `${targetPath}/temp-replacement/batch-test.css`, changes: 1 },
-        { path: `${targetPath}/temp-replacement/replacement-test.html`, changes: 2 },
-      ];
-    }
-
-    mockFiles.forEach(file => {
-      const changesPerRule = Math.max(1, Math.floor(file.changes / activeRules.length));
-      const remainder = file.changes % activeRules.length;
-
-      activeRules.forEach((rule, index) => {
-        const occurrences = changesPerRule + (index < remainder ? 1 : 0);
-        if (occurrences > 0) {
-          rows.push([
-            file.path,
-            index === 0 ? file.changes.toString() : '', // 最初のルールのみ合計変更数を表示
-            rule.from,
-            rule.to,
-            occurrences.toString(),
-          ]);
-        }
-      });
-    });
-
-    const csv = [headers, ...rows].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
-
-    return csv;
-  }
-
   /**
    * サマリーコピー
    */
@@ -1291,43 +2038,24 @@ class ExecutionController {
    */
   generateTextSummary() {
     const executionTime = this.elements.completionTime.textContent;
-    const config = this.gatherExecutionConfig();
-    const activeRules = config.rules || [];
-
-    // 実際のファイルまたはフォールバックファイルを使用
-    let mockFiles;
-    if (this.actualFiles && this.actualFiles.length > 0) {
-      mockFiles = this.actualFiles.slice(0, this.stats.changedFiles).map(filePath => ({
-        path: filePath,
-        changes: Math.floor(Math.random() * 3) + 1,
-      }));
-    } else {
-      const targetPath = config.targetFolder || '/project';
-      mockFiles = [
-        { path: `${targetPath}/test.html`, changes: 3 },
-        { path: `${targetPath}/temp-replacement/batch-test.css`, changes: 1 },
-        { path: `${targetPath}/temp-replacement/replacement-test.html`, changes: 2 },
-      ];
-    }
 
     const detailLines = [];
-    mockFiles.forEach(file => {
+    this.getChangedResults().forEach(file => {
       detailLines.push(`✅ ${file.path} (${file.changes} changes)`);
-
-      const changesPerRule = Math.max(1, Math.floor(file.changes / activeRules.length));
-      const remainder = file.changes % activeRules.length;
-
-      activeRules.forEach((rule, index) => {
-        const occurrences = changesPerRule + (index < remainder ? 1 : 0);
-        if (occurrences > 0) {
-          detailLines.push(
-            `   - ${rule.from} → ${rule.to} (${occurrences} occurrence${
-              occurrences > 1 ? 's' : ''
-            })`
-          );
-        }
+      (file.details || []).forEach(detail => {
+        detailLines.push(
+          `   - ${detail.from} → ${detail.to} (${detail.count} occurrence${
+            detail.count !== 1 ? 's' : ''
+          })`
+        );
       });
     });
+    this.skipped.forEach(item => {
+      detailLines.push(`⏭️ ${item.path} (${this.formatSkipReason(item)})`);
+    });
+    this.errors.forEach(item => {
+      detailLines.push(`❌ ${item.path} (${item.error})`);
+    });
 
     return [
       'Multi Grep Replacer - 実行結果サマリー',
@@ -1338,11 +2066,15 @@ class ExecutionController {
       `処理ファイル数: ${this.stats.processedFiles} / ${this.stats.totalFiles}`,
       `変更ファイル数: ${this.stats.changedFiles}`,
       `総変更数: ${this.stats.totalChanges}`,
-      `エラー数: ${this.stats.errors}`,
+      `スキップ数: ${this.skipped.length}`,
+      `エラー数: ${this.errors.length}`,
+      ...(this.stats.lineBreakSkips > 0
+        ? [`改行をまたぐため置換しなかったマッチ数: ${this.stats.lineBreakSkips}`]
+        : []),
       '',
       '詳細結果:',
       '--------',
-      ...detailLines,
+      ...(detailLines.length > 0 ? detailLines : ['変更されたファイルはありません']),
     ].join('\n');
   }
 
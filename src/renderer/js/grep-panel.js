@@ -0,0 +1,368 @@
+/**
+ * Multi Grep Replacer - Grep Panel
+ * 検索のみ実行（置換しない）の結果ツリー
+ *
+ * ヒットはファイル単位で逐次届くため、届いた順にツリーへ追加する。
+ * 選択したヒットのマッチ文字列から置換ルールを作成できる。
+ */
+
+class GrepPanel {
+  constructor(uiController) {
+    this.uiController = uiController;
+    this.files = []; // 受信した検索結果（ファイル単位）
+    this.selected = new Set(); // 選択中のヒット（"file:rule:match"）
+    this.running = false;
+
+    this.elements = {
+      searchButton: document.getElementById('searchOnlyButton'),
+      modal: document.getElementById('grepModal'),
+      closeIcon: document.getElementById('grepModalClose'),
+      closeButton: document.getElementById('grepCloseButton'),
+      cancelButton: document.getElementById('grepCancelButton'),
+      createRulesButton: document.getElementById('grepCreateRulesButton'),
+      contextLines: document.getElementById('grepContextLines'),
+      summary: document.getElementById('grepSummary'),
+      results: document.getElementById('grepResults'),
+    };
+
+    this.initializeEventListeners();
+    console.log('🔍 GrepPanel initialized');
+  }
+
+  /**
+   * イベントリスナーの初期化
+   */
+  initializeEventListeners() {
+    this.elements.searchButton?.addEventListener('click', () => this.open());
+    this.elements.closeIcon?.addEventListener('click', () => this.close());
+    this.elements.closeButton?.addEventListener('click', () => this.close());
+    this.elements.cancelButton?.addEventListener('click', () => this.cancel());
+    this.elements.createRulesButton?.addEventListener('click', () =>
+      this.createRulesFromSelection()
+    );
+    this.elements.contextLines?.addEventListener('change', () => this.run());
+    this.elements.results?.addEventListener('change', event => this.handleToggle(event));
+
+    this.elements.modal?.addEventListener('click', event => {
+      if (event.target === this.elements.modal) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && !this.elements.modal?.classList.contains('hidden')) {
+        this.close();
+      }
+    });
+
+    window.electronAPI?.onGrepResult(result => this.addFileResult(result));
+  }
+
+  async open() {
+    this.elements.modal?.classList.remove('hidden');
+    await this.run();
+  }
+
+  /**
+   * 現在のルール（検索文字列のみ）で検索を実行
+   */
+  async run() {
+    const executionController = this.uiController?.executionController;
+    if (!executionController || this.running) {
+      return;
+    }
+
+    const config = executionController.gatherExecutionConfig({ searchOnly: true });
+    const errors = this.validateConfig(config, executionController);
+    if (errors.length > 0) {
+      this.close();
+      executionController.showValidationErrors(errors);
+      return;
+    }
+
+    const startTime = performance.now();
+    this.files = [];
+    this.selected = new Set();
+    this.running = true;
+    this.elements.results.innerHTML = '';
+    this.updateControls();
+    this.setSummary('Searching...');
+
+    try {
+      const contextLines = parseInt(this.elements.contextLines?.value, 10);
+      const result = await window.electronAPI.startGrep(config, {
+        contextLines: Number.isNaN(contextLines) ? undefined : contextLines,
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.summary = result;
+      this.setSummary(this.formatSummary(result));
+      if (this.files.length === 0) {
+        this.elements.results.innerHTML = '<div class="grep-empty">No matches</div>';
+      }
+      this.logOperation('検索のみ実行', true, {
+        ...result.stats,
+        cancelled: result.cancelled,
+        responseTime: performance.now() - startTime,
+      });
+    } catch (error) {
+      this.setSummary(`Search failed: ${error.message}`);
+      this.logOperation('検索のみ実行', false, { error: error.message });
+    } finally {
+      this.running = false;
+      this.updateControls();
+    }
+  }
+
+  validateConfig(config, executionController) {
+    const errors = [];
+    if (config.targetFolders.length === 0 && config.targetFiles.length === 0) {
+      errors.push('対象フォルダが選択されていません');
+    }
+    if (config.rules.length === 0) {
+      errors.push('有効な検索文字列が設定されていません');
+    }
+    config.rules.forEach((rule, index) => {
+      const regexError = executionController.getRegexError(rule, config.options);
+      if (regexError) {
+        errors.push(`ルール ${index + 1}: 正規表現エラー (${regexError})`);
+      }
+    });
+    return errors;
+  }
+
+  async cancel() {
+    if (this.running) {
+      await window.electronAPI.cancelGrep();
+    }
+  }
+
+  async close() {
+    await this.cancel();
+    this.elements.modal?.classList.add('hidden');
+  }
+
+  /**
+   * ファイル単位の検索結果をツリーに追加
+   */
+  addFileResult(result) {
+    if (!this.running) {
+      return;
+    }
+
+    const fileIndex = this.files.length;
+    this.files.push(result);
+    this.elements.results.insertAdjacentHTML('beforeend', this.renderFile(result, fileIndex));
+
+    const matchedFiles = this.files.length;
+    const totalMatches = this.files.reduce((sum, file) => sum + file.totalCount, 0);
+    this.setSummary(`Searching... ${totalMatches} matches in ${matchedFiles} files`);
+  }
+
+  renderFile(file, fileIndex) {
+    const rules = file.rules
+      .map(
+        rule => `
+        <details class="grep-rule" open>
+          <summary>
+            <input type="checkbox" data-group="${fileIndex}:${rule.ruleIndex}" />
+            <code>${this.escapeHtml(rule.pattern)}</code>
+            <span class="grep-count">${rule.count}${rule.truncated ? ' (truncated)' : ''}</span>
+          </summary>
+          ${rule.matches
+            .map((match, matchIndex) =>
+              this.renderMatch(match, `${fileIndex}:${rule.ruleIndex}:${matchIndex}`)
+            )
+            .join('')}
+        </details>`
+      )
+      .join('');
+
+    return `
+      <details class="grep-file" open>
+        <summary>
+          <input type="checkbox" data-group="${fileIndex}" />
+          <span class="grep-file-path">${this.escapeHtml(this.getDisplayPath(file.path))}</span>
+          <span class="grep-count">${file.totalCount}</span>
+          <span class="grep-encoding">${this.escapeHtml(file.encoding)}</span>
+        </summary>
+        ${rules}
+      </details>
+    `;
+  }
+
+  renderMatch(match, key) {
+    const contextRow = line => `
+      <div class="grep-line grep-context-line">
+        <span class="grep-line-number">${line.line}</span>
+        <span class="grep-line-text">${this.escapeHtml(line.text)}</span>
+      </div>`;
+
+    return `
+      <label class="grep-hit">
+        <input type="checkbox" data-hit="${key}" />
+        <div class="grep-hit-lines">
+          ${match.before.map(contextRow).join('')}
+          <div class="grep-line grep-match-line">
+            <span class="grep-line-number">${match.line}:${match.column + 1}</span>
+            <span class="grep-line-text">${this.highlight(match)}</span>
+          </div>
+          ${match.after.map(contextRow).join('')}
+        </div>
+      </label>
+    `;
+  }
+
+  /**
+   * マッチ箇所を強調（複数行にまたがるマッチは行末まで）
+   */
+  highlight(match) {
+    const text = match.lineText || '';
+    const end = Math.min(text.length, match.column + match.length);
+    const before = this.escapeHtml(text.slice(0, match.column));
+    const matched = this.escapeHtml(text.slice(match.column, end));
+    const after = this.escapeHtml(text.slice(end));
+    return `${before}<mark>${matched}</mark>${after}`;
+  }
+
+  /**
+   * ヒット単位・ルール単位・ファイル単位の選択
+   */
+  handleToggle(event) {
+    const { target } = event;
+    if (target.type !== 'checkbox') {
+      return;
+    }
+
+    const keys = target.dataset.hit
+      ? [target.dataset.hit]
+      : this.getGroupKeys(target.dataset.group);
+    keys.forEach(key => (target.checked ? this.selected.add(key) : this.selected.delete(key)));
+
+    // ファイル・ルールの選択は配下のチェックボックスへ反映
+    if (target.dataset.group) {
+      target
+        .closest('details')
+        .querySelectorAll('input[type="checkbox"]')
+        .forEach(input => {
+          input.checked = target.checked;
+        });
+    }
+    this.updateControls();
+  }
+
+  getGroupKeys(group = '') {
+    const [fileIndex, ruleIndex] = group.split(':').map(Number);
+    const file = this.files[fileIndex];
+    if (!file) {
+      return [];
+    }
+    return file.rules
+      .filter(rule => Number.isNaN(ruleIndex) || rule.ruleIndex === ruleIndex)
+      .flatMap(rule =>
+        rule.matches.map((_match, index) => `${fileIndex}:${rule.ruleIndex}:${index}`)
+      );
+  }
+
+  /**
+   * 選択したヒットのマッチ文字列（重複除外）をリテラルの置換ルールとして追加
+   */
+  createRulesFromSelection() {
+    const existing = new Set(this.uiController.replacementRules.map(rule => rule.from));
+    const texts = new Set();
+
+    this.selected.forEach(key => {
+      const [fileIndex, ruleIndex, matchIndex] = key.split(':').map(Number);
+      const rule = this.files[fileIndex]?.rules.find(item => item.ruleIndex === ruleIndex);
+      const matched = rule?.matches[matchIndex]?.matched;
+      if (matched && !existing.has(matched)) {
+        texts.add(matched);
+      }
+    });
+
+    texts.forEach(text => this.uiController.ruleManager?.addRule({ from: text, to: '' }));
+
+    this.logOperation('検索結果からルール作成', true, {
+      selectedHits: this.selected.size,
+      createdRules: texts.size,
+    });
+    this.uiController.executionController?.showToast(
+      texts.size > 0
+        ? `${texts.size} rules created. Fill in the replacement text.`
+        : 'No new rules (selected texts already exist as rules)',
+      texts.size > 0 ? 'success' : 'info'
+    );
+
+    if (texts.size > 0) {
+      this.close();
+    }
+  }
+
+  updateControls() {
+    if (this.elements.cancelButton) {
+      this.elements.cancelButton.disabled = !this.running;
+    }
+    if (this.elements.createRulesButton) {
+      this.elements.createRulesButton.disabled = this.selected.size === 0;
+    }
+  }
+
+  formatSummary(result) {
+    const parts = [
+      `${result.stats.totalMatches} matches in ${result.stats.matchedFiles} of ${result.stats.totalFiles} files`,
+    ];
+    if (result.cancelled) {
+      parts.push('cancelled');
+    }
+    if (result.skipped.length > 0) {
+      parts.push(`${result.skipped.length} skipped`);
+    }
+    if (result.errors.length > 0) {
+      parts.push(`${result.errors.length} errors`);
+    }
+    return parts.join(', ');
+  }
+
+  setSummary(text) {
+    if (this.elements.summary) {
+      this.elements.summary.textContent = text;
+    }
+  }
+
+  getDisplayPath(filePath) {
+    return this.uiController?.getTargetDisplayPath(filePath) || filePath;
+  }
+
+  /**
+   * Vibe Logger統合 - 構造化ログ出力
+   */
+  logOperation(operation, success, data = {}) {
+    if (window.vibeLogger) {
+      window.vibeLogger.logUIOperation(operation, success, {
+        component: 'GrepPanel',
+        timestamp: new Date().toISOString(),
+        ...data,
+      });
+    } else {
+      console.log(`🔍 GrepPanel: ${operation} - ${success ? '✅' : '❌'}`, data);
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// グローバル公開（UIControllerから使用）
+if (typeof window !== 'undefined') {
+  window.GrepPanel = GrepPanel;
+}
+
+// エクスポート（Node.js環境対応）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GrepPanel;
+}
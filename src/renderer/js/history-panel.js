@@ -0,0 +1,571 @@
+/**
+ * Multi Grep Replacer - History Panel
+ * 置換実行の履歴（一覧・絞り込み・詳細・再実行・比較）
+ *
+ * 履歴はメインプロセスが userData/history に保存する。
+ * 一覧は概要のみ受け取り、選択したエントリの詳細を都度取得する。
+ * 比較は選択したエントリと、別のエントリまたは同じ設定の新しいドライランとの差分を表示する。
+ */
+
+class HistoryPanel {
+  static FILTER_DELAY = 300; // ms（入力中の再検索を抑える）
+  static HASH_DISPLAY_LENGTH = 16; // ハッシュの表示桁数
+
+  static STATUS_LABELS = {
+    completed: '✅ Completed',
+    cancelled: '⏹️ Cancelled',
+    failed: '❌ Failed',
+  };
+
+  constructor(uiController) {
+    this.uiController = uiController;
+    this.entries = []; // 一覧（概要）
+    this.selectedEntry = null; // 詳細を表示中のエントリ
+    this.filterTimer = null;
+    this.comparing = false;
+
+    this.elements = {
+      openButton: document.getElementById('historyButton'),
+      modal: document.getElementById('historyModal'),
+      closeIcon: document.getElementById('historyModalClose'),
+      closeButton: document.getElementById('historyCloseButton'),
+      rerunButton: document.getElementById('historyRerunButton'),
+      compareSelect: document.getElementById('historyCompareSelect'),
+      compareButton: document.getElementById('historyCompareButton'),
+      query: document.getElementById('historyQuery'),
+      status: document.getElementById('historyStatus'),
+      mode: document.getElementById('historyMode'),
+      since: document.getElementById('historySince'),
+      until: document.getElementById('historyUntil'),
+      summary: document.getElementById('historySummary'),
+      list: document.getElementById('historyList'),
+      detail: document.getElementById('historyDetail'),
+    };
+
+    this.initializeEventListeners();
+    console.log('🕘 HistoryPanel initialized');
+  }
+
+  /**
+   * イベントリスナーの初期化
+   */
+  initializeEventListeners() {
+    this.elements.openButton?.addEventListener('click', () => this.open());
+    this.elements.closeIcon?.addEventListener('click', () => this.close());
+    this.elements.closeButton?.addEventListener('click', () => this.close());
+    this.elements.rerunButton?.addEventListener('click', () => this.rerun());
+    this.elements.compareButton?.addEventListener('click', () => this.compare());
+
+    this.elements.query?.addEventListener('input', () => this.scheduleLoad());
+    [this.elements.status, this.elements.mode, this.elements.since, this.elements.until].forEach(
+      element => element?.addEventListener('change', () => this.load())
+    );
+
+    this.elements.list?.addEventListener('click', event => {
+      const item = event.target.closest('[data-history-id]');
+      if (item) {
+        this.select(item.dataset.historyId);
+      }
+    });
+
+    this.elements.modal?.addEventListener('click', event => {
+      if (event.target === this.elements.modal) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && !this.elements.modal?.classList.contains('hidden')) {
+        this.close();
+      }
+    });
+  }
+
+  async open() {
+    this.elements.modal?.classList.remove('hidden');
+    await this.load();
+  }
+
+  close() {
+    clearTimeout(this.filterTimer);
+    this.elements.modal?.classList.add('hidden');
+  }
+
+  scheduleLoad() {
+    clearTimeout(this.filterTimer);
+    this.filterTimer = setTimeout(() => this.load(), HistoryPanel.FILTER_DELAY);
+  }
+
+  /**
+   * 絞り込み条件
+   */
+  getFilter() {
+    return {
+      query: this.elements.query?.value.trim() || '',
+      status: this.elements.status?.value || '',
+      mode: this.elements.mode?.value || '',
+      since: this.elements.since?.value || '',
+      until: this.elements.until?.value || '',
+    };
+  }
+
+  /**
+   * 一覧を読み込み（選択中のエントリが残っていれば選択を維持）
+   */
+  async load() {
+    const filter = this.getFilter();
+    const startTime = performance.now();
+
+    try {
+      const result = await window.electronAPI.listHistory(filter);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.entries = result.entries;
+      this.renderList();
+      this.setSummary(`${this.entries.length} runs`);
+
+      const selectedId = this.selectedEntry?.id;
+      if (selectedId && this.entries.some(entry => entry.id === selectedId)) {
+        this.markSelected(selectedId);
+        this.updateActions();
+      } else {
+        this.showDetail(null);
+      }
+
+      this.logOperation('実行履歴の読み込み', true, {
+        count: this.entries.length,
+        filter,
+        responseTime: performance.now() - startTime,
+      });
+    } catch (error) {
+      this.setSummary(`Failed to load history: ${error.message}`);
+      this.logOperation('実行履歴の読み込み', false, { error: error.message });
+    }
+  }
+
+  renderList() {
+    if (this.entries.length === 0) {
+      this.elements.list.innerHTML = '<div class="history-empty">No runs recorded</div>';
+      return;
+    }
+
+    this.elements.list.innerHTML = this.entries
+      .map(
+        entry => `
+        <button class="history-item" data-history-id="${this.escapeHtml(entry.id)}">
+          <span class="history-item-header">
+            <span class="history-status">${
+              HistoryPanel.STATUS_LABELS[entry.status] || entry.status
+            }</span>
+            <span class="history-mode">${this.escapeHtml(entry.mode)}</span>
+            ${entry.rolledBack ? '<span class="history-mode">rolled back</span>' : ''}
+            <span class="history-time">${this.formatTime(entry.startedAt)}</span>
+          </span>
+          <span class="history-folders">${this.escapeHtml(this.formatTargets(entry))}</span>
+          <span class="history-counts">${this.escapeHtml(this.formatCounts(entry))}</span>
+        </button>`
+      )
+      .join('');
+  }
+
+  /**
+   * エントリの詳細を取得して表示
+   */
+  async select(id) {
+    this.markSelected(id);
+
+    try {
+      const result = await window.electronAPI.getHistoryEntry(id);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.showDetail(result.entry);
+    } catch (error) {
+      this.showDetail(null);
+      this.elements.detail.innerHTML = `<div class="history-empty">${this.escapeHtml(
+        error.message
+      )}</div>`;
+    }
+  }
+
+  markSelected(id) {
+    this.elements.list.querySelectorAll('.history-item').forEach(item => {
+      item.classList.toggle('selected', item.dataset.historyId === id);
+    });
+  }
+
+  showDetail(entry) {
+    this.selectedEntry = entry;
+    this.updateActions();
+    if (!entry) {
+      this.elements.detail.innerHTML = '<div class="history-empty">Select a run</div>';
+      return;
+    }
+
+    const rows = [
+      ['Run ID', entry.id],
+      ['User', `${entry.user.username}@${entry.user.hostname}`],
+      ['Started', this.formatTime(entry.startedAt)],
+      ['Finished', entry.finishedAt ? this.formatTime(entry.finishedAt) : '-'],
+      ['Status', HistoryPanel.STATUS_LABELS[entry.status] || entry.status],
+      ['Mode', entry.mode],
+      ['Source', entry.rerunOf ? `${entry.source} (${entry.rerunOf})` : entry.source],
+      ['Target folders', entry.targetFolders.join('\n') || '-'],
+      ['Listed files', entry.targetFiles.join('\n') || '-'],
+      ['Extensions', entry.extensions || 'all'],
+      ['Options', this.formatOptions(entry.options)],
+      ['Result', entry.stats ? this.formatCounts(entry) : '-'],
+      ...(entry.error ? [['Error', entry.error]] : []),
+      ...(entry.backup ? [['Backup', entry.backup]] : []),
+      ...(entry.rollbacks || []).map(rollback => [
+        'Rolled back',
+        `${this.formatTime(rollback.at)} by ${rollback.user.username} (${
+          rollback.restored
+        } restored)`,
+      ]),
+    ];
+
+    const rules = entry.rules
+      .map(
+        (rule, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td><code>${this.escapeHtml(rule.from)}</code></td>
+          <td><code>${this.escapeHtml(rule.to)}</code></td>
+        </tr>`
+      )
+      .join('');
+
+    const files = entry.files
+      .map(
+        file => `
+        <div class="history-file">
+          <div class="history-file-path">${this.escapeHtml(file.path)}</div>
+          <div class="history-file-meta">
+            ${file.changes} changes · ${this.formatDetails(file.details)}
+          </div>
+          ${
+            file.beforeHash
+              ? `<div class="history-file-hash" title="SHA-256 before → after">${file.beforeHash.slice(
+                  0,
+                  HistoryPanel.HASH_DISPLAY_LENGTH
+                )} → ${file.afterHash.slice(0, HistoryPanel.HASH_DISPLAY_LENGTH)}</div>`
+              : ''
+          }
+        </div>`
+      )
+      .join('');
+
+    this.elements.detail.innerHTML = `
+      <table class="history-table">
+        ${rows
+          .map(
+            ([label, value]) =>
+              `<tr><th>${label}</th><td>${this.escapeHtml(String(value))}</td></tr>`
+          )
+          .join('')}
+      </table>
+      <h4 class="history-section-title">Rules (${entry.rules.length})</h4>
+      <table class="history-table">${rules}</table>
+      <h4 class="history-section-title">Changed files (${entry.files.length})</h4>
+      ${files || '<div class="history-empty">No files were changed</div>'}
+    `;
+  }
+
+  /**
+   * 再実行・比較ボタンの状態と比較先の選択肢を更新
+   */
+  updateActions() {
+    const entry = this.selectedEntry;
+    if (this.elements.rerunButton) {
+      this.elements.rerunButton.disabled = !entry || this.comparing;
+    }
+    if (this.elements.compareButton) {
+      this.elements.compareButton.disabled = !entry || this.comparing;
+    }
+
+    const select = this.elements.compareSelect;
+    if (!select) {
+      return;
+    }
+    const previous = select.value;
+    const candidates = entry
+      ? this.entries.filter(candidate => candidate.id !== entry.id && candidate.status !== 'failed')
+      : [];
+    select.innerHTML = [
+      '<option value="">Fresh dry run</option>',
+      ...candidates.map(
+        candidate =>
+          `<option value="${this.escapeHtml(candidate.id)}">${this.escapeHtml(
+            `${this.formatTime(candidate.startedAt)} · ${candidate.mode} · ${this.formatTargets(
+              candidate
+            )}`
+          )}</option>`
+      ),
+    ].join('');
+    select.value = candidates.some(candidate => candidate.id === previous) ? previous : '';
+    select.disabled = !entry || this.comparing;
+  }
+
+  /**
+   * 選択したエントリと比較（比較先が未指定なら同じ設定でドライランを実行）
+   * 古い実行を比較元（base）にする
+   */
+  async compare() {
+    const entry = this.selectedEntry;
+    if (!entry || this.comparing) {
+      return;
+    }
+
+    const executionState = this.uiController?.executionController?.state;
+    if (['executing', 'pausing', 'stopping'].includes(executionState)) {
+      this.setSummary('A replacement is running. Compare after it finishes.');
+      return;
+    }
+
+    const otherId = this.elements.compareSelect?.value;
+    const other = this.entries.find(candidate => candidate.id === otherId);
+    let baseId = entry.id;
+    let targetId = null;
+    if (other) {
+      [baseId, targetId] =
+        other.startedAt < entry.startedAt ? [other.id, entry.id] : [entry.id, other.id];
+    }
+    const startTime = performance.now();
+
+    this.comparing = true;
+    this.updateActions();
+    this.setSummary(other ? 'Comparing runs...' : 'Running dry run for comparison...');
+
+    try {
+      const result = await window.electronAPI.compareHistory(baseId, targetId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.showComparison(result.comparison);
+      this.setSummary(`${this.entries.length} runs`);
+      this.logOperation('実行の比較', true, {
+        baseId: result.comparison.base.id,
+        targetId: result.comparison.target.id,
+        addedFiles: result.comparison.addedFiles.length,
+        removedFiles: result.comparison.removedFiles.length,
+        changedFiles: result.comparison.changedFiles.length,
+        responseTime: performance.now() - startTime,
+      });
+    } catch (error) {
+      this.setSummary(`Failed to compare runs: ${error.message}`);
+      this.logOperation('実行の比較', false, { error: error.message });
+    } finally {
+      this.comparing = false;
+      this.updateActions();
+    }
+  }
+
+  /**
+   * 比較結果の表示（エントリを選び直すと詳細表示に戻る）
+   */
+  showComparison(comparison) {
+    const { base, target, totals } = comparison;
+    const rows = [
+      ['Base', this.describeRun(base)],
+      ['Compared', this.describeRun(target)],
+      [
+        'Changed files',
+        `${totals.before.files} → ${totals.after.files} (${this.formatDelta(
+          totals.after.files - totals.before.files
+        )})`,
+      ],
+      [
+        'Changes',
+        `${totals.before.changes} → ${totals.after.changes} (${this.formatDelta(totals.delta)})`,
+      ],
+      ['Same count', `${comparison.unchangedFiles} files`],
+    ];
+
+    const rules = comparison.rules
+      .map(
+        rule => `
+        <tr>
+          <td><code>${this.escapeHtml(rule.from)}</code></td>
+          <td><code>${this.escapeHtml(rule.to)}</code></td>
+          <td>${rule.before} → ${rule.after}</td>
+          <td class="${this.getDeltaClass(rule.delta)}">${this.formatDelta(rule.delta)}</td>
+        </tr>`
+      )
+      .join('');
+
+    const renderFiles = files =>
+      files
+        .map(
+          file => `
+          <div class="history-file">
+            <div class="history-file-path">${this.escapeHtml(file.path)}</div>
+            <div class="history-file-meta">${file.changes} changes · ${this.formatDetails(
+            file.details
+          )}</div>
+          </div>`
+        )
+        .join('') || '<div class="history-empty">None</div>';
+
+    const changedFiles =
+      comparison.changedFiles
+        .map(
+          file => `
+          <div class="history-file">
+            <div class="history-file-path">${this.escapeHtml(file.path)}</div>
+            <div class="history-file-meta">
+              ${file.before} → ${file.after} changes
+              (<span class="${this.getDeltaClass(file.delta)}">${this.formatDelta(
+            file.delta
+          )}</span>) ·
+              ${file.rules
+                .map(
+                  rule =>
+                    `<code>${this.escapeHtml(rule.from)}</code> → <code>${this.escapeHtml(
+                      rule.to
+                    )}</code> ${rule.before} → ${rule.after}`
+                )
+                .join(', ')}
+            </div>
+          </div>`
+        )
+        .join('') || '<div class="history-empty">None</div>';
+
+    this.elements.detail.innerHTML = `
+      <table class="history-table">
+        ${rows
+          .map(
+            ([label, value]) =>
+              `<tr><th>${label}</th><td>${this.escapeHtml(String(value))}</td></tr>`
+          )
+          .join('')}
+      </table>
+      ${
+        comparison.sameConfig
+          ? ''
+          : '<div class="history-warning">⚠️ The runs use different targets or rules</div>'
+      }
+      <h4 class="history-section-title">Rules (${comparison.rules.length})</h4>
+      <table class="history-table">${rules}</table>
+      <h4 class="history-section-title">Newly matched files (${comparison.addedFiles.length})</h4>
+      ${renderFiles(comparison.addedFiles)}
+      <h4 class="history-section-title">No longer matched files (${
+        comparison.removedFiles.length
+      })</h4>
+      ${renderFiles(comparison.removedFiles)}
+      <h4 class="history-section-title">Count changes (${comparison.changedFiles.length})</h4>
+      ${changedFiles}
+    `;
+  }
+
+  /**
+   * 選択したエントリの設定で再実行（進捗・結果は ExecutionController が表示）
+   */
+  async rerun() {
+    const entry = this.selectedEntry;
+    const executionController = this.uiController?.executionController;
+    if (!entry || !executionController) {
+      return;
+    }
+
+    this.logOperation('実行履歴から再実行', true, { historyId: entry.id });
+    this.close();
+    await executionController.rerunFromHistory(entry);
+  }
+
+  formatTargets(entry) {
+    const folders = entry.targetFolders.join(', ');
+    const files = entry.targetFileCount > 0 ? `${entry.targetFileCount} listed files` : '';
+    return [folders, files].filter(Boolean).join(' + ') || '-';
+  }
+
+  formatCounts(entry) {
+    if (!entry.stats) {
+      return `${entry.ruleCount ?? entry.rules.length} rules, ${entry.error || 'no result'}`;
+    }
+    return `${entry.stats.changedFiles} files changed, ${entry.stats.totalChanges} changes in ${entry.stats.processedFiles} files`;
+  }
+
+  formatDetails(details) {
+    return details
+      .map(
+        detail =>
+          `<code>${this.escapeHtml(detail.from)}</code> → <code>${this.escapeHtml(
+            detail.to
+          )}</code> ×${detail.count}`
+      )
+      .join(', ');
+  }
+
+  describeRun(run) {
+    if (run.source === 'compare') {
+      return `Fresh dry run (${this.formatTime(run.startedAt)})`;
+    }
+    return `${this.formatTime(run.startedAt)} · ${run.mode} · ${run.id}`;
+  }
+
+  formatDelta(delta) {
+    if (delta === 0) {
+      return '±0';
+    }
+    return delta > 0 ? `+${delta}` : String(delta);
+  }
+
+  getDeltaClass(delta) {
+    if (delta === 0) {
+      return '';
+    }
+    return delta > 0 ? 'history-delta-up' : 'history-delta-down';
+  }
+
+  formatOptions(options = {}) {
+    const values = Object.entries(options)
+      .filter(([, value]) => value !== undefined && value !== '' && typeof value !== 'object')
+      .map(([key, value]) => `${key}=${value}`);
+    return values.join(', ') || '-';
+  }
+
+  formatTime(isoString) {
+    return new Date(isoString).toLocaleString();
+  }
+
+  setSummary(text) {
+    if (this.elements.summary) {
+      this.elements.summary.textContent = text;
+    }
+  }
+
+  /**
+   * Vibe Logger統合 - 構造化ログ出力
+   */
+  logOperation(operation, success, data = {}) {
+    if (window.vibeLogger) {
+      window.vibeLogger.logUIOperation(operation, success, {
+        component: 'HistoryPanel',
+        timestamp: new Date().toISOString(),
+        ...data,
+      });
+    } else {
+      console.log(`🕘 HistoryPanel: ${operation} - ${success ? '✅' : '❌'}`, data);
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// グローバル公開（UIControllerから使用）
+if (typeof window !== 'undefined') {
+  window.HistoryPanel = HistoryPanel;
+}
+
+// エクスポート（Node.js環境対応）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryPanel;
+}
@@ -7,11 +7,25 @@
  * - From/Toフィールドの動的生成
  * - ルール有効/無効切り替え（☑️チェックボックス）
  * - ドラッグ&ドロップ並び替え（↕️アイコン）
+ * - ルール個別の正規表現モード（.*）とフラグ指定
+ * - 大文字小文字パターン保持（Aa）
+ * - 単語単位マッチ（W）と単語境界セット（JS / CSS / CJK）
  * - UI応答性100ms以内保証
  * - Vibe Logger統合
  */
 
 class RuleManager {
+  // 対応する正規表現フラグ（g は常に付与）
+  static SUPPORTED_REGEX_FLAGS = ['i', 'm', 's', 'u'];
+
+  // 単語境界セット（空文字はグローバル設定に従う）
+  static WORD_BOUNDARY_OPTIONS = [
+    ['', 'Default'],
+    ['identifier', 'JS'],
+    ['css', 'CSS'],
+    ['cjk', 'CJK'],
+  ];
+
   constructor(uiController) {
     this.uiController = uiController;
     this.dragOverElement = null;
@@ -59,6 +73,11 @@ class RuleManager {
         to: initialData.to || '',
         enabled: initialData.enabled !== undefined ? initialData.enabled : true,
         description: initialData.description || '',
+        useRegex: !!initialData.useRegex,
+        regexFlags: initialData.regexFlags || '',
+        preserveCase: !!initialData.preserveCase,
+        wholeWord: !!initialData.wholeWord,
+        wordBoundary: initialData.wordBoundary || '',
         order: this.uiController.replacementRules.length,
       };
 
@@ -234,6 +253,9 @@ class RuleManager {
       // リアルタイムバリデーション（オプション）
       if (field === 'from' || field === 'to') {
         this.validateRuleInput(rule, field);
+      } else if (field === 'useRegex' || field === 'regexFlags') {
+        // 正規表現設定の変更は検索文字列のコンパイル結果に影響する
+        this.validateRuleInput(rule, 'from');
       }
 
       // カウンター更新（有効ルール数に影響する場合）
@@ -247,7 +269,7 @@ class RuleManager {
       this.logOperation('ルール値更新', true, {
         ruleId,
         field,
-        valueLength: value.length,
+        valueLength: String(value).length,
         responseTime: `${responseTime.toFixed(2)}ms`,
         target_achieved: responseTime <= this.UI_RESPONSE_TARGET,
       });
@@ -291,6 +313,29 @@ class RuleManager {
                  title="置換後の文字列を入力">
         </div>
       </div>
+      <div class="rule-options">
+        <label class="rule-option" title="正規表現として扱う">
+          <input type="checkbox" class="rule-regex" ${rule.useRegex ? 'checked' : ''}
+                 aria-label="Use regular expression">
+          <span>.*</span>
+        </label>
+        <input type="text" class="rule-flags" placeholder="flags" maxlength="4"
+               value="${rule.regexFlags || ''}" aria-label="Regex flags"
+               title="正規表現フラグ (i, m, s, u)">
+        <label class="rule-option" title="大文字小文字のパターンを保持して置換">
+          <input type="checkbox" class="rule-preserve-case" ${rule.preserveCase ? 'checked' : ''}
+                 aria-label="Preserve case">
+          <span>Aa</span>
+        </label>
+        <label class="rule-option" title="単語単位でマッチ">
+          <input type="checkbox" class="rule-whole-word" ${rule.wholeWord ? 'checked' : ''}
+                 aria-label="Whole word">
+          <span>W</span>
+        </label>
+        <select class="rule-boundary" aria-label="Word boundary" title="単語境界の種類">
+          ${this.renderBoundaryOptions(rule.wordBoundary)}
+        </select>
+      </div>
       <div class="rule-actions">
         <button class="icon-button rule-delete" title="ルールを削除" aria-label="Delete rule">
           <span>🗑️</span>
@@ -339,6 +384,44 @@ class RuleManager {
       });
     }
 
+    // 正規表現モード・フラグ
+    const regexCheckbox = ruleElement.querySelector('.rule-regex');
+    if (regexCheckbox) {
+      regexCheckbox.addEventListener('change', e => {
+        this.updateRule(rule.id, 'useRegex', e.target.checked);
+      });
+    }
+
+    const flagsInput = ruleElement.querySelector('.rule-flags');
+    if (flagsInput) {
+      flagsInput.addEventListener('input', e => {
+        this.updateRule(rule.id, 'regexFlags', e.target.value.trim());
+      });
+    }
+
+    // 大文字小文字パターン保持
+    const preserveCaseCheckbox = ruleElement.querySelector('.rule-preserve-case');
+    if (preserveCaseCheckbox) {
+      preserveCaseCheckbox.addEventListener('change', e => {
+        this.updateRule(rule.id, 'preserveCase', e.target.checked);
+      });
+    }
+
+    // 単語単位マッチ・単語境界セット
+    const wholeWordCheckbox = ruleElement.querySelector('.rule-whole-word');
+    if (wholeWordCheckbox) {
+      wholeWordCheckbox.addEventListener('change', e => {
+        this.updateRule(rule.id, 'wholeWord', e.target.checked);
+      });
+    }
+
+    const boundarySelect = ruleElement.querySelector('.rule-boundary');
+    if (boundarySelect) {
+      boundarySelect.addEventListener('change', e => {
+        this.updateRule(rule.id, 'wordBoundary', e.target.value);
+      });
+    }
+
     // 削除ボタン
     const deleteButton = ruleElement.querySelector('.rule-delete');
     if (deleteButton) {
@@ -372,6 +455,17 @@ class RuleManager {
       } else if (value.length > 1000) {
         isValid = false;
         errorMessage = '検索文字列が長すぎます（1000文字以下）';
+      } else {
+        const compileResult = this.compileRulePattern(rule);
+        if (!compileResult.valid) {
+          isValid = false;
+          errorMessage = `正規表現エラー: ${compileResult.error}`;
+        }
+      }
+
+      const flagsInput = ruleElement.querySelector('.rule-flags');
+      if (flagsInput) {
+        flagsInput.classList.toggle('invalid', !isValid && errorMessage.startsWith('正規表現'));
       }
     } else if (field === 'to') {
       if (value.length > 1000) {
@@ -393,6 +487,95 @@ class RuleManager {
     return isValid;
   }
 
+  /**
+   * ルールを指定したID順に並び替え
+   * 指定外のルール（無効ルール等）は元の位置を維持する
+   */
+  reorderRules(orderedIds) {
+    const startTime = performance.now();
+    const rules = this.uiController.replacementRules;
+    const ordered = orderedIds.map(id => rules.find(rule => rule.id === id)).filter(Boolean);
+    const orderedSet = new Set(ordered);
+
+    let next = 0;
+    const reordered = rules.map(rule => (orderedSet.has(rule) ? ordered[next++] : rule));
+    reordered.forEach((rule, index) => {
+      rule.order = index;
+    });
+    rules.splice(0, rules.length, ...reordered);
+
+    // DOM要素も同じ順序に並び替え
+    const rulesList = document.getElementById('rulesList');
+    if (rulesList) {
+      reordered.forEach(rule => {
+        const ruleElement = rulesList.querySelector(`[data-rule-id="${rule.id}"]`);
+        if (ruleElement) {
+          rulesList.appendChild(ruleElement);
+        }
+      });
+    }
+
+    const responseTime = performance.now() - startTime;
+    this.recordPerformance('reorderRules', responseTime);
+    this.logOperation('ルール並び替え', true, {
+      order: reordered.map(rule => rule.id),
+      responseTime: `${responseTime.toFixed(2)}ms`,
+    });
+  }
+
+  /**
+   * 単語境界セットの選択肢を生成
+   */
+  renderBoundaryOptions(selectedValue = '') {
+    return RuleManager.WORD_BOUNDARY_OPTIONS.map(([value, label]) => {
+      const selected = value === selectedValue ? 'selected' : '';
+      return `<option value="${value}" ${selected}>${label}</option>`;
+    }).join('');
+  }
+
+  /**
+   * ルールの検索パターンをコンパイル検証
+   * メインプロセスの ReplacementEngine._buildRegex と同じ規則（ルール設定 > グローバル設定）
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  compileRulePattern(rule) {
+    const globalOptions = this.uiController.getReplacementOptions
+      ? this.uiController.getReplacementOptions()
+      : { useRegex: false, regexFlags: '' };
+
+    if (!rule.useRegex && !globalOptions.useRegex) {
+      return { valid: true, error: null };
+    }
+
+    const flags = rule.regexFlags || globalOptions.regexFlags || '';
+    const unsupported = [...flags].find(flag => !RuleManager.SUPPORTED_REGEX_FLAGS.includes(flag));
+    if (unsupported) {
+      return { valid: false, error: `未対応のフラグ "${unsupported}"` };
+    }
+
+    try {
+      // 検証目的のコンパイルのみ（結果は使用しない）
+      RegExp(rule.from, `g${flags}`);
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * 全ルールの入力検証（実行前チェック用）
+   * @returns {Array} 無効なルールの配列
+   */
+  validateAllRules() {
+    return this.uiController.replacementRules.filter(rule => {
+      if (!rule.enabled || !rule.from) {
+        return false;
+      }
+      this.validateRuleInput(rule, 'from');
+      return !this.compileRulePattern(rule).valid;
+    });
+  }
+
   /**
    * パフォーマンス記録
    */
@@ -0,0 +1,323 @@
+/**
+ * Multi Grep Replacer - Review Panel
+ * 書き込み前のマッチ単位レビュー（マッチ・ファイル・ルール単位で採用／却下）
+ *
+ * マッチ一覧はメインプロセスで作成してセッションに保持し、
+ * 適用時は採用したマッチの id だけを送る。
+ */
+
+class ReviewPanel {
+  constructor(uiController) {
+    this.uiController = uiController;
+    this.review = null;
+    this.accepted = new Set(); // 採用するマッチの id
+
+    this.elements = {
+      reviewButton: document.getElementById('reviewMatchesButton'),
+      modal: document.getElementById('reviewModal'),
+      closeIcon: document.getElementById('reviewModalClose'),
+      cancelButton: document.getElementById('reviewCancelButton'),
+      applyButton: document.getElementById('reviewApplyButton'),
+      acceptAllButton: document.getElementById('reviewAcceptAll'),
+      rejectAllButton: document.getElementById('reviewRejectAll'),
+      summary: document.getElementById('reviewSummary'),
+      rules: document.getElementById('reviewRules'),
+      content: document.getElementById('reviewContent'),
+    };
+
+    this.initializeEventListeners();
+    console.log('🔎 ReviewPanel initialized');
+  }
+
+  /**
+   * イベントリスナーの初期化
+   */
+  initializeEventListeners() {
+    this.elements.reviewButton?.addEventListener('click', () => this.open());
+    this.elements.closeIcon?.addEventListener('click', () => this.close());
+    this.elements.cancelButton?.addEventListener('click', () => this.close());
+    this.elements.applyButton?.addEventListener('click', () => this.handleApplyClick());
+    this.elements.acceptAllButton?.addEventListener('click', () => this.setAll(true));
+    this.elements.rejectAllButton?.addEventListener('click', () => this.setAll(false));
+
+    // チェックボックスはイベント委譲（マッチ数が多くてもリスナーを増やさない）
+    this.elements.content?.addEventListener('change', event => this.handleToggle(event));
+    this.elements.rules?.addEventListener('change', event => this.handleToggle(event));
+
+    this.elements.modal?.addEventListener('click', event => {
+      if (event.target === this.elements.modal) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && !this.elements.modal?.classList.contains('hidden')) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * 現在の設定でマッチを収集してレビューを開く
+   */
+  async open() {
+    const executionController = this.uiController?.executionController;
+    if (!executionController) {
+      return;
+    }
+
+    const config = executionController.gatherExecutionConfig();
+    const validation = executionController.validateExecutionConfig(config);
+    if (!validation.isValid) {
+      executionController.showValidationErrors(validation.errors);
+      return;
+    }
+
+    await this.closeSession();
+    this.elements.modal?.classList.remove('hidden');
+    this.setMessage('Collecting matches...');
+
+    try {
+      const result = await window.electronAPI.startReview(config);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.review = result.review;
+      this.accepted = new Set(this.getAllMatches().map(match => match.id));
+      this.render();
+      this.logOperation('レビュー作成', true, {
+        ...result.review.stats,
+        skipped: result.review.skipped.length,
+      });
+    } catch (error) {
+      this.setMessage(`Failed to collect matches: ${error.message}`);
+      this.logOperation('レビュー作成', false, { error: error.message });
+    }
+  }
+
+  getAllMatches() {
+    return this.review ? this.review.files.flatMap(file => file.matches) : [];
+  }
+
+  /**
+   * マッチ・ファイル・ルール単位の切り替え
+   */
+  handleToggle(event) {
+    const { target } = event;
+    if (!this.review || target.type !== 'checkbox') {
+      return;
+    }
+
+    let ids = [];
+    if (target.dataset.matchId) {
+      ids = [target.dataset.matchId];
+    } else if (target.dataset.fileIndex !== undefined) {
+      const file = this.review.files[Number(target.dataset.fileIndex)];
+      ids = file ? file.matches.map(match => match.id) : [];
+    } else if (target.dataset.ruleIndex !== undefined) {
+      const ruleIndex = Number(target.dataset.ruleIndex);
+      ids = this.getAllMatches()
+        .filter(match => match.ruleIndex === ruleIndex)
+        .map(match => match.id);
+    }
+
+    ids.forEach(id => (target.checked ? this.accepted.add(id) : this.accepted.delete(id)));
+    this.updateState();
+  }
+
+  setAll(accepted) {
+    this.accepted = new Set(accepted ? this.getAllMatches().map(match => match.id) : []);
+    this.updateState();
+  }
+
+  /**
+   * マッチ一覧を描画
+   */
+  render() {
+    const { files, rules } = this.review;
+
+    if (this.elements.rules) {
+      this.elements.rules.innerHTML = rules
+        .map(
+          (rule, index) => `
+          <label class="review-rule">
+            <input type="checkbox" data-rule-index="${index}" />
+            <code>${this.escapeHtml(rule.from)}</code> → <code>${this.escapeHtml(rule.to)}</code>
+            <span class="review-count" data-rule-count="${index}"></span>
+          </label>`
+        )
+        .join('');
+    }
+
+    if (files.length === 0) {
+      this.setMessage('No matches');
+    } else {
+      this.elements.content.innerHTML = files
+        .map((file, index) => this.renderFile(file, index))
+        .join('');
+    }
+
+    this.updateState();
+  }
+
+  renderFile(file, fileIndex) {
+    const rows = file.matches
+      .map(
+        match => `
+        <label class="review-match">
+          <input type="checkbox" data-match-id="${match.id}" />
+          <span class="review-location">${match.line}:${match.column + 1}</span>
+          <span class="review-change">${this.renderChange(match)}</span>
+          <span class="review-context">${this.escapeHtml(match.context)}</span>
+        </label>`
+      )
+      .join('');
+
+    return `
+      <div class="review-file">
+        <label class="review-file-header">
+          <input type="checkbox" data-file-index="${fileIndex}" />
+          <span class="review-file-path">${this.escapeHtml(file.displayPath)}</span>
+          <span class="review-count" data-file-count></span>
+        </label>
+        ${rows}
+      </div>
+    `;
+  }
+
+  renderChange(match) {
+    const matched = this.escapeHtml(match.matched);
+    const replacement = this.escapeHtml(match.replacement);
+    return `<del>${matched}</del> → <ins>${replacement}</ins>`;
+  }
+
+  /**
+   * チェック状態・件数を採用セットに合わせる（ファイル・ルールは一部採用で中間状態）
+   */
+  updateState() {
+    const matches = this.getAllMatches();
+    const container = this.elements.modal;
+
+    container?.querySelectorAll('input[data-match-id]').forEach(input => {
+      input.checked = this.accepted.has(input.dataset.matchId);
+    });
+
+    const applyGroupState = (input, countElement, groupMatches) => {
+      const acceptedCount = groupMatches.filter(match => this.accepted.has(match.id)).length;
+      input.checked = acceptedCount === groupMatches.length && acceptedCount > 0;
+      input.indeterminate = acceptedCount > 0 && acceptedCount < groupMatches.length;
+      if (countElement) {
+        countElement.textContent = `${acceptedCount}/${groupMatches.length}`;
+      }
+    };
+
+    container?.querySelectorAll('input[data-file-index]').forEach(input => {
+      const file = this.review.files[Number(input.dataset.fileIndex)];
+      const countElement = input.parentElement.querySelector('[data-file-count]');
+      applyGroupState(input, countElement, file?.matches || []);
+    });
+
+    container?.querySelectorAll('input[data-rule-index]').forEach(input => {
+      const ruleIndex = Number(input.dataset.ruleIndex);
+      const countElement = input.parentElement.querySelector('[data-rule-count]');
+      applyGroupState(
+        input,
+        countElement,
+        matches.filter(match => match.ruleIndex === ruleIndex)
+      );
+    });
+
+    const parts = [`${this.accepted.size} of ${matches.length} matches accepted`];
+    if (this.review.applyModeOverridden) {
+      // 順次適用の設定でも、レビューは表示したマッチをそのまま一括で置換する
+      parts.push('rules applied in one pass (sequential mode is not used in review)');
+    }
+    if (this.review.skipped.length > 0) {
+      parts.push(`${this.review.skipped.length} files skipped`);
+    }
+    if (this.review.errors.length > 0) {
+      parts.push(`${this.review.errors.length} errors`);
+    }
+    this.elements.summary.textContent = parts.join(', ');
+
+    if (this.elements.applyButton) {
+      this.elements.applyButton.disabled = this.accepted.size === 0;
+    }
+  }
+
+  /**
+   * 採用したマッチのみ置換（通常の実行と同じ進捗・結果表示）
+   */
+  async handleApplyClick() {
+    if (!this.review || this.accepted.size === 0) {
+      return;
+    }
+
+    const { reviewId } = this.review;
+    const acceptedIds = [...this.accepted];
+    this.logOperation('レビュー適用', true, {
+      reviewId,
+      accepted: acceptedIds.length,
+      rejected: this.getAllMatches().length - acceptedIds.length,
+    });
+
+    // 適用後のセッションはメインプロセス側で破棄される
+    this.review = null;
+    this.elements.modal?.classList.add('hidden');
+    await this.uiController.executionController.executeReview(reviewId, acceptedIds);
+  }
+
+  setMessage(message) {
+    if (this.elements.content) {
+      this.elements.content.innerHTML = `<div class="review-empty">${this.escapeHtml(
+        message
+      )}</div>`;
+    }
+  }
+
+  async close() {
+    this.elements.modal?.classList.add('hidden');
+    await this.closeSession();
+  }
+
+  async closeSession() {
+    if (this.review) {
+      const { reviewId } = this.review;
+      this.review = null;
+      this.accepted = new Set();
+      await window.electronAPI.closeReview(reviewId);
+    }
+  }
+
+  /**
+   * Vibe Logger統合 - 構造化ログ出力
+   */
+  logOperation(operation, success, data = {}) {
+    if (window.vibeLogger) {
+      window.vibeLogger.logUIOperation(operation, success, {
+        component: 'ReviewPanel',
+        timestamp: new Date().toISOString(),
+        ...data,
+      });
+    } else {
+      console.log(`🔎 ReviewPanel: ${operation} - ${success ? '✅' : '❌'}`, data);
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// グローバル公開（UIControllerから使用）
+if (typeof window !== 'undefined') {
+  window.ReviewPanel = ReviewPanel;
+}
+
+// エクスポート（Node.js環境対応）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReviewPanel;
+}
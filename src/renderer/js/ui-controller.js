@@ -13,6 +13,9 @@ class UIController {
     this.foundFiles = [];
     this.ruleIdCounter = 1;
 
+    // エンコーディング設定（target_settings.encoding / encoding_overrides）
+    this.encodingSettings = { encoding: 'auto', encodingOverrides: {} };
+
     // UI応答性監視
     this.uiResponseTarget = 100; // ms
     this.lastActionTime = 0;
@@ -95,12 +98,48 @@ class UIController {
         console.warn('⚠️ ExecutionController not available, using fallback functionality');
       }
 
+      // DiffViewer初期化（ExecutionController の設定収集・検証を利用）
+      if (window.DiffViewer) {
+        this.diffViewer = new window.DiffViewer(this);
+        console.log('🧾 DiffViewer initialized');
+      } else {
+        console.warn('⚠️ DiffViewer not available, diff preview disabled');
+      }
+
+      // ReviewPanel初期化（適用は ExecutionController の進捗・結果表示を利用）
+      if (window.ReviewPanel) {
+        this.reviewPanel = new window.ReviewPanel(this);
+        console.log('🔎 ReviewPanel initialized');
+      } else {
+        console.warn('⚠️ ReviewPanel not available, match review disabled');
+      }
+
+      // GrepPanel初期化（検索のみ実行・結果からのルール作成）
+      if (window.GrepPanel) {
+        this.grepPanel = new window.GrepPanel(this);
+        console.log('🔍 GrepPanel initialized');
+      } else {
+        console.warn('⚠️ GrepPanel not available, search-only mode disabled');
+      }
+
+      // HistoryPanel初期化（再実行は ExecutionController の進捗・結果表示を利用）
+      if (window.HistoryPanel) {
+        this.historyPanel = new window.HistoryPanel(this);
+        console.log('🕘 HistoryPanel initialized');
+      } else {
+        console.warn('⚠️ HistoryPanel not available, run history disabled');
+      }
+
       // Vibe Logger統合
       if (window.vibeLogger) {
         window.vibeLogger.logUIOperation('モジュール統合初期化', true, {
           ruleManagerAvailable: !!this.ruleManager,
           templateManagerAvailable: !!this.templateManager,
           executionControllerAvailable: !!this.executionController,
+          diffViewerAvailable: !!this.diffViewer,
+          reviewPanelAvailable: !!this.reviewPanel,
+          grepPanelAvailable: !!this.grepPanel,
+          historyPanelAvailable: !!this.historyPanel,
           timestamp: new Date().toISOString(),
         });
       }
@@ -148,6 +187,19 @@ class UIController {
       });
     }
 
+    // 追加の対象フォルダ・個別指定ファイル
+    document
+      .getElementById('addFolderButton')
+      ?.addEventListener('click', () => this.handleAddFolder());
+    document
+      .getElementById('loadFileListButton')
+      ?.addEventListener('click', () => this.handleLoadFileList());
+    ['additionalFolders', 'targetFiles'].forEach(id => {
+      document
+        .getElementById(id)
+        ?.addEventListener('input', () => this.debounce(() => this.updatePreview(), 300)());
+    });
+
     // ファイル拡張子入力
     const fileExtensions = document.getElementById('fileExtensions');
     if (fileExtensions) {
@@ -155,6 +207,32 @@ class UIController {
       fileExtensions.addEventListener('keyup', () => this.updatePreview());
     }
 
+    // 対象・除外グロブ入力
+    ['includePatterns', 'excludePatterns'].forEach(id => {
+      document
+        .getElementById(id)
+        ?.addEventListener('input', () => this.debounce(() => this.updatePreview(), 300)());
+    });
+
+    // ignore ファイルの適用切り替え
+    document
+      .getElementById('optionRespectIgnoreFiles')
+      ?.addEventListener('change', () => this.updatePreview());
+
+    // フォルダの検索範囲（サブフォルダ・深さ・隠しファイル・シンボリックリンク）
+    [
+      'optionIncludeSubdirectories',
+      'optionMaxDepth',
+      'optionIncludeHiddenFiles',
+      'optionIncludeHiddenDirectories',
+      'optionFollowSymlinks',
+    ].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        this.updateTraversalControls();
+        this.updatePreview();
+      });
+    });
+
     // プリセットボタン
     document.querySelectorAll('.preset-button').forEach(button => {
       button.addEventListener('click', e => this.handlePresetSelect(e.target.dataset.preset));
@@ -172,6 +250,15 @@ class UIController {
       addRuleButton.addEventListener('click', () => this.handleAddRule());
     }
 
+    // 置換オプション（変更時に全ルールの正規表現を再検証）
+    ['optionUseRegex', 'optionRegexFlags'].forEach(id => {
+      const optionInput = document.getElementById(id);
+      if (optionInput && this.ruleManager) {
+        optionInput.addEventListener('input', () => this.ruleManager.validateAllRules());
+        optionInput.addEventListener('change', () => this.ruleManager.validateAllRules());
+      }
+    });
+
     // 設定管理ボタン
     const loadConfigButton = document.getElementById('loadConfigButton');
     if (loadConfigButton) {
@@ -588,6 +675,110 @@ class UIController {
     }
   }
 
+  /**
+   * 追加の対象フォルダを選択して一覧に追加
+   */
+  async handleAddFolder() {
+    try {
+      const result = await window.electronAPI.selectFolder();
+      if (result.success && result.folderPath) {
+        this.setPathList('additionalFolders', [
+          ...this.getPathList('additionalFolders'),
+          result.folderPath,
+        ]);
+        await this.updatePreview();
+      } else if (!result.success) {
+        this.showError('フォルダ選択エラー', result.error);
+      }
+    } catch (error) {
+      console.error('❌ Folder selection failed:', error);
+      this.showError('フォルダ選択失敗', error.message);
+    }
+  }
+
+  /**
+   * ファイル一覧（1行に1パス）を読み込んで個別指定ファイルに追加
+   */
+  async handleLoadFileList() {
+    try {
+      const result = await window.electronAPI.loadFileList();
+      if (!result.success) {
+        this.showError('ファイル一覧の読み込みエラー', result.error);
+        return;
+      }
+      if (result.canceled) {
+        return;
+      }
+
+      this.setPathList('targetFiles', [...this.getPathList('targetFiles'), ...result.paths]);
+      await this.updatePreview();
+      console.log(`📄 File list loaded: ${result.paths.length} paths from ${result.filePath}`);
+    } catch (error) {
+      console.error('❌ Load file list failed:', error);
+      this.showError('ファイル一覧の読み込み失敗', error.message);
+    }
+  }
+
+  /**
+   * 1行に1パスの入力欄の取得（空行は無視、重複は除外）
+   */
+  getPathList(inputId) {
+    const value = document.getElementById(inputId)?.value || '';
+    return [
+      ...new Set(
+        value
+          .split(/\r?\n/)
+          .map(line => line.trim())
+          .filter(Boolean)
+      ),
+    ];
+  }
+
+  setPathList(inputId, paths = []) {
+    const input = document.getElementById(inputId);
+    if (input) {
+      input.value = [...new Set(paths)].join('\n');
+    }
+  }
+
+  /**
+   * 対象フォルダ（Target Folder + 追加フォルダ）
+   */
+  getTargetFolders() {
+    return [...new Set([this.selectedFolder, ...this.getPathList('additionalFolders')])].filter(
+      Boolean
+    );
+  }
+
+  getTargetFiles() {
+    return this.getPathList('targetFiles');
+  }
+
+  /**
+   * ファイルを含む対象フォルダ（入れ子の場合は最も深いもの）、なければ null
+   */
+  findTargetRoot(filePath, roots = this.getTargetFolders()) {
+    return (
+      roots
+        .map(root => root.replace(/[/\\]+$/, ''))
+        .filter(root => filePath.startsWith(root) && /^[/\\]/.test(filePath.slice(root.length)))
+        .sort((a, b) => b.length - a.length)[0] || null
+    );
+  }
+
+  /**
+   * 表示用パス（対象フォルダからの相対パス。複数フォルダの場合はフォルダ名を先頭に付ける）
+   */
+  getTargetDisplayPath(filePath, roots = this.getTargetFolders()) {
+    const root = this.findTargetRoot(filePath, roots);
+    if (!root) {
+      return filePath;
+    }
+
+    const relativePath = filePath.slice(root.length + 1);
+    return roots.length > 1 ? `${root.split(/[/\\]/).pop()}/${relativePath}` : relativePath;
+  }
+
   /**
    * フォルダドロップ処理
    */
@@ -874,28 +1065,40 @@ class UIController {
    * プレビュー更新
    */
   async updatePreview() {
-    if (!this.selectedFolder) {
+    const targetFolders = this.getTargetFolders();
+    const targetFiles = this.getTargetFiles();
+    if (targetFolders.length === 0 && targetFiles.length === 0) {
       this.updatePreviewDisplay(0, 0);
       return;
     }
 
     try {
-      const extensions = this.getSelectedExtensions();
-      const result = await window.electronAPI.findFiles(this.selectedFolder, extensions, [
-        'node_modules/**',
-        '.git/**',
-        'dist/**',
-        'build/**',
-      ]);
+      // 実行時と同じ検索（複数フォルダの重複除外・個別指定ファイル）でエンコーディング判定結果も取得
+      const response = await window.electronAPI.searchTargets({
+        targetFolder: this.selectedFolder,
+        targetFolders,
+        targetFiles,
+        extensions: this.getSelectedExtensions().join(','),
+        options: {
+          excludePatterns: this.getPatternList('excludePatterns'),
+          includePatterns: this.getPatternList('includePatterns'),
+          respectIgnoreFiles: this.isRespectingIgnoreFiles(),
+          ...this.getTraversalSettings(),
+          ...this.encodingSettings,
+        },
+      });
 
-      if (result.success) {
-        this.foundFiles = result.files;
+      if (response.success) {
+        const { files } = response.result;
+        this.foundFiles = files;
         const activeRules = this.replacementRules.filter(
           rule => rule.enabled && rule.from && rule.to
         );
-        this.updatePreviewDisplay(result.files.length, activeRules.length);
+        this.updatePreviewDisplay(files.length, activeRules.length);
+        this.updateEncodingSummary(files);
       } else {
         this.updatePreviewDisplay(0, 0);
+        this.updateEncodingSummary([]);
       }
     } catch (error) {
       console.error('❌ Preview update failed:', error);
@@ -919,6 +1122,30 @@ class UIController {
     }
   }
 
+  /**
+   * 検出エンコーディングの内訳表示（ファイル別一覧はツールチップ）
+   */
+  updateEncodingSummary(files) {
+    const summaryElement = document.getElementById('encodingSummary');
+    if (!summaryElement) {
+      return;
+    }
+
+    const counts = new Map();
+    files.forEach(file => {
+      const label = file.encoding || 'Unknown';
+      counts.set(label, (counts.get(label) || 0) + 1);
+    });
+
+    summaryElement.textContent = [...counts]
+      .map(([label, count]) => `${label}: ${count}`)
+      .join(', ');
+    summaryElement.title = files
+      .map(file => `${file.encoding || 'Unknown'}\t${file.path}`)
+      .join('\n');
+    summaryElement.classList.toggle('hidden', counts.size === 0);
+  }
+
   /**
    * アクティブルール数更新
    */
@@ -946,6 +1173,92 @@ class UIController {
       .filter(ext => ext.length > 0);
   }
 
+  /**
+   * グロブ入力の取得（カンマ区切り。{js,ts} のようなブレース内のカンマでは区切らない）
+   */
+  getPatternList(inputId) {
+    const value = document.getElementById(inputId)?.value || '';
+    const patterns = [''];
+    let braceDepth = 0;
+
+    for (const char of value) {
+      if (char === ',' && braceDepth === 0) {
+        patterns.push('');
+        continue;
+      }
+      if (char === '{') {
+        braceDepth++;
+      } else if (char === '}' && braceDepth > 0) {
+        braceDepth--;
+      }
+      patterns[patterns.length - 1] += char;
+    }
+
+    return patterns.map(pattern => pattern.trim()).filter(Boolean);
+  }
+
+  /**
+   * フォルダの検索範囲（searchFiles のオプション形式）
+   */
+  getTraversalSettings() {
+    const maxDepth = parseInt(document.getElementById('optionMaxDepth')?.value, 10);
+    return {
+      includeSubdirectories:
+        document.getElementById('optionIncludeSubdirectories')?.checked ?? true,
+      maxDepth: maxDepth >= 0 ? maxDepth : null,
+      includeHiddenFiles: document.getElementById('optionIncludeHiddenFiles')?.checked ?? true,
+      includeHiddenDirectories:
+        document.getElementById('optionIncludeHiddenDirectories')?.checked ?? true,
+      followSymlinks: document.getElementById('optionFollowSymlinks')?.value || 'none',
+    };
+  }
+
+  /**
+   * 設定ファイルの target_settings から検索範囲を反映（未指定は既定値）
+   */
+  setTraversalSettings(targetSettings) {
+    const setChecked = (id, checked) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.checked = checked;
+      }
+    };
+    setChecked('optionIncludeSubdirectories', targetSettings.include_subdirectories !== false);
+    setChecked('optionIncludeHiddenFiles', targetSettings.include_hidden_files !== false);
+    setChecked(
+      'optionIncludeHiddenDirectories',
+      targetSettings.include_hidden_directories !== false
+    );
+
+    const maxDepth = document.getElementById('optionMaxDepth');
+    if (maxDepth) {
+      maxDepth.value = Number.isInteger(targetSettings.max_depth) ? targetSettings.max_depth : '';
+    }
+    const followSymlinks = document.getElementById('optionFollowSymlinks');
+    if (followSymlinks) {
+      followSymlinks.value = targetSettings.follow_symlinks || 'none';
+    }
+
+    this.updateTraversalControls();
+  }
+
+  /**
+   * サブフォルダを検索しない場合は深さ指定を無効化
+   */
+  updateTraversalControls() {
+    const maxDepth = document.getElementById('optionMaxDepth');
+    if (maxDepth) {
+      maxDepth.disabled = !document.getElementById('optionIncludeSubdirectories')?.checked;
+    }
+  }
+
+  /**
+   * .gitignore・.ignore・.mgrignore を適用するか
+   */
+  isRespectingIgnoreFiles() {
+    return document.getElementById('optionRespectIgnoreFiles')?.checked ?? true;
+  }
+
   /**
    * 置換実行処理
    */
@@ -974,7 +1287,7 @@ class UIController {
       }
 
       // 基本バリデーション
-      if (!this.selectedFolder) {
+      if (this.getTargetFolders().length === 0 && this.getTargetFiles().length === 0) {
         this.showError('エラー', 'フォルダを選択してください');
         return;
       }
@@ -1090,12 +1403,51 @@ class UIController {
         this.updateFolderDisplay(config.target_folder);
       }
 
+      // 追加の対象フォルダ・個別指定ファイル（指定があれば欄を開く）
+      this.setPathList('additionalFolders', config.target_folders);
+      this.setPathList('targetFiles', config.target_files);
+      const additionalTargets = document.getElementById('additionalTargets');
+      if (additionalTargets && (config.target_folders?.length || config.target_files?.length)) {
+        additionalTargets.open = true;
+      }
+
       // 拡張子設定
       const fileExtensions = document.getElementById('fileExtensions');
       if (fileExtensions && config.target_settings?.file_extensions) {
         fileExtensions.value = config.target_settings.file_extensions.join(',');
       }
 
+      // 対象・除外グロブ
+      [
+        ['includePatterns', config.target_settings?.include_patterns],
+        ['excludePatterns', config.target_settings?.exclude_patterns],
+      ].forEach(([id, patterns]) => {
+        const input = document.getElementById(id);
+        if (input && Array.isArray(patterns)) {
+          input.value = patterns.join(', ');
+        }
+      });
+
+      // フォルダの検索範囲
+      this.setTraversalSettings(config.target_settings || {});
+
+      // ignore ファイルの適用（未指定なら適用する）
+      const respectIgnoreFiles = document.getElementById('optionRespectIgnoreFiles');
+      if (respectIgnoreFiles) {
+        respectIgnoreFiles.checked = config.target_settings?.respect_ignore_files !== false;
+      }
+
+      // エンコーディング設定
+      this.encodingSettings = {
+        encoding: config.target_settings?.encoding || 'auto',
+        encodingOverrides: config.target_settings?.encoding_overrides || {},
+      };
+
+      // 置換オプション設定
+      if (config.replacement_settings) {
+        this.setReplacementOptions(config.replacement_settings);
+      }
+
       // 置換ルール設定
       if (config.replacements) {
         // 既存ルールクリア
@@ -1112,6 +1464,11 @@ class UIController {
             to: rule.to,
             enabled: rule.enabled !== false,
             description: rule.description || '',
+            useRegex: !!rule.use_regex,
+            regexFlags: rule.regex_flags || '',
+            preserveCase: !!rule.preserve_case,
+            wholeWord: !!rule.whole_word,
+            wordBoundary: rule.word_boundary || '',
           };
 
           if (this.ruleManager) {
@@ -1152,6 +1509,9 @@ class UIController {
    * 現在の設定取得
    */
   getCurrentConfig() {
+    const replacementOptions = this.getReplacementOptions();
+    const traversal = this.getTraversalSettings();
+
     return {
       app_info: {
         name: 'Multi Grep Replacer Configuration',
@@ -1161,24 +1521,37 @@ class UIController {
         author: 'User',
       },
       target_folder: this.selectedFolder,
-      replacements: this.replacementRules.map(rule => ({
-        id: rule.id,
-        from: rule.from,
-        to: rule.to,
-        enabled: rule.enabled,
-        description: rule.description,
-      })),
+      target_folders: this.getPathList('additionalFolders'),
+      target_files: this.getTargetFiles(),
+      replacements: this.replacementRules.map(rule => this.toConfigRule(rule)),
       target_settings: {
         file_extensions: this.getSelectedExtensions(),
-        exclude_patterns: ['node_modules/**', '.git/**', 'dist/**', 'build/**'],
-        include_subdirectories: true,
+        exclude_patterns: this.getPatternList('excludePatterns'),
+        include_patterns: this.getPatternList('includePatterns'),
+        include_subdirectories: traversal.includeSubdirectories,
+        max_depth: traversal.maxDepth,
+        include_hidden_files: traversal.includeHiddenFiles,
+        include_hidden_directories: traversal.includeHiddenDirectories,
+        follow_symlinks: traversal.followSymlinks,
+        respect_ignore_files: this.isRespectingIgnoreFiles(),
         max_file_size: 104857600,
-        encoding: 'utf-8',
+        encoding: this.encodingSettings.encoding,
+        encoding_overrides: this.encodingSettings.encodingOverrides,
       },
       replacement_settings: {
         case_sensitive: true,
-        use_regex: false,
-        backup_enabled: false,
+        use_regex: replacementOptions.useRegex,
+        regex_flags: replacementOptions.regexFlags,
+        whole_word: replacementOptions.wholeWord,
+        word_boundary: replacementOptions.wordBoundary,
+        apply_mode: replacementOptions.applyMode,
+        overlap_strategy: replacementOptions.overlapStrategy,
+        backup_enabled: replacementOptions.backupEnabled,
+        preserve_file_permissions: replacementOptions.preservePermissions,
+        preserve_timestamps: replacementOptions.preserveTimestamps,
+        symlink_policy: replacementOptions.symlinkPolicy,
+        normalize_line_endings: replacementOptions.normalizeLineEndings,
+        output_mode: replacementOptions.outputMode,
       },
       ui_settings: {
         theme: document.body.className.includes('theme-')
@@ -1188,6 +1561,123 @@ class UIController {
     };
   }
 
+  /**
+   * 設定ファイル用のルール（個別設定は指定時のみ書き出し、未指定はグローバル設定に従わせる）
+   */
+  toConfigRule(rule) {
+    const configRule = {
+      id: rule.id,
+      from: rule.from,
+      to: rule.to,
+      enabled: rule.enabled,
+      description: rule.description,
+    };
+    if (rule.useRegex) {
+      configRule.use_regex = true;
+    }
+    if (rule.regexFlags) {
+      configRule.regex_flags = rule.regexFlags;
+    }
+    if (rule.preserveCase) {
+      configRule.preserve_case = true;
+    }
+    if (rule.wholeWord) {
+      configRule.whole_word = true;
+    }
+    if (rule.wordBoundary) {
+      configRule.word_boundary = rule.wordBoundary;
+    }
+    return configRule;
+  }
+
+  /**
+   * 置換オプション取得（Replacement Optionsセクション）
+   */
+  getReplacementOptions() {
+    const useRegex = document.getElementById('optionUseRegex');
+    const regexFlags = document.getElementById('optionRegexFlags');
+    const wholeWord = document.getElementById('optionWholeWord');
+    const wordBoundary = document.getElementById('optionWordBoundary');
+    const applyMode = document.getElementById('optionApplyMode');
+    const overlapStrategy = document.getElementById('optionOverlapStrategy');
+    const backupEnabled = document.getElementById('optionBackupEnabled');
+    const preservePermissions = document.getElementById('optionPreservePermissions');
+    const preserveTimestamps = document.getElementById('optionPreserveTimestamps');
+    const symlinkPolicy = document.getElementById('optionSymlinkPolicy');
+    const normalizeLineEndings = document.getElementById('optionNormalizeLineEndings');
+    const outputMode = document.getElementById('optionOutputMode');
+
+    return {
+      useRegex: useRegex ? useRegex.checked : false,
+      regexFlags: regexFlags ? regexFlags.value.trim() : '',
+      wholeWord: wholeWord ? wholeWord.checked : false,
+      wordBoundary: wordBoundary ? wordBoundary.value : 'identifier',
+      applyMode: applyMode ? applyMode.value : 'sequential',
+      overlapStrategy: overlapStrategy ? overlapStrategy.value : 'longest',
+      backupEnabled: backupEnabled ? backupEnabled.checked : false,
+      preservePermissions: preservePermissions ? preservePermissions.checked : true,
+      preserveTimestamps: preserveTimestamps ? preserveTimestamps.checked : false,
+      symlinkPolicy: symlinkPolicy ? symlinkPolicy.value : 'follow',
+      normalizeLineEndings: normalizeLineEndings ? normalizeLineEndings.value : 'preserve',
+      outputMode: outputMode ? outputMode.value : 'write',
+    };
+  }
+
+  /**
+   * 置換オプション反映（設定ファイル → UI）
+   */
+  setReplacementOptions(settings) {
+    const useRegex = document.getElementById('optionUseRegex');
+    const regexFlags = document.getElementById('optionRegexFlags');
+    const wholeWord = document.getElementById('optionWholeWord');
+    const wordBoundary = document.getElementById('optionWordBoundary');
+    const applyMode = document.getElementById('optionApplyMode');
+    const overlapStrategy = document.getElementById('optionOverlapStrategy');
+    const backupEnabled = document.getElementById('optionBackupEnabled');
+    const preservePermissions = document.getElementById('optionPreservePermissions');
+    const preserveTimestamps = document.getElementById('optionPreserveTimestamps');
+    const symlinkPolicy = document.getElementById('optionSymlinkPolicy');
+    const normalizeLineEndings = document.getElementById('optionNormalizeLineEndings');
+    const outputMode = document.getElementById('optionOutputMode');
+
+    if (useRegex) {
+      useRegex.checked = !!settings.use_regex;
+    }
+    if (regexFlags) {
+      regexFlags.value = settings.regex_flags || '';
+    }
+    if (wholeWord) {
+      wholeWord.checked = !!settings.whole_word;
+    }
+    if (wordBoundary) {
+      wordBoundary.value = settings.word_boundary || 'identifier';
+    }
+    if (applyMode) {
+      applyMode.value = settings.apply_mode || 'sequential';
+    }
+    if (overlapStrategy) {
+      overlapStrategy.value = settings.overlap_strategy || 'longest';
+    }
+    if (backupEnabled) {
+      backupEnabled.checked = !!settings.backup_enabled;
+    }
+    if (preservePermissions) {
+      preservePermissions.checked = settings.preserve_file_permissions !== false;
+    }
+    if (preserveTimestamps) {
+      preserveTimestamps.checked = !!settings.preserve_timestamps;
+    }
+    if (symlinkPolicy) {
+      symlinkPolicy.value = settings.symlink_policy || 'follow';
+    }
+    if (normalizeLineEndings) {
+      normalizeLineEndings.value = settings.normalize_line_endings || 'preserve';
+    }
+    if (outputMode) {
+      outputMode.value = settings.output_mode || 'write';
+    }
+  }
+
   /**
    * デフォルト設定取得
    */
@@ -1208,6 +1698,11 @@ class UIController {
     existingRules.forEach((ruleElement, index) => {
       const fromInput = ruleElement.querySelector('.rule-from');
       const toInput = ruleElement.querySelector('.rule-to');
+      const regexCheckbox = ruleElement.querySelector('.rule-regex');
+      const flagsInput = ruleElement.querySelector('.rule-flags');
+      const preserveCaseCheckbox = ruleElement.querySelector('.rule-preserve-case');
+      const wholeWordCheckbox = ruleElement.querySelector('.rule-whole-word');
+      const boundarySelect = ruleElement.querySelector('.rule-boundary');
 
       if (fromInput && toInput) {
         const rule = {
@@ -1216,6 +1711,11 @@ class UIController {
           to: toInput.value,
           enabled: true,
           description: '',
+          useRegex: regexCheckbox ? regexCheckbox.checked : false,
+          regexFlags: flagsInput ? flagsInput.value.trim() : '',
+          preserveCase: preserveCaseCheckbox ? preserveCaseCheckbox.checked : false,
+          wholeWord: wholeWordCheckbox ? wholeWordCheckbox.checked : false,
+          wordBoundary: boundarySelect ? boundarySelect.value : '',
         };
 
         this.replacementRules.push(rule);
@@ -1234,6 +1734,11 @@ class UIController {
     const checkbox = ruleElement.querySelector('.rule-checkbox');
     const fromInput = ruleElement.querySelector('.rule-from');
     const toInput = ruleElement.querySelector('.rule-to');
+    const regexCheckbox = ruleElement.querySelector('.rule-regex');
+    const flagsInput = ruleElement.querySelector('.rule-flags');
+    const preserveCaseCheckbox = ruleElement.querySelector('.rule-preserve-case');
+    const wholeWordCheckbox = ruleElement.querySelector('.rule-whole-word');
+    const boundarySelect = ruleElement.querySelector('.rule-boundary');
     const deleteButton = ruleElement.querySelector('.rule-delete');
 
     if (checkbox) {
@@ -1247,6 +1752,31 @@ class UIController {
     if (toInput) {
       toInput.addEventListener('input', e => this.handleUpdateRule(rule.id, 'to', e.target.value));
     }
+    if (regexCheckbox) {
+      regexCheckbox.addEventListener('change', e =>
+        this.handleUpdateRule(rule.id, 'useRegex', e.target.checked)
+      );
+    }
+    if (flagsInput) {
+      flagsInput.addEventListener('input', e =>
+        this.handleUpdateRule(rule.id, 'regexFlags', e.target.value.trim())
+      );
+    }
+    if (preserveCaseCheckbox) {
+      preserveCaseCheckbox.addEventListener('change', e =>
+        this.handleUpdateRule(rule.id, 'preserveCase', e.target.checked)
+      );
+    }
+    if (wholeWordCheckbox) {
+      wholeWordCheckbox.addEventListener('change', e =>
+        this.handleUpdateRule(rule.id, 'wholeWord', e.target.checked)
+      );
+    }
+    if (boundarySelect) {
+      boundarySelect.addEventListener('change', e =>
+        this.handleUpdateRule(rule.id, 'wordBoundary', e.target.value)
+      );
+    }
     if (deleteButton) {
       deleteButton.addEventListener('click', () => this.handleDeleteRule(rule.id));
     }